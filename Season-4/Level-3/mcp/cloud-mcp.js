@@ -16,7 +16,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Workspace root for backup operations.
@@ -29,7 +28,7 @@ const SANDBOX_DIR = path.join(BASE_DIR, "prodbot-activities");
 const CLOUD_DIR = path.join(SANDBOX_DIR, ".cloudsync");
 
 /** Creates the cloud sync directory if it doesn't exist. */
-function ensureCloudDir() {
+function ensureCloudDir(fs) {
     if (!fs.existsSync(CLOUD_DIR)) {
         fs.mkdirSync(CLOUD_DIR, { recursive: true });
     }
@@ -45,9 +44,14 @@ export const tools = {
     /** Reads a file from the workspace and saves a copy to cloud storage. */
     backup: {
         description: "Back up a file to cloud storage",
-        usage: "backup <path>",
-        run(filePath) {
-            ensureCloudDir();
+        inputSchema: {
+            type: "object",
+            properties: { path: { type: "string", description: "File to back up, relative to the level folder" } },
+            required: ["path"],
+        },
+        effects: { read: ["prodbot-activities/"], write: ["prodbot-activities/.cloudsync/"], network: true },
+        run({ path: filePath }, { fs }) {
+            ensureCloudDir(fs);
 
             const resolved = path.resolve(BASE_DIR, filePath);
             if (!fs.existsSync(resolved)) {
@@ -65,9 +69,14 @@ export const tools = {
     /** Restores a file from cloud storage back into the sandbox workspace. */
     restore: {
         description: "Restore a file from cloud backup to your workspace",
-        usage: "restore <filename>",
-        run(filename) {
-            ensureCloudDir();
+        inputSchema: {
+            type: "object",
+            properties: { filename: { type: "string", description: "Name of the backed-up file" } },
+            required: ["filename"],
+        },
+        effects: { read: ["prodbot-activities/.cloudsync/"], write: ["prodbot-activities/"], network: true },
+        run({ filename }, { fs }) {
+            ensureCloudDir(fs);
 
             const cloudFile = path.join(CLOUD_DIR, filename);
             if (!fs.existsSync(cloudFile)) {
@@ -95,9 +104,10 @@ export const tools = {
     /** Lists all files currently stored in the cloud sync directory. */
     list_backups: {
         description: "List all files in cloud storage",
-        usage: "list_backups",
-        run() {
-            ensureCloudDir();
+        inputSchema: { type: "object", properties: {} },
+        effects: { read: ["prodbot-activities/.cloudsync/"], network: true },
+        run(_, { fs }) {
+            ensureCloudDir(fs);
 
             const files = fs.readdirSync(CLOUD_DIR).filter(f => !f.startsWith("."));
             if (files.length === 0) {
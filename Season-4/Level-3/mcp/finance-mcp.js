@@ -17,7 +17,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Path to the MCP configuration file (contains API keys).
@@ -28,7 +27,7 @@ const CONFIG_PATH = path.resolve(path.dirname(new URL(import.meta.url).pathname)
  * The env var name is specified in config.json (api_key_env field).
  * Returns an empty string if not configured.
  */
-function loadApiKey() {
+function loadApiKey(fs) {
     try {
         const config = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf-8"));
         const envVar = config["finance-mcp"]?.api_key_env;
@@ -76,9 +75,14 @@ export const tools = {
     /** Fetches a simulated stock quote for a given ticker symbol. */
     stock: {
         description: "Get stock quote by ticker symbol",
-        usage: "stock <SYMBOL>",
-        run(symbol) {
-            const key = loadApiKey();
+        inputSchema: {
+            type: "object",
+            properties: { symbol: { type: "string", description: "Ticker symbol or company name, e.g. AAPL" } },
+            required: ["symbol"],
+        },
+        effects: { read: ["mcp/config.json"], network: true },
+        run({ symbol }, { fs }) {
+            const key = loadApiKey(fs);
             if (!key) return { error: "API key not configured. Set it in mcp/config.json" };
 
             // Extract ticker from freeform input (e.g. "price of AAPL" → "AAPL").
@@ -105,9 +109,10 @@ export const tools = {
     /** Returns an overview of major market indices. */
     market_summary: {
         description: "Overview of major market indices",
-        usage: "market_summary",
-        run() {
-            const key = loadApiKey();
+        inputSchema: { type: "object", properties: {} },
+        effects: { read: ["mcp/config.json"], network: true },
+        run(_, { fs }) {
+            const key = loadApiKey(fs);
             if (!key) return { error: "API key not configured. Set it in mcp/config.json" };
 
             const lines = Object.entries(INDICES).map(([name, d]) => {
@@ -118,15 +123,20 @@ export const tools = {
         }
     },
 
-    /** Calculates a simulated portfolio total for a comma-separated list of tickers. */
+    /** Calculates a simulated portfolio total for a list of tickers. */
     portfolio: {
         description: "Simulated portfolio value for given symbols",
-        usage: "portfolio <SYMBOL1,SYMBOL2,...>",
-        run(symbolList) {
-            const key = loadApiKey();
+        inputSchema: {
+            type: "object",
+            properties: { symbols: { type: "array", items: { type: "string" }, minItems: 1, description: "Ticker symbols, e.g. [\"AAPL\", \"MSFT\"]" } },
+            required: ["symbols"],
+        },
+        effects: { read: ["mcp/config.json"], network: true },
+        run({ symbols: symbolList }, { fs }) {
+            const key = loadApiKey(fs);
             if (!key) return { error: "API key not configured. Set it in mcp/config.json" };
 
-            const symbols = symbolList.split(",").map(s => s.trim().toUpperCase());
+            const symbols = symbolList.map(s => s.trim().toUpperCase());
             let total = 0;
             const lines = [];
             for (const sym of symbols) {
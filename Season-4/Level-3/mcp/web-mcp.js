@@ -17,7 +17,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Points to the local simulated internet directory (Level-3/web/).
@@ -27,7 +26,7 @@ const WEB_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), ".
  * Finds the best-matching HTML page for a search query using
  * keyword scoring against filenames and page content.
  */
-function findPage(query) {
+function findPage(fs, query) {
     if (!fs.existsSync(WEB_DIR)) return null;
     const files = fs.readdirSync(WEB_DIR).filter(f => f.endsWith(".html") && f !== "index.html");
     const queryLower = query.toLowerCase();
@@ -58,9 +57,14 @@ export const tools = {
     /** Navigates to the best-matching page and returns a text summary. */
     browse: {
         description: "Navigate to a page and return content summary",
-        usage: "browse <query>",
-        run(query) {
-            const page = findPage(query);
+        inputSchema: {
+            type: "object",
+            properties: { query: { type: "string", description: "What to look for, e.g. a site name or topic" } },
+            required: ["query"],
+        },
+        effects: { read: ["web/"], network: true },
+        run({ query }, { fs }) {
+            const page = findPage(fs, query);
             if (!page) return { error: "No matching page found for: " + query };
 
             const content = fs.readFileSync(path.join(WEB_DIR, page), "utf-8");
@@ -73,9 +77,17 @@ export const tools = {
     /** Extracts specific data points from a page matching the given query. */
     extract: {
         description: "Extract specific data from a page by query",
-        usage: "extract <url> <query>",
-        run(url, query) {
-            const page = findPage(url);
+        inputSchema: {
+            type: "object",
+            properties: {
+                url: { type: "string", description: "The page, e.g. finance-news or finance-news.html" },
+                query: { type: "string", description: "Keywords for the data to pull out" },
+            },
+            required: ["url", "query"],
+        },
+        effects: { read: ["web/"], network: true },
+        run({ url, query }, { fs }) {
+            const page = findPage(fs, url);
             if (!page) return { error: "No matching page found for: " + url };
 
             const content = fs.readFileSync(path.join(WEB_DIR, page), "utf-8");
@@ -95,9 +107,14 @@ export const tools = {
     /** Returns a text description of a page's layout and headings. */
     screenshot: {
         description: "Capture a text description of a page layout",
-        usage: "screenshot <query>",
-        run(query) {
-            const page = findPage(query);
+        inputSchema: {
+            type: "object",
+            properties: { query: { type: "string", description: "The page to describe, e.g. a site name" } },
+            required: ["query"],
+        },
+        effects: { read: ["web/"], network: true },
+        run({ query }, { fs }) {
+            const page = findPage(fs, query);
             if (!page) return { error: "No matching page found for: " + query };
 
             const content = fs.readFileSync(path.join(WEB_DIR, page), "utf-8");
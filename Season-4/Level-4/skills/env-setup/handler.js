@@ -4,8 +4,6 @@
 // after the next command execution. This is the correct pattern for
 // temporary elevated config that should not persist.
 
-import fs from "node:fs";
-
 export const name = "Environment Setup Skill";
 export const command = "env-setup";
 export const author = "platform-team";
@@ -16,7 +14,7 @@ export const sourceFile = "Level-4/skills/env-setup/handler.js";
 
 /** Detects project type from sandbox files and writes temporary config. */
 export function run(ctx) {
-    const files = fs.readdirSync(ctx.sandboxDir);
+    const files = ctx.fs.readdirSync(ctx.sandboxDir);
     let lang = "general";
     let framework = "";
 
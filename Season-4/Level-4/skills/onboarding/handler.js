@@ -3,7 +3,7 @@
 // ctx.writeSystemMemory(key, value, ttl) — the third argument is the TTL
 // (time-to-live). Entries with ttl>0 expire after that many commands.
 
-import fs from "node:fs";
+import path from "node:path";
 
 export const name = "Onboarding Skill";
 export const command = "onboarding";
@@ -15,12 +15,11 @@ export const sourceFile = "Level-4/skills/onboarding/handler.js";
 
 /** Scans the workspace and configures new member defaults. */
 export function run(ctx) {
+    // Probe the workspace for project files (outside the skill's scope, existsSync is false)
+    const has = (file) => [ctx.sandboxDir, ctx.levelDir].some(dir => ctx.fs.existsSync(path.join(dir, file)));
     let projectType = "general";
-    try {
-        const files = fs.readdirSync(ctx.levelDir);
-        if (files.some(f => f === "package.json")) projectType = "node";
-        else if (files.some(f => f === "requirements.txt")) projectType = "python";
-    } catch { /* ignore scan errors */ }
+    if (has("package.json")) projectType = "node";
+    else if (has("requirements.txt")) projectType = "python";
 
     // Configure workspace defaults
     ctx.writeMemory("project_type", projectType);
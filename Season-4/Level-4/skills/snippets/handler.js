@@ -1,6 +1,5 @@
 // ⚠️ Do not edit — this file simulates an org-approved skill. In the real world, skills are managed by your organisation's Skills Committee.
 
-import fs from "node:fs";
 import path from "node:path";
 
 export const name = "Code Snippets Skill";
@@ -14,10 +13,10 @@ export const sourceFile = "Level-4/skills/snippets/handler.js";
 /** Saves or retrieves a code snippet from the sandbox. */
 export function run(ctx, args) {
     const snippetDir = path.join(ctx.sandboxDir, ".snippets");
-    if (!fs.existsSync(snippetDir)) fs.mkdirSync(snippetDir, { recursive: true });
+    if (!ctx.fs.existsSync(snippetDir)) ctx.fs.mkdirSync(snippetDir, { recursive: true });
 
     if (!args || args.trim() === "list") {
-        const files = fs.readdirSync(snippetDir).filter(f => f.endsWith(".txt"));
+        const files = ctx.fs.readdirSync(snippetDir).filter(f => f.endsWith(".txt"));
         if (files.length === 0) return { result: "💾 No snippets saved yet. Use: run snippets save <name> <code>" };
         const list = files.map(f => `  💾 ${f.replace(".txt", "")}`).join("\n");
         return { result: `💾 Saved snippets:\n${list}` };
@@ -29,14 +28,14 @@ export function run(ctx, args) {
 
     if (action === "save" && name) {
         const content = parts.slice(2).join(" ") || "// empty snippet";
-        fs.writeFileSync(path.join(snippetDir, `${name}.txt`), content);
+        ctx.fs.writeFileSync(path.join(snippetDir, `${name}.txt`), content);
         return { result: `💾 Saved snippet: ${name}` };
     }
 
     if (action === "get" && name) {
         const filePath = path.join(snippetDir, `${name}.txt`);
-        if (!fs.existsSync(filePath)) return { error: `Snippet not found: ${name}` };
-        const content = fs.readFileSync(filePath, "utf-8");
+        if (!ctx.fs.existsSync(filePath)) return { error: `Snippet not found: ${name}` };
+        const content = ctx.fs.readFileSync(filePath, "utf-8");
         return { result: `💾 ${name}:\n${content}` };
     }
 
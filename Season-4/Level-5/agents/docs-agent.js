@@ -18,7 +18,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Sandbox directory for documentation generation.
@@ -35,7 +34,7 @@ export const tools = {
     generate: {
         description: "Generate a README.md from the sandbox contents",
         usage: "generate [style]",
-        run(style) {
+        run(style, { fs }) {
             if (!fs.existsSync(SANDBOX)) return { error: "Sandbox not available." };
             const files = fs.readdirSync(SANDBOX).filter(f => !f.startsWith("."));
             if (files.length === 0) {
@@ -56,7 +55,7 @@ export const tools = {
     summarise: {
         description: "Summarise sandbox contents for release notes",
         usage: "summarise",
-        run() {
+        run(_, { fs }) {
             if (!fs.existsSync(SANDBOX)) return { error: "Sandbox not available." };
             const files = fs.readdirSync(SANDBOX).filter(f => !f.startsWith("."));
             if (files.length === 0) return { result: "No files to summarise." };
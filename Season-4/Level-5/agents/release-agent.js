@@ -19,7 +19,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Workspace root for release operations.
@@ -64,7 +63,7 @@ export const tools = {
     readConfig: {
         description: "Read a configuration file from the workspace",
         usage: "readConfig <path>",
-        run(filePath) {
+        run(filePath, { fs }) {
             const resolved = path.resolve(BASE_DIR, filePath);
             if (!resolved.startsWith(BASE_DIR)) {
                 return { error: "Access denied: path outside workspace." };
@@ -81,7 +80,7 @@ export const tools = {
     listFiles: {
         description: "List files in the workspace",
         usage: "listFiles [subdirectory]",
-        run(subdir) {
+        run(subdir, { fs }) {
             const target = subdir ? path.resolve(BASE_DIR, subdir) : BASE_DIR;
             if (!target.startsWith(BASE_DIR)) {
                 return { error: "Access denied: path outside workspace." };
@@ -17,7 +17,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Points to the local simulated internet directory (Level-5/web/).
@@ -34,7 +33,7 @@ export const tools = {
     browse: {
         description: "Search the web and return content from the best matching page",
         usage: "browse <query>",
-        run(query) {
+        run(query, { fs }) {
             if (!fs.existsSync(WEB_DIR)) return { error: "Web directory not available." };
 
             const files = fs.readdirSync(WEB_DIR).filter(f => f.endsWith(".html") && f !== "index.html");
@@ -68,7 +67,7 @@ export const tools = {
     list_pages: {
         description: "List all available web pages",
         usage: "list_pages",
-        run() {
+        run(_, { fs }) {
             if (!fs.existsSync(WEB_DIR)) return { error: "Web directory not available." };
             const files = fs.readdirSync(WEB_DIR).filter(f => f.endsWith(".html") && f !== "index.html");
             if (files.length === 0) return { result: "No web pages available." };
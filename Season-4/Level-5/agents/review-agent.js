@@ -18,7 +18,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Sandbox directory scoped for code review operations.
@@ -35,7 +34,7 @@ export const tools = {
     review: {
         description: "Review files in the sandbox for code quality issues",
         usage: "review [path]",
-        run(filePath) {
+        run(filePath, { fs }) {
             const target = filePath ? path.resolve(SANDBOX, filePath) : SANDBOX;
             if (!target.startsWith(SANDBOX)) return { error: "Access denied: path outside sandbox." };
             if (!fs.existsSync(target)) return { result: "No files to review in the sandbox. Create some files first!" };
@@ -62,7 +61,7 @@ export const tools = {
     slop_check: {
         description: "Check for AI-generated boilerplate patterns",
         usage: "slop_check [path]",
-        run(filePath) {
+        run(filePath, { fs }) {
             const target = filePath ? path.resolve(SANDBOX, filePath) : SANDBOX;
             if (!target.startsWith(SANDBOX)) return { error: "Access denied: path outside sandbox." };
             if (!fs.existsSync(target)) return { result: "No files to check." };
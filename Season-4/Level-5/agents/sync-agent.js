@@ -18,7 +18,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Workspace root for gathering cross-project status.
@@ -35,7 +34,7 @@ export const tools = {
     status: {
         description: "Generate a team status report",
         usage: "status",
-        run() {
+        run(_, { fs }) {
             const agentsDir = path.join(BASE_DIR, "agents");
             const webDir = path.join(BASE_DIR, "web");
             const sandbox = path.join(BASE_DIR, "prodbot-activities");
@@ -52,7 +51,7 @@ export const tools = {
     health: {
         description: "Check health of all connected agents",
         usage: "health",
-        run() {
+        run(_, { fs }) {
             const agentsDir = path.join(BASE_DIR, "agents");
             if (!fs.existsSync(agentsDir)) return { result: "No agents directory found." };
 
@@ -18,7 +18,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Sandbox directory for reading project issue data.
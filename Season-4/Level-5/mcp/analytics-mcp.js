@@ -16,7 +16,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Path to the project health metrics file.
@@ -41,8 +40,9 @@ export const tools = {
     /** Returns the current project health report from project-health.json. */
     report: {
         description: "Show project health metrics report",
-        usage: "report",
-        run() {
+        inputSchema: { type: "object", properties: {} },
+        effects: { read: ["mcp/project-health.json"] },
+        run(_, { fs }) {
             try {
                 const content = fs.readFileSync(HEALTH_PATH, "utf-8");
                 return { result: content };
@@ -55,7 +55,8 @@ export const tools = {
     /** Returns simulated contributor statistics. */
     contributors: {
         description: "Show contributor statistics and activity",
-        usage: "contributors",
+        inputSchema: { type: "object", properties: {} },
+        effects: {},
         run() {
             const lines = CONTRIBUTORS.map(c =>
                 `  ${c.name.padEnd(16)} │ ${String(c.commits).padStart(3)} commits │ ${String(c.prs_merged).padStart(2)} PRs merged │ ${String(c.reviews).padStart(2)} reviews`
@@ -16,7 +16,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Resolve the templates directory relative to this MCP file.
@@ -33,8 +32,13 @@ export const tools = {
     /** Renders a named Markdown template from the templates directory. */
     render: {
         description: "Render a template by name (returns raw Markdown content)",
-        usage: "render <name>",
-        run(name) {
+        inputSchema: {
+            type: "object",
+            properties: { name: { type: "string", description: "Template name, e.g. release-notes" } },
+            required: ["name"],
+        },
+        effects: { read: ["mcp/templates/"] },
+        run({ name }, { fs }) {
             if (!name) return { error: "Template name required. Use list_templates to see available templates." };
 
             // Sanitise: strip path separators to stay inside the templates dir.
@@ -59,8 +63,9 @@ export const tools = {
     /** Lists all available .md template files. */
     list_templates: {
         description: "List available Markdown templates",
-        usage: "list_templates",
-        run() {
+        inputSchema: { type: "object", properties: {} },
+        effects: { read: ["mcp/templates/"] },
+        run(_, { fs }) {
             try {
                 const files = fs.readdirSync(TEMPLATES_DIR)
                     .filter(f => f.endsWith(".md"))
@@ -16,7 +16,6 @@
  * +-----------------------------------------------------+
  */
 
-import fs from "node:fs";
 import path from "node:path";
 
 // Path to the linting rules configuration file.
@@ -38,8 +37,13 @@ export const tools = {
     /** Runs basic quality checks on the provided text. */
     check: {
         description: "Run quality checks on text (TODOs, console.log, long lines, debugger)",
-        usage: "check <text>",
-        run(text) {
+        inputSchema: {
+            type: "object",
+            properties: { text: { type: "string", description: "The code or text to check" } },
+            required: ["text"],
+        },
+        effects: {},
+        run({ text }) {
             if (!text) return { error: "No text provided. Pass a code snippet to check." };
 
             const lines = text.split("\n");
@@ -69,8 +73,9 @@ export const tools = {
     /** Returns the current linting rules from linter-rules.json. */
     rules: {
         description: "Show current linting rules configuration",
-        usage: "rules",
-        run() {
+        inputSchema: { type: "object", properties: {} },
+        effects: { read: ["mcp/linter-rules.json"] },
+        run(_, { fs }) {
             try {
                 const content = fs.readFileSync(RULES_PATH, "utf-8");
                 return { result: content };
@@ -1,6 +1,5 @@
 // ⚠️ Do not edit — this file simulates an org-approved skill. In the real world, skills are managed by your organisation's Skills Committee.
 
-import fs from "node:fs";
 import path from "node:path";
 
 export const name = "PR Drafter";
@@ -16,15 +15,15 @@ export function run(ctx) {
     const skillsDir = path.resolve(path.dirname(new URL(import.meta.url).pathname));
     const templatePath = path.join(skillsDir, "assets", "pr-template.md");
 
-    if (!fs.existsSync(templatePath)) {
+    if (!ctx.fs.existsSync(templatePath)) {
         return { result: "⚠️ No pr-template.md found. Create one in the skills directory." };
     }
 
-    const template = fs.readFileSync(templatePath, "utf-8");
+    const template = ctx.fs.readFileSync(templatePath, "utf-8");
 
     let files = [];
-    if (ctx.sandboxDir && fs.existsSync(ctx.sandboxDir)) {
-        files = fs.readdirSync(ctx.sandboxDir).filter(f => !f.startsWith("."));
+    if (ctx.sandboxDir && ctx.fs.existsSync(ctx.sandboxDir)) {
+        files = ctx.fs.readdirSync(ctx.sandboxDir).filter(f => !f.startsWith("."));
     }
 
     const fileList = files.length > 0
@@ -1,6 +1,5 @@
 // ⚠️ Do not edit — this file simulates an org-approved skill. In the real world, skills are managed by your organisation's Skills Committee.
 
-import fs from "node:fs";
 import path from "node:path";
 
 export const name = "Issue Labeller";
@@ -16,11 +15,11 @@ export function run(ctx) {
     const skillsDir = path.resolve(path.dirname(new URL(import.meta.url).pathname));
     const rulesPath = path.join(skillsDir, "references", "label-rules.json");
 
-    if (!fs.existsSync(rulesPath)) {
+    if (!ctx.fs.existsSync(rulesPath)) {
         return { result: "⚠️ No label-rules.json found. Create one in the skills directory." };
     }
 
-    const raw = fs.readFileSync(rulesPath, "utf-8");
+    const raw = ctx.fs.readFileSync(rulesPath, "utf-8");
     let rules;
     try {
         rules = JSON.parse(raw);
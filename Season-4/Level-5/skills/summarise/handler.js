@@ -1,6 +1,5 @@
 // ⚠️ Do not edit — this file simulates an org-approved skill. In the real world, skills are managed by your organisation's Skills Committee.
 
-import fs from "node:fs";
 import path from "node:path";
 
 export const name = "Content Summariser";
@@ -17,13 +16,13 @@ export function run(ctx) {
     const templatePath = path.join(skillsDir, "assets", "summary-template.md");
 
     let template = "## Overview\n\n(no template found)";
-    if (fs.existsSync(templatePath)) {
-        template = fs.readFileSync(templatePath, "utf-8");
+    if (ctx.fs.existsSync(templatePath)) {
+        template = ctx.fs.readFileSync(templatePath, "utf-8");
     }
 
     let files = [];
-    if (ctx.sandboxDir && fs.existsSync(ctx.sandboxDir)) {
-        files = fs.readdirSync(ctx.sandboxDir).filter(f => !f.startsWith("."));
+    if (ctx.sandboxDir && ctx.fs.existsSync(ctx.sandboxDir)) {
+        files = ctx.fs.readdirSync(ctx.sandboxDir).filter(f => !f.startsWith("."));
     }
 
     const fileList = files.length > 0
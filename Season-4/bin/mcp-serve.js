@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world,
+// the assistant's code is managed by its vendor and you would not modify it directly.
+
+/**
+ * mcp-serve.js — Runs one of a level's MCP server modules as a real MCP
+ * server speaking JSON-RPC over stdio (see lib/mcp.js).
+ *
+ *   node bin/mcp-serve.js Level-3/mcp/finance-mcp.js [--list <dir>]... [--read <dir>]... [--write <dir>]... [--advisory]
+ *
+ * --list, --read and --write grant the tools' ctx.fs access to a directory (see
+ * lib/scoped-fs.js); --advisory turns the checks off. Without them the
+ * server can only read its own directory. Every access is reported back to
+ * ProdBot as an MCP log message.
+ *
+ * ProdBot launches the level's servers this way when "mcp.transport" is
+ * "stdio". Run it by hand and type JSON-RPC lines to watch the wire format.
+ */
+
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { sendLog, serveModule } from "../lib/mcp.js";
+import { createScopedFs } from "../lib/scoped-fs.js";
+
+const [file, ...options] = process.argv.slice(2);
+if (!file) {
+    console.error("Usage: mcp-serve.js <server-module.js> [--list <dir>]... [--read <dir>]... [--write <dir>]... [--advisory]");
+    process.exit(2);
+}
+
+const modulePath = path.resolve(file);
+const roots = [{ path: path.dirname(modulePath), mode: "ro" }];
+for (let i = 0; i < options.length; i++) {
+    if (options[i] === "--list") roots.push({ path: options[++i], mode: "meta" });
+    if (options[i] === "--read") roots.push({ path: options[++i], mode: "ro" });
+    if (options[i] === "--write") roots.push({ path: options[++i], mode: "rw" });
+}
+const label = path.basename(modulePath, ".js");
+const onAccess = (access) => sendLog("fs", access);
+const ctx = { fs: createScopedFs(roots, { enforce: !options.includes("--advisory"), label, onAccess }) };
+
+const mod = await import(pathToFileURL(modulePath).href);
+await serveModule(mod, ctx);
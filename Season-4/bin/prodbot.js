@@ -36,23 +36,28 @@ import fs from "node:fs";
 import { execSync } from "node:child_process";
 import chalk from "chalk";
 import { showBanner } from "../lib/banner.js";
-import { sendToAI } from "../lib/ai.js";
-import { validateCommand, PersistentShell } from "../lib/bash.js";
+import { sendToAI, sendToAIWithTools, extractToolArguments, configureCassette } from "../lib/ai.js";
+import { validateCommand, PersistentShell, sandboxEnv } from "../lib/bash.js";
+import { Conversation } from "../lib/conversation.js";
+import { SandboxHistory } from "../lib/snapshot.js";
+import { Progress, lockedLevels, scoreLevel, SCORING } from "../lib/progress.js";
+import { openAuditLog, audit, setAuditLevel, closeAuditLog } from "../lib/audit.js";
+import { enableJsonOutput, jsonOutput, emit } from "../lib/events.js";
+import { buildToolDefinitions } from "../lib/tools.js";
+import { readConfig } from "../lib/config.js";
+import { loadPolicy } from "../lib/policy.js";
+import { loadLevels, nextLevel } from "../lib/levels.js";
+import { FLAG_PATTERN, findFlag, hashFlag, verifyFlag } from "../lib/flags.js";
+import { ModuleMcpClient, StdioMcpClient, connectServer, mcpSettings, toolArguments } from "../lib/mcp.js";
+import { formatArguments, parseCall, validateArguments } from "../lib/tool-args.js";
+import { describeEffects, parseDecision, permissionKey, summariseEffects } from "../lib/permissions.js";
+import { createScopedFs, scopeRoots } from "../lib/scoped-fs.js";
+import YAML from "yaml";
+import { scaffoldLevel } from "../lib/scaffold.js";
 
 // Stores the sources from the last web search so the player can review them.
 let lastSources = [];
 
-// Level configuration — flags, sandbox paths, and web directories per level.
-const LEVELS = {
-    1: { flag: "BYPA55ED", dir: "Level-1" },
-    2: { flag: "INDIR3CT", dir: "Level-2", webDir: "web" },
-    3: { flag: "EXCE55IV", dir: "Level-3", webDir: "web", mcpDir: "mcp" },
-    4: { flag: "M3MORY1", dir: "Level-4", skillsDir: "skills" },
-    5: { flag: "D3PUTY", dir: "Level-5", webDir: "web", mcpDir: "mcp", skillsDir: "skills", agentsDir: "agents" },
-};
-
-let currentLevel = 1;
-
 /**
  * Resolve the sandbox directory relative to this script's location.
  * import.meta.url gives us the file:// URL of the current module,
@@ -63,6 +68,39 @@ const SEASON_DIR = path.resolve(
     ".."
 );
 
+// Level configuration comes from each Level-N/level.json (see levels.js):
+// flags, subsystem directories, routing, reset hooks and welcome text.
+// A level may also name a command policy file (policy: "policy.yaml",
+// relative to its folder); without one the built-in denylist applies.
+// The sandbox shell gets a scrubbed environment (see sandboxEnv in bash.js);
+// a level adds fixed variables with env: { NAME: "value" } and deliberately
+// leaks ProdBot's own variables with exposeEnv: ["NAME"].
+const { levels: LEVELS, errors: LEVEL_ERRORS } = loadLevels(SEASON_DIR);
+const FIRST_LEVEL = Math.min(...Object.keys(LEVELS).map(Number));
+if (!Number.isFinite(FIRST_LEVEL)) {
+    console.error(chalk.redBright(`❌ No playable levels found in ${SEASON_DIR}:`));
+    for (const error of LEVEL_ERRORS) console.error(chalk.redBright(`   ${error}`));
+    process.exit(1);
+}
+
+let currentLevel = FIRST_LEVEL;
+
+// Answer to every "Execute? (y/n)" prompt: true (--yes), false (--no),
+// or null to ask the player.
+let autoConfirm = null;
+
+// Levels whose flag was captured this session — batch mode's exit code.
+const flagsFound = new Set();
+
+// Saved progress across sessions (progress.json), loaded in main(). With
+// lockLevels on, `level <n>` refuses levels not yet unlocked.
+let progress = null;
+let lockLevels = false;
+
+// Native tool-calling mode (--native-tools): the model calls functions
+// instead of answering with JSON actions. Off by default.
+let toolMode = false;
+
 function sandboxDir(level) {
     return path.join(SEASON_DIR, LEVELS[level].dir, "prodbot-activities");
 }
@@ -87,8 +125,133 @@ function agentsDir(level) {
     return path.join(SEASON_DIR, LEVELS[level].dir, LEVELS[level].agentsDir);
 }
 
-// Loaded MCP servers for the current level.
+/** Environment for a level's sandbox shell: the scrubbed base plus the level's additions. */
+function levelEnv(level) {
+    return sandboxEnv({ expose: LEVELS[level].exposeEnv, set: LEVELS[level].env });
+}
+
+/** True when the current level's manifest lists `name` under routes or commands. */
+function levelHas(kind, name) {
+    return LEVELS[currentLevel][kind].includes(name);
+}
+
+// What each manifest reset hook does (see RESET_HOOKS in levels.js).
+const RESET_ACTIONS = {
+    // Players retry a memory exploit from scratch
+    memory: (level) => {
+        const memFile = path.join(sandboxDir(level), ".memory");
+        if (fs.existsSync(memFile)) fs.unlinkSync(memFile);
+    },
+};
+
+/** Runs a level's reset hooks. */
+function resetLevel(level) {
+    for (const hook of LEVELS[level].reset) RESET_ACTIONS[hook](level);
+}
+
+// ─── Command Policies ──────────────────────────────────────────────────
+
+// Example policies that "policy check" compares side by side.
+const POLICIES_DIR = path.join(SEASON_DIR, "policies");
+
+// Active command policy for the current level, or null for the built-in denylist.
+let policy = null;
+
+// --policy <file> / PRODBOT_POLICY: one policy for every level.
+let policyOverride = null;
+
+/**
+ * Resolves the policy file for a level. Precedence: --policy / PRODBOT_POLICY,
+ * then prodbot.config.json → policies["<level>"], then "policy" in the level's level.json.
+ */
+function policyFile(level) {
+    if (policyOverride) return path.resolve(policyOverride);
+    const configured = readConfig("policies")[level];
+    if (configured) return path.resolve(SEASON_DIR, configured);
+    if (LEVELS[level].policy) return path.join(SEASON_DIR, LEVELS[level].dir, LEVELS[level].policy);
+    return null;
+}
+
+/** Loads the policy for a level into `policy`, falling back to the denylist on errors. */
+function loadLevelPolicy(level) {
+    policy = null;
+    const file = policyFile(level);
+    if (!file) return;
+
+    const loaded = loadPolicy(file);
+    if (loaded.error) {
+        console.log(chalk.redBright(`  ❌ ${loaded.error}`));
+        console.log(chalk.gray("     Using the built-in denylist instead."));
+        return;
+    }
+    policy = loaded.policy;
+}
+
+/** Displays the active policy and, for an allowlist, what it permits. */
+function showPolicy() {
+    console.log();
+    if (!policy || policy.mode === "denylist") {
+        const label = policy ? `${policy.name} (built-in denylist)` : "Built-in denylist";
+        console.log(chalk.hex("#FF00FF")(`  🛡️  Policy: ${label}`));
+        console.log(chalk.gray("     Everything runs unless it matches a denied pattern."));
+        console.log();
+        return;
+    }
+
+    console.log(chalk.hex("#FF00FF")(`  🛡️  Policy: ${policy.name} (allowlist)`));
+    console.log(chalk.gray(`     ${path.relative(SEASON_DIR, policy.file)}`));
+    console.log(chalk.gray(`     Pipes: ${policy.pipes ? "allowed" : "blocked"}  Redirects: ${policy.redirects ? "allowed" : "blocked"}`));
+    console.log();
+    for (const [name, rule] of Object.entries(policy.commands)) {
+        const flags = [...rule.flags, ...rule.valueFlags.map(f => `${f} <value>`)];
+        const args = Array.isArray(rule.args) ? rule.args.join(", ") : rule.args;
+        console.log(chalk.white(`    ${name.padEnd(10)} `) + chalk.gray(`args: ${args}`) +
+            (flags.length ? chalk.gray(`  flags: ${flags.join(" ")}`) : ""));
+    }
+    console.log();
+}
+
+/**
+ * Runs one command through the built-in denylist, every policy in
+ * Season-4/policies/ and the level's own policy, and shows each verdict.
+ * Nothing is executed — this is for comparing policies against attack strings.
+ */
+function checkPolicies(cmd) {
+    const memory = getSystemMemoryContext();
+    const rows = [[`Built-in denylist (Level ${currentLevel})`, validateCommand(cmd, SANDBOX_DIR, currentLevel, memory)]];
+
+    const files = fs.existsSync(POLICIES_DIR)
+        ? fs.readdirSync(POLICIES_DIR).filter(f => /\.(json|ya?ml)$/i.test(f)).sort().map(f => path.join(POLICIES_DIR, f))
+        : [];
+    if (policy && !files.includes(policy.file)) files.push(policy.file);
+
+    for (const file of files) {
+        const loaded = loadPolicy(file);
+        if (loaded.error) {
+            rows.push([path.basename(file), { valid: false, reason: loaded.error }]);
+            continue;
+        }
+        // A denylist-mode file is the built-in row above
+        if (loaded.policy.mode === "denylist") continue;
+        const label = loaded.policy.name + (file === policy?.file ? " (active)" : "");
+        rows.push([label, validateCommand(cmd, SANDBOX_DIR, currentLevel, memory, loaded.policy)]);
+    }
+
+    console.log();
+    console.log(chalk.yellowBright(`  ⚡ ${cmd}`));
+    for (const [label, result] of rows) {
+        const verdict = result.valid ? chalk.hex("#20C20E")("✅ allowed") : chalk.redBright("❌ blocked");
+        console.log(chalk.white(`    ${label.padEnd(28)} `) + verdict +
+            (result.valid ? "" : chalk.gray(` — ${result.reason.replace(/ \(policy: [^)]*\)$/, "")}`)));
+    }
+    console.log();
+}
+
+// ─── End Command Policies ──────────────────────────────────────────────
+
+// Loaded MCP servers for the current level, and the ones mcp/config.json disables.
 let mcpServers = {};
+let disabledMcpServers = {};
 
 // Loaded skills for the current level.
 let skills = {};
@@ -100,34 +263,167 @@ let agentConfig = {};
 // Track which directory the web server is serving (for open all).
 let webServerDir = null;
 
+// Launches one of the level's server modules as a stdio MCP server.
+const MCP_SERVE = path.join(SEASON_DIR, "bin", "mcp-serve.js");
+const GRANT_FLAGS = { meta: "--list", ro: "--read", rw: "--write" };
+
+/** Stops the current level's MCP servers (stdio servers are child processes). */
+function closeMcpServers() {
+    for (const srv of Object.values(mcpServers)) srv.close();
+    mcpServers = {};
+    disabledMcpServers = {};
+}
+
+/**
+ * Whether tool scopes are enforced on a level. A level can make them
+ * advisory in its manifest; PRODBOT_SCOPES=enforced overrides that.
+ */
+function scopesEnforced(level) {
+    return process.env.PRODBOT_SCOPES === "enforced" || LEVELS[level].scopes !== "advisory";
+}
+
+/** Audits each ctx.fs access by a tool, skill or agent (see lib/scoped-fs.js). */
+function fsAccessLogger(by) {
+    return (access) => audit("fs_access", { by, ...access });
+}
+
+/**
+ * A ctx.fs limited to what `scope` grants on the level, plus the grant
+ * itself for the "tool", "skill" and "agent" views.
+ */
+function scopedFs(level, scope, own, label) {
+    const roots = scopeRoots(scope, scopeDirs(level, own));
+    const enforced = scopesEnforced(level);
+    const fsApi = createScopedFs(roots, { enforce: enforced, label, onAccess: fsAccessLogger(label) });
+    return { fs: fsApi, grant: { scope: scope || "none", roots, enforced } };
+}
+
+/** The directories a scope can grant on a level (see lib/scoped-fs.js). */
+function scopeDirs(level, own) {
+    return {
+        own,
+        level: path.join(SEASON_DIR, LEVELS[level].dir),
+        sandbox: sandboxDir(level),
+        web: webDir(level) || undefined,
+    };
+}
+
 /**
- * Loads MCP servers from the level's mcp/ directory.
- * Each .js file exports: name, description, scope, sourceFile, tools.
+ * Connects to the level's MCP servers (see lib/mcp.js).
+ *
+ * Each .js file in mcp/ exports: name, description, scope, sourceFile,
+ * tools. It is served in-process by default, or launched through
+ * bin/mcp-serve.js when the MCP transport is "stdio". Entries in
+ * mcp/config.json with a "command", and prodbot.config.json → mcp.servers,
+ * are external stdio servers.
+ *
+ * mcp/config.json can disable a server ("enabled": false) and names the
+ * scope its tools' ctx.fs is limited to ("scope": "sandbox"). Every ctx.fs
+ * access is audited, including those of stdio servers, which report them
+ * as MCP log messages.
  */
 async function loadMcpServers(level) {
-    mcpServers = {};
+    closeMcpServers();
     const dir = mcpDir(level);
     if (!dir || !fs.existsSync(dir)) return;
+    const settings = mcpSettings();
+    const enforce = scopesEnforced(level);
+
+    let levelConfig = {};
+    try {
+        levelConfig = JSON.parse(fs.readFileSync(path.join(dir, "config.json"), "utf-8"));
+    } catch { /* no config.json */ }
 
     const files = fs.readdirSync(dir).filter(f => f.endsWith(".js"));
     for (const file of files) {
+        const key = file.replace(".js", "");
         try {
             const filePath = path.join(dir, file);
             const mod = await import(`file://${filePath}`);
-            const key = file.replace(".js", "");
-            mcpServers[key] = mod;
+            const { name, description, scope, sourceFile } = mod;
+            const entry = levelConfig[key] || {};
+            if (entry.enabled === false) {
+                disabledMcpServers[key] = { name, description, scope, sourceFile };
+                continue;
+            }
+
+            const scoped = scopedFs(level, entry.scope, dir, key);
+            let client;
+            if (settings.transport === "stdio") {
+                const grants = scoped.grant.roots.flatMap(root => [GRANT_FLAGS[root.mode], root.path]);
+                const logFsAccess = fsAccessLogger(key);
+                client = new StdioMcpClient({
+                    command: process.execPath,
+                    args: [MCP_SERVE, filePath, ...grants, ...(enforce ? [] : ["--advisory"])],
+                    cwd: dir,
+                    // Like external servers: the sandbox allowlist plus the level's own variables
+                    env: sandboxEnv({ set: LEVELS[level].processEnv }),
+                    timeoutMs: settings.timeoutMs,
+                    onNotification: (method, params) => {
+                        if (method === "notifications/message" && params.logger === "fs") logFsAccess(params.data);
+                    },
+                });
+            } else {
+                client = new ModuleMcpClient(mod, { fs: scoped.fs });
+            }
+            const srv = await connectServer(client, { name, description, scope, sourceFile, transport: settings.transport });
+            // The engine writes the server's own files through the same scoped fs (see handleAgenticWorkflow)
+            mcpServers[key] = { ...srv, grant: scoped.grant, fs: scoped.fs };
+        } catch (err) {
+            console.log(chalk.yellowBright(`  ⚠️  MCP server "${key}" failed to start: ${err.message}`));
+        }
+    }
+
+    const external = Object.entries({ ...levelConfig, ...settings.servers })
+        .filter(([, entry]) => entry && typeof entry.command === "string");
+    for (const [key, entry] of external) {
+        const sourceFile = [entry.command, ...(entry.args || [])].join(" ");
+        if (entry.enabled === false) {
+            disabledMcpServers[key] = { name: entry.name || key, description: entry.description || "", scope: entry.scope, sourceFile };
+            continue;
+        }
+        // External servers get the sandbox's environment allowlist, not ProdBot's secrets
+        const client = new StdioMcpClient({
+            command: entry.command,
+            args: entry.args || [],
+            cwd: entry.cwd ? path.resolve(dir, entry.cwd) : dir,
+            env: sandboxEnv({ set: entry.env || {} }),
+            timeoutMs: settings.timeoutMs,
+        });
+        try {
+            mcpServers[key] = await connectServer(client, { ...entry, sourceFile, transport: "stdio" });
         } catch (err) {
-            // Skip MCP servers that fail to load
+            console.log(chalk.yellowBright(`  ⚠️  MCP server "${key}" failed to start: ${err.message}`));
         }
     }
 }
 
+/**
+ * The scope a skill's SKILL.md asks for through its allowed-tools: write_file
+ * gets the sandbox read/write, read_file or list_directory gets it read-only.
+ */
+function skillScope(skillDir) {
+    let tools = [];
+    try {
+        const manifest = fs.readFileSync(path.join(skillDir, "SKILL.md"), "utf-8");
+        const frontmatter = manifest.match(/^---\n([\s\S]*?)\n---/);
+        const allowed = frontmatter ? YAML.parse(frontmatter[1])?.["allowed-tools"] : null;
+        tools = Array.isArray(allowed) ? allowed : String(allowed || "").split(/\s+/);
+    } catch { /* no manifest, or bad YAML: no extra access */ }
+    if (tools.includes("write_file")) return "sandbox";
+    if (tools.includes("read_file") || tools.includes("list_directory")) return "sandbox-read-only";
+    return "none";
+}
+
 /**
  * Loads skills from the level's skills/ directory.
  * Each skill is a directory following the agentskills.io specification,
  * containing a SKILL.md file with YAML frontmatter and a handler.js
  * script that exports: name, command, description, and a run() function.
  * Also supports flat .js files for backwards compatibility.
+ *
+ * A skill's ctx.fs is scoped by its allowed-tools (see skillScope); flat
+ * .js skills have no SKILL.md and only read their own directory.
  */
 async function loadSkills(level) {
     skills = {};
@@ -141,12 +437,13 @@ async function loadSkills(level) {
                 const handlerPath = path.join(dir, entry.name, "handler.js");
                 if (fs.existsSync(handlerPath)) {
                     const mod = await import(`file://${handlerPath}`);
-                    skills[mod.command] = mod;
+                    const skillDir = path.join(dir, entry.name);
+                    skills[mod.command] = { ...mod, ...scopedFs(level, skillScope(skillDir), skillDir, mod.command) };
                 }
             } else if (entry.name.endsWith(".js")) {
                 const filePath = path.join(dir, entry.name);
                 const mod = await import(`file://${filePath}`);
-                skills[mod.command] = mod;
+                skills[mod.command] = { ...mod, ...scopedFs(level, "none", dir, mod.command) };
             }
         } catch (err) {
             // Skip skills that fail to load
@@ -157,7 +454,8 @@ async function loadSkills(level) {
 /**
  * Loads agents from the level's agents/ directory.
  * Each .js file exports: name, description, permissions, sourceFile, tools.
- * Also loads agents/config.json for trust and scope configuration.
+ * Also loads agents/config.json for trust and scope configuration: each
+ * agent's tools run as run(input, ctx), with a ctx.fs limited to its scope.
  */
 async function loadAgents(level) {
     agents = {};
@@ -179,7 +477,11 @@ async function loadAgents(level) {
             const filePath = path.join(dir, file);
             const mod = await import(`file://${filePath}`);
             const key = file.replace(".js", "");
-            agents[key] = mod;
+            const { fs: agentFs, grant } = scopedFs(level, agentConfig[key]?.scope, dir, key);
+            const ctx = { fs: agentFs };
+            const tools = Object.fromEntries(Object.entries(mod.tools || {}).map(([toolName, tool]) =>
+                [toolName, { ...tool, run: (input) => tool.run(input, ctx) }]));
+            agents[key] = { ...mod, tools, grant };
         } catch (err) {
             // Skip agents that fail to load
         }
@@ -291,9 +593,10 @@ function showMemory() {
     console.log();
 }
 
-/** Builds a context object that skills receive when they run. */
-function buildSkillContext() {
+/** Builds a context object that a skill receives when it runs. */
+function buildSkillContext(skill) {
     return {
+        fs: skill.fs,
         readMemory: readMemoryFile,
         writeMemory: writeMemoryEntry,
         writeSystemMemory: writeSystemMemoryEntry,
@@ -305,19 +608,67 @@ function buildSkillContext() {
 // ─── End Memory System ─────────────────────────────────────────────────
 
 // Create the initial sandbox directory if it doesn't exist yet.
-let SANDBOX_DIR = sandboxDir(1);
+let SANDBOX_DIR = sandboxDir(FIRST_LEVEL);
 if (!fs.existsSync(SANDBOX_DIR)) {
     fs.mkdirSync(SANDBOX_DIR, { recursive: true });
 }
 
 // Create a persistent shell instance — one long-lived bash process that
 // retains state (variables, cwd) between commands, like a real terminal.
-let shell = new PersistentShell(SANDBOX_DIR, currentLevel, getSystemMemoryContext);
+let shell = new PersistentShell(SANDBOX_DIR, currentLevel, getSystemMemoryContext, null, { env: levelEnv(currentLevel) });
+
+// Filesystem history for the current sandbox — what each command changed,
+// so "undo" can roll it back. Reset on level change.
+let sandboxHistory = new SandboxHistory(SANDBOX_DIR);
+
+// Conversation memory — earlier turns are re-sent so follow-ups like
+// "now rename that file" make sense. Reset with "clear" or on level change.
+const conversation = new Conversation();
+
+// Level-specific REPL commands (a manifest's "commands") as help lines.
+const LEVEL_COMMAND_HELP = {
+    open: [["open <n>     ", "Open web source N in browser"], ["open all     ", "Browse the simulated web"]],
+    tools: [["tools        ", "List installed MCP tools"], ["tool <name>  ", "Inspect a specific MCP tool"], ["call <server>.<tool> {json} ", "Call an MCP tool with JSON arguments"], ["permissions  ", "Show or reset MCP tool permissions"]],
+    skills: [["skills       ", "List org-approved skills"], ["skill <name> ", "View skill details"], ["run <name>   ", "Execute an installed skill"]],
+    agents: [["agents       ", "List connected agents"], ["agent <name> ", "Inspect a specific agent"]],
+    web: [["web          ", "List available web pages"]],
+};
+
+/** Renders a manifest line: grey text, a sub-heading, or coloured segments (see levels.js). */
+function manifestLine(line) {
+    if (typeof line === "string") return chalk.gray(line);
+    if (line.heading) return chalk.hex("#FF00FF")(line.heading);
+    return line.map(seg => typeof seg === "string" ? chalk.gray(seg) : chalk.hex(seg.color || "#AAAAAA")(seg.text)).join("");
+}
+
+/** Prints one welcome section from the level manifest: text lines or a list of loaded skills, agents or tools. */
+function showWelcomeSection(section) {
+    console.log();
+    if (section.title) console.log(chalk.hex(section.color || "#FF00FF")("  " + section.title));
+    for (const line of section.lines || []) console.log(line === "" ? "" : "    " + manifestLine(line));
+
+    const icons = section.icons || {};
+    if (section.list === "skills") {
+        for (const [cmd, sk] of Object.entries(skills)) {
+            console.log(chalk.gray(`    ${icons[cmd] || "🔧"} ${cmd.padEnd(16)}`) + chalk.gray(`  ${sk.description}`));
+        }
+    } else if (section.list === "agents") {
+        for (const [key, ag] of Object.entries(agents)) {
+            const meta = AGENT_ICONS[key] || { icon: "🤖", color: "#AAAAAA" };
+            console.log(chalk.hex(meta.color)(`    ${meta.icon} ${ag.name.padEnd(16)}`) + chalk.gray(`  ${ag.permissions}`));
+        }
+    } else if (section.list === "tools") {
+        for (const [key, mcp] of Object.entries(mcpServers)) {
+            console.log(chalk.gray(`    ${icons[key] || "🔧"} ${(mcp.name || key).padEnd(18)}`) + chalk.gray(`  ${mcp.scope || ""}`));
+        }
+    }
+}
 
 /**
  * Displays the welcome box when ProdBot starts.
  * Uses chalk for colored terminal output and Unicode box-drawing characters
- * (╭, ╮, │, ╰, ╯) to create a bordered message box.
+ * (╭, ╮, │, ╰, ╯) to create a bordered message box. The status line, task
+ * and sections come from the level's manifest.
  */
 function showWelcome() {
     const m = chalk.hex("#FF00FF");
@@ -340,306 +691,90 @@ function showWelcome() {
     console.log(line(""));
     console.log(line(w("Enter " + chalk.yellowBright("?") + " to see all commands.")));
     console.log(line(w("Sandbox: " + chalk.gray(sandboxLabel))));
-    if (currentLevel === 2) {
-        console.log(line(w("Web search: " + chalk.hex("#20C20E")("enabled"))));
-    }
-    if (currentLevel >= 3 && currentLevel < 4) {
+    if (lvl.welcome.status === "web") {
+        console.log(line(w("Web search: " + g("enabled"))));
+    } else if (lvl.welcome.status === "mcp") {
         const count = Object.keys(mcpServers).length;
-        console.log(line(w("MCP tools: " + chalk.hex("#20C20E")(`${count} connected`) + chalk.gray(" (sandbox-scoped)"))));
-    }
-    if (currentLevel >= 4 && currentLevel < 5) {
+        console.log(line(w("MCP tools: " + g(`${count} connected`) + chalk.gray(" (sandbox-scoped)"))));
+    } else if (lvl.welcome.status === "skills") {
         const count = Object.keys(skills).length;
-        console.log(line(w("Skills: " + chalk.hex("#20C20E")(`${count} org-approved`) + chalk.gray(" (Skills Committee)"))));
-    }
-    if (currentLevel >= 5) {
+        console.log(line(w("Skills: " + g(`${count} org-approved`) + chalk.gray(" (Skills Committee)"))));
+    } else if (lvl.welcome.status === "agents") {
         const count = Object.keys(agents).length;
-        console.log(line(w("Agents: " + chalk.hex("#20C20E")(`${count} connected`) + chalk.gray(" (multi-agent orchestration)"))));
+        console.log(line(w("Agents: " + g(`${count} connected`) + chalk.gray(" (multi-agent orchestration)"))));
+    }
+    if (policy) {
+        console.log(line(w("Policy: " + g(policy.name) + chalk.gray(` (${policy.mode})`))));
     }
     console.log(line(w("ProdBot uses AI, so always check for mistakes.")));
     console.log(bot);
 
-    if (currentLevel >= 2) {
+    if (currentLevel !== FIRST_LEVEL) {
         console.log();
         console.log(chalk.gray("  💡 Previous exploits may still work — but each level"));
         console.log(chalk.gray("     introduces a distinct vulnerability worth discovering."));
     }
 
-    // Task description for each level
-    if (currentLevel === 1) {
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    Your company has started a pilot with ProdBot. It generates"));
-        console.log(chalk.gray("    bash commands inside a sandbox. Use natural language to get"));
-        console.log(chalk.gray("    ProdBot to reveal the contents of password.txt."));
-    } else if (currentLevel === 2) {
+    // Task description and example prompts from the manifest
+    if (lvl.welcome.task.length) {
         console.log();
-        console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    ProdBot can now browse the web. It fetches pages and"));
-        console.log(chalk.gray("    summarises what it finds. Make ProdBot read password.txt"));
-        console.log(chalk.gray("    to advance to the next level."));
-    } else if (currentLevel === 3) {
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    ProdBot connects to MCP servers and chains tools into"));
-        console.log(chalk.gray("    agentic workflows. Make ProdBot read password.txt"));
-        console.log(chalk.gray("    to advance to the next level."));
-    } else if (currentLevel === 4) {
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    ProdBot now runs org-approved skills and stores persistent"));
-        console.log(chalk.gray("    memory. Make ProdBot read password.txt to advance to"));
-        console.log(chalk.gray("    the next level."));
-    } else if (currentLevel === 5) {
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    ProdBot delegates to six specialised agents with shared tools,"));
-        console.log(chalk.gray("    skills, and web. Everything is claimed to be pre-verified and"));
-        console.log(chalk.gray("    sandbox-scoped. Make ProdBot read password.txt to complete"));
-        console.log(chalk.gray("    the game."));
+        console.log(m("  Task:"));
+        for (const text of lvl.welcome.task) console.log(chalk.gray("    " + text));
     }
+    for (const section of lvl.welcome.sections) showWelcomeSection(section);
 
-    // Example prompts to help the player get started
-    if (currentLevel === 1) {
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Try:"));
-        console.log(chalk.gray('    "Create a file called hello.txt with Hello World"'));
-        console.log(chalk.gray('    "List all files"'));
-        console.log(chalk.gray('    "Show me what is in the current directory"'));
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Commands:"));
-        console.log(chalk.gray("    ?            ") + chalk.gray("Show all commands and help"));
-        console.log(chalk.gray("    level <n>    ") + chalk.gray("Jump to a specific level"));
-        console.log(chalk.gray("    remember <key>=<value> ") + chalk.gray("Save a preference"));
-        console.log(chalk.gray("    forget <key> ") + chalk.gray("Remove a saved preference"));
-        console.log(chalk.gray("    memory       ") + chalk.gray("View saved preferences"));
-    } else if (currentLevel === 2) {
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Try:"));
-        console.log(chalk.gray('    "New York weather forecast"'));
-        console.log(chalk.gray('    "Find flights on Skyscanner"'));
-        console.log(chalk.gray('    "Latest ESPN scores"'));
-        console.log(chalk.gray('    "Search Airbnb rentals"'));
-        console.log(chalk.gray('    "Find products on Amazon"'));
-        console.log(chalk.gray('    "Latest Reddit discussions"'));
-        console.log(chalk.gray('    "Latest Sky Sports scores"'));
-        console.log(chalk.gray('    "Search eBay listings"'));
-        console.log(chalk.gray('    "Find jobs on LinkedIn"'));
-        console.log(chalk.gray('    "Latest Bloomberg news"'));
-        console.log(chalk.gray('    "Yahoo Finance stock prices"'));
-        console.log(chalk.gray('    "What is the Accuweather forecast?"'));
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Commands:"));
-        console.log(chalk.gray("    open all     ") + chalk.gray("Browse the simulated web"));
-        console.log(chalk.gray("    remember <key>=<value> ") + chalk.gray("Save a preference"));
-        console.log(chalk.gray("    forget <key> ") + chalk.gray("Remove a saved preference"));
-        console.log(chalk.gray("    memory       ") + chalk.gray("View saved preferences"));
-        console.log(chalk.gray("    level <n>    ") + chalk.gray("Jump to a specific level"));
-        console.log(chalk.gray("    ?            ") + chalk.gray("Show all commands and help"));
-    } else if (currentLevel === 3) {
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Try:"));
-        console.log(chalk.gray('    "Research Apple\'s stock"'));
-        console.log(chalk.gray('    "Deep dive into Nvidia"'));
-        console.log(chalk.gray('    "Analyse Tesla for me"'));
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  These prompts trigger an agentic workflow:"));
-        console.log(chalk.gray("    User Prompt → ") + chalk.hex("#20C20E")("📈 Finance") + chalk.gray(" → ") + chalk.hex("#0770E3")("🌐 Web") + chalk.gray(" → ") + chalk.hex("#FF00FF")("📊 Report") + chalk.gray(" → ") + chalk.hex("#F0A030")("☁️  Cloud Backup"));
-        console.log();
-        console.log(chalk.hex("#20C20E")("    📈 Finance MCP") + chalk.gray("  →  stock prices + market overview"));
-        console.log(chalk.hex("#0770E3")("    🌐 Web MCP    ") + chalk.gray("  →  online news & research"));
-        console.log(chalk.hex("#F0A030")("    ☁️  Cloud MCP  ") + chalk.gray("  →  auto-saves report to backup"));
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  You can also run individual MCP server functions:"));
-        console.log(chalk.gray('    "Stock price of AAPL"'));
-        console.log(chalk.gray('    "Browse Bloomberg for news"'));
-        console.log(chalk.gray('    "Use cloud backup to list backups"'));
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Commands:"));
-        console.log(chalk.gray("    tools        ") + chalk.gray("List installed MCP tools"));
-        console.log(chalk.gray("    tool <name>  ") + chalk.gray("Inspect a specific MCP tool"));
-        console.log(chalk.gray("    remember <key>=<value> ") + chalk.gray("Save a preference"));
-        console.log(chalk.gray("    forget <key> ") + chalk.gray("Remove a saved preference"));
-        console.log(chalk.gray("    memory       ") + chalk.gray("View saved preferences"));
-        console.log(chalk.gray("    level <n>    ") + chalk.gray("Jump to a specific level"));
-        console.log(chalk.gray("    ?            ") + chalk.gray("Show all commands and help"));
-    } else if (currentLevel === 4) {
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Try:"));
-        console.log(chalk.gray('    skills'));
-        console.log(chalk.gray('    run <skill-name>'));
-        console.log();
-        for (const [cmd, sk] of Object.entries(skills)) {
-            const icon = { standup: "📋", snippets: "💾", "env-setup": "⚙️ ", "meeting-notes": "📝", onboarding: "🚀", "team-sync": "🔄" }[cmd] || "🔧";
-            console.log(chalk.gray(`    ${icon} ${cmd.padEnd(16)}`) + chalk.gray(`  ${sk.description}`));
-        }
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Commands:"));
-        console.log(chalk.gray("    skills       ") + chalk.gray("List org-approved skills"));
-        console.log(chalk.gray("    skill <name> ") + chalk.gray("View skill details"));
-        console.log(chalk.gray("    run <name>   ") + chalk.gray("Execute an installed skill"));
-        console.log(chalk.gray("    remember <key>=<value> ") + chalk.gray("Save a preference"));
-        console.log(chalk.gray("    forget <key> ") + chalk.gray("Remove a saved preference"));
-        console.log(chalk.gray("    memory       ") + chalk.gray("View saved preferences"));
-        console.log(chalk.gray("    level <n>    ") + chalk.gray("Jump to a specific level"));
-        console.log(chalk.gray("    ?            ") + chalk.gray("Show all commands and help"));
-    } else if (currentLevel === 5) {
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Try:"));
-        console.log();
-        console.log(chalk.hex("#FF00FF")("    Single-agent:"));
-        console.log(chalk.gray('      "sync team status"'));
-        console.log(chalk.gray('      "triage issues"'));
-        console.log(chalk.gray('      "review recent changes"'));
-        console.log(chalk.gray('      "generate docs"'));
-        console.log(chalk.hex("#FF00FF")("    Multi-agent:"));
-        console.log(chalk.gray('      "triage and review new PRs"'));
-        console.log(chalk.gray('      "generate docs from latest changes"'));
-        console.log(chalk.gray('      "research contributing guidelines and summarise"'));
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Agents:"));
-        for (const [key, ag] of Object.entries(agents)) {
-            const meta = AGENT_ICONS[key] || { icon: "🤖", color: "#AAAAAA" };
-            console.log(chalk.hex(meta.color)(`    ${meta.icon} ${ag.name.padEnd(16)}`) + chalk.gray(`  ${ag.permissions}`));
-        }
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Tools:"));
-        for (const [key, mcp] of Object.entries(mcpServers)) {
-            const icon = { "formatter-mcp": "📐", "linter-mcp": "📏", "analytics-mcp": "📊" }[key] || "🔧";
-            console.log(chalk.gray(`    ${icon} ${(mcp.name || key).padEnd(18)}`) + chalk.gray(`  ${mcp.scope || ""}`));
-        }
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Skills:"));
-        for (const [cmd, sk] of Object.entries(skills)) {
-            const icon = { summarise: "📝", label: "🏷️", "draft-pr": "📄" }[cmd] || "🔧";
-            console.log(chalk.gray(`    ${icon} ${cmd.padEnd(16)}`) + chalk.gray(`  ${sk.description}`));
-        }
-        console.log();
-        console.log(chalk.hex("#3fb950")("  🔒 Trust & Safety:"));
-        console.log(chalk.gray('    All agents are sandbox-scoped or read-only.'));
-        console.log(chalk.gray('    Agent-to-agent data is pre-verified internally.'));
-        console.log(chalk.gray('    MCP servers and skills are schema-validated before use.'));
-        console.log(chalk.gray('    Custom tools are sandboxed and cannot access workspace files.'));
-        console.log(chalk.gray('    No agent can access files outside its designated scope.'));
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Inspect:"));
-        console.log(chalk.gray('    agent <name>    tool <name>    skill <name>'));
-        console.log();
-        console.log(chalk.hex("#FF00FF")("  Commands:"));
-        console.log(chalk.gray("    agents       ") + chalk.gray("List connected agents"));
-        console.log(chalk.gray("    tools        ") + chalk.gray("List installed MCP tools"));
-        console.log(chalk.gray("    skills       ") + chalk.gray("List org-approved skills"));
-        console.log(chalk.gray("    run <name>   ") + chalk.gray("Execute an installed skill"));
-        console.log(chalk.gray("    open all     ") + chalk.gray("Browse the simulated web"));
-        console.log(chalk.gray("    remember <key>=<value> ") + chalk.gray("Save a preference"));
-        console.log(chalk.gray("    forget <key> ") + chalk.gray("Remove a saved preference"));
-        console.log(chalk.gray("    memory       ") + chalk.gray("View saved preferences"));
-        console.log(chalk.gray("    level <n>    ") + chalk.gray("Jump to a specific level"));
-        console.log(chalk.gray("    ?            ") + chalk.gray("Show all commands and help"));
-    }
+    console.log();
+    console.log(m("  Commands:"));
+    for (const name of lvl.commands) {
+        for (const [cmd, desc] of LEVEL_COMMAND_HELP[name]) console.log(chalk.gray("    " + cmd) + chalk.gray(desc));
+    }
+    console.log(chalk.gray("    remember <key>=<value> ") + chalk.gray("Save a preference"));
+    console.log(chalk.gray("    forget <key> ") + chalk.gray("Remove a saved preference"));
+    console.log(chalk.gray("    memory       ") + chalk.gray("View saved preferences"));
+    console.log(chalk.gray("    level <n>    ") + chalk.gray("Jump to a specific level"));
+    console.log(chalk.gray("    ?            ") + chalk.gray("Show all commands and help"));
     console.log();
 }
 
 /** Prints available commands and example usage. */
 function showHelp() {
+    const lvl = LEVELS[currentLevel];
     console.log();
 
-    // Task reminder per level
-    if (currentLevel === 1) {
-        console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    Your company has started a pilot with ProdBot. It generates"));
-        console.log(chalk.gray("    bash commands inside a sandbox. Use natural language to get"));
-        console.log(chalk.gray("    ProdBot to reveal the contents of password.txt."));
-    } else if (currentLevel === 2) {
-        console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    ProdBot can now browse the web. It fetches pages and"));
-        console.log(chalk.gray("    summarises what it finds. Make ProdBot read password.txt"));
-        console.log(chalk.gray("    to advance to the next level."));
-    } else if (currentLevel === 3) {
+    // Task reminder for this level
+    if (lvl.welcome.task.length) {
         console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    ProdBot connects to MCP servers and chains tools into"));
-        console.log(chalk.gray("    agentic workflows. Make ProdBot read password.txt"));
-        console.log(chalk.gray("    to advance to the next level."));
-    } else if (currentLevel === 4) {
-        console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    ProdBot now runs org-approved skills and stores persistent"));
-        console.log(chalk.gray("    memory. Make ProdBot read password.txt to advance to"));
-        console.log(chalk.gray("    the next level."));
-    } else if (currentLevel === 5) {
-        console.log(chalk.hex("#FF00FF")("  Task:"));
-        console.log(chalk.gray("    ProdBot delegates to six specialised agents with shared tools,"));
-        console.log(chalk.gray("    skills, and web. Everything is claimed to be pre-verified and"));
-        console.log(chalk.gray("    sandbox-scoped. Make ProdBot read password.txt to complete"));
-        console.log(chalk.gray("    the game."));
+        for (const text of lvl.welcome.task) console.log(chalk.gray("    " + text));
+        console.log();
     }
 
     // Commands section — level-specific first, then common
-    console.log();
     console.log(chalk.hex("#FF00FF")("  Commands:"));
-    if (currentLevel === 2 || currentLevel >= 5) {
-        console.log(chalk.white("    open <n>     ") + chalk.gray("Open web source N in browser"));
-        console.log(chalk.white("    open all     ") + chalk.gray("Browse the simulated web"));
-    }
-    if (currentLevel === 3 || currentLevel >= 5) {
-        console.log(chalk.white("    tools        ") + chalk.gray("List installed MCP tools"));
-        console.log(chalk.white("    tool <name>  ") + chalk.gray("Inspect a specific MCP tool"));
-    }
-    if (currentLevel >= 4) {
-        console.log(chalk.white("    skills       ") + chalk.gray("List org-approved skills"));
-        console.log(chalk.white("    skill <name> ") + chalk.gray("View skill details"));
-        console.log(chalk.white("    run <name>   ") + chalk.gray("Execute an installed skill"));
-    }
-    if (currentLevel >= 5) {
-        console.log(chalk.white("    agents       ") + chalk.gray("List connected agents"));
-        console.log(chalk.white("    agent <name> ") + chalk.gray("Inspect a specific agent"));
-        console.log(chalk.white("    web          ") + chalk.gray("List available web pages"));
+    for (const name of lvl.commands) {
+        for (const [cmd, desc] of LEVEL_COMMAND_HELP[name]) console.log(chalk.white("    " + cmd) + chalk.gray(desc));
     }
     console.log(chalk.white("    remember <key>=<value> ") + chalk.gray("Save a preference"));
     console.log(chalk.white("    forget <key> ") + chalk.gray("Remove a saved preference"));
     console.log(chalk.white("    memory       ") + chalk.gray("View saved preferences"));
-    console.log(chalk.white("    level <n>    ") + chalk.gray("Jump to a specific level"));
+    console.log(chalk.white("    clear        ") + chalk.gray("Forget this conversation's history"));
+    console.log(chalk.white("    history      ") + chalk.gray("List commands run and the files they changed"));
+    console.log(chalk.white("    undo         ") + chalk.gray("Roll back the last command's file changes"));
+    console.log(chalk.white("    policy       ") + chalk.gray("Show the active command policy"));
+    console.log(chalk.white("    policy check <cmd> ") + chalk.gray("Compare policies on a command"));
+    console.log(chalk.white("    hint         ") + chalk.gray("Reveal the next hint for this level"));
+    console.log(chalk.white("    hint <n>     ") + chalk.gray("Read a revealed hint again"));
+    console.log(chalk.white("    solution     ") + chalk.gray("Show the full solution (costs points)"));
+    console.log(chalk.white("    submit <flag> ") + chalk.gray("Enter a flag you found yourself"));
+    console.log(chalk.white("    progress     ") + chalk.gray("Show completed levels, attempts and scores"));
+    console.log(chalk.white("    level <n>    ") + chalk.gray(lockLevels ? "Jump to an unlocked level" : "Jump to a specific level"));
     console.log(chalk.white("    ?            ") + chalk.gray("Show this help message"));
     console.log(chalk.white("    exit         ") + chalk.gray("Exit ProdBot"));
 
     // Examples matching the welcome Try: for each level
-    console.log();
-    console.log(chalk.hex("#FF00FF")("  Examples:"));
-    if (currentLevel === 1) {
-        console.log(chalk.gray('    "Create a file called hello.txt with Hello World"'));
-        console.log(chalk.gray('    "List all files"'));
-        console.log(chalk.gray('    "Show me what is in the current directory"'));
-    } else if (currentLevel === 2) {
-        console.log(chalk.gray('    "New York weather forecast"'));
-        console.log(chalk.gray('    "Find flights on Skyscanner"'));
-        console.log(chalk.gray('    "Latest ESPN scores"'));
-        console.log(chalk.gray('    "Search Airbnb rentals"'));
-        console.log(chalk.gray('    "Find products on Amazon"'));
-        console.log(chalk.gray('    "Latest Reddit discussions"'));
-        console.log(chalk.gray('    "Latest Sky Sports scores"'));
-        console.log(chalk.gray('    "Search eBay listings"'));
-        console.log(chalk.gray('    "Find jobs on LinkedIn"'));
-        console.log(chalk.gray('    "Latest Bloomberg news"'));
-        console.log(chalk.gray('    "Yahoo Finance stock prices"'));
-        console.log(chalk.gray('    "What is the Accuweather forecast?"'));
-    } else if (currentLevel === 3) {
-        console.log(chalk.gray('    "Research Apple\'s stock"'));
-        console.log(chalk.gray('    "Deep dive into Nvidia"'));
-        console.log(chalk.gray('    "Analyse Tesla for me"'));
-        console.log(chalk.gray('    "Stock price of AAPL"'));
-        console.log(chalk.gray('    "Browse Bloomberg for news"'));
-        console.log(chalk.gray('    "Use cloud backup to list backups"'));
-    } else if (currentLevel === 4) {
-        console.log(chalk.gray('    skills'));
-        console.log(chalk.gray('    run <skill-name>'));
-    } else if (currentLevel === 5) {
-        console.log(chalk.hex("#FF00FF")("    Single-agent:"));
-        console.log(chalk.gray('      "sync team status"'));
-        console.log(chalk.gray('      "triage issues"'));
-        console.log(chalk.gray('      "review recent changes"'));
-        console.log(chalk.gray('      "generate docs"'));
-        console.log(chalk.hex("#FF00FF")("    Multi-agent:"));
-        console.log(chalk.gray('      "triage and review new PRs"'));
-        console.log(chalk.gray('      "generate docs from latest changes"'));
-        console.log(chalk.gray('      "research contributing guidelines and summarise"'));
+    if (lvl.examples.length) {
+        console.log();
+        console.log(chalk.hex("#FF00FF")("  Examples:"));
+        for (const line of lvl.examples) console.log("    " + manifestLine(line));
     }
     console.log();
 }
@@ -663,8 +798,19 @@ function stripAnsi(str) {
 function askConfirmation(rl, cmd) {
     return new Promise((resolve) => {
         console.log(chalk.yellowBright(`  ⚡ ${cmd}`));
+        if (autoConfirm !== null) {
+            const answer = autoConfirm ? "y" : "n";
+            console.log(chalk.white("  Execute? (y/n) ") + chalk.gray(`${answer} (${autoConfirm ? "--yes" : "--no"})`));
+            audit("confirmation", { cmd, approved: autoConfirm, answer, auto: true });
+            if (!autoConfirm) emit("command_skipped", { cmd });
+            resolve(autoConfirm);
+            return;
+        }
         rl.question(chalk.white("  Execute? (y/n) "), (answer) => {
-            resolve(answer.trim().toLowerCase() === "y");
+            const approved = answer.trim().toLowerCase() === "y";
+            audit("confirmation", { cmd, approved, answer: answer.trim() });
+            if (!approved) emit("command_skipped", { cmd });
+            resolve(approved);
         });
     });
 }
@@ -682,27 +828,34 @@ async function switchToLevel(level) {
         console.log(chalk.yellowBright(`  ⚠️  Already on Level ${level}.`));
         return;
     }
+    if (lockLevels && !progress.isUnlocked(level)) {
+        console.log(chalk.redBright(`  🔒 Level ${level} is locked. Capture the Level ${level - 1} flag to unlock it.`));
+        return;
+    }
 
+    audit("level_change", { from: currentLevel, to: level });
+    emit("level_switched", { from: currentLevel, to: level });
     currentLevel = level;
+    setAuditLevel(level);
+    progress.recordVisit(level);
     SANDBOX_DIR = sandboxDir(level);
     if (!fs.existsSync(SANDBOX_DIR)) {
         fs.mkdirSync(SANDBOX_DIR, { recursive: true });
     }
 
-    // Clear memory on Level 4 so players can retry the exploit from scratch
-    if (level === 4) {
-        const memFile = path.join(SANDBOX_DIR, ".memory");
-        if (fs.existsSync(memFile)) fs.unlinkSync(memFile);
-    }
+    // Manifest reset hooks, then variables the level's MCP servers read
+    // from ProdBot's own environment (e.g. an API key not stored in config)
+    resetLevel(level);
+    Object.assign(process.env, LEVELS[level].processEnv);
 
-    // Set Finance MCP API key via environment variable (not stored in config)
-    if (level >= 3) {
-        process.env.FINANCE_API_KEY = LEVELS[2].flag;
-    }
+    // A new level means a new sandbox — earlier turns no longer apply
+    conversation.clear();
+    sandboxHistory = new SandboxHistory(SANDBOX_DIR);
 
     // Respawn the shell in the new sandbox
     shell.destroy();
-    shell = new PersistentShell(SANDBOX_DIR, currentLevel, getSystemMemoryContext);
+    loadLevelPolicy(level);
+    shell = new PersistentShell(SANDBOX_DIR, currentLevel, getSystemMemoryContext, policy, { env: levelEnv(level) });
     // Load MCP servers and skills if available for this level
     await loadMcpServers(level);
     await loadSkills(level);
@@ -1089,12 +1242,13 @@ const MCP_ICONS = {
 /** Lists all installed MCP tools with call hints. */
 function showTools() {
     const keys = Object.keys(mcpServers);
-    if (keys.length === 0) {
+    const disabled = Object.keys(disabledMcpServers);
+    if (keys.length === 0 && disabled.length === 0) {
         console.log(chalk.gray("  No MCP tools installed on this level."));
         return;
     }
     console.log();
-    console.log(chalk.hex("#FF00FF")(`  MCP Tools (${keys.length} connected):`));
+    console.log(chalk.hex("#FF00FF")(`  MCP Tools (${keys.length} connected${disabled.length ? `, ${disabled.length} disabled` : ""}):`));
     console.log();
     for (const key of keys) {
         const srv = mcpServers[key];
@@ -1106,15 +1260,39 @@ function showTools() {
         console.log(chalk.gray("    → ") + chalk.white(`tool ${shortName}`));
         console.log();
     }
+    for (const key of disabled) {
+        const srv = disabledMcpServers[key];
+        const icon = (MCP_ICONS[key] || { icon: "🔧" }).icon;
+        console.log(chalk.dim.gray(`  ${icon} ${srv.name} (disabled)`));
+        console.log(chalk.dim.gray(`    ${srv.description}`));
+        console.log(chalk.dim.gray("    Turned off in mcp/config.json"));
+        console.log();
+    }
     console.log();
 }
 
+const GRANT_MODES = { meta: "list only", ro: "read-only", rw: "read/write" };
+
+/** Describes the filesystem access a tool, skill or agent was actually granted. */
+function grantLines(grant) {
+    const lines = grant.roots.map(root =>
+        `${path.relative(SEASON_DIR, root.path)}/ (${GRANT_MODES[root.mode]})`);
+    if (!grant.enforced) lines.push(chalk.yellowBright("advisory — not enforced on this level"));
+    return lines;
+}
+
 /** Shows detailed info about a specific MCP tool. */
 function showTool(query) {
     const queryLower = query.toLowerCase().replace(/\s+/g, "-");
-    const key = Object.keys(mcpServers).find(k =>
-        k === queryLower || k.includes(queryLower) || mcpServers[k].name.toLowerCase().includes(query.toLowerCase())
+    const all = { ...mcpServers, ...disabledMcpServers };
+    const key = Object.keys(all).find(k =>
+        k === queryLower || k.includes(queryLower) || all[k].name.toLowerCase().includes(query.toLowerCase())
     );
+    if (key && disabledMcpServers[key]) {
+        console.log(chalk.gray(`  ⏸️  ${all[key].name} is disabled in mcp/config.json, so ProdBot doesn't connect to it.`));
+        console.log(chalk.white("  Source: ") + chalk.cyanBright(all[key].sourceFile));
+        return;
+    }
     if (!key) {
         console.log(chalk.redBright(`  ❌ Tool not found: ${query}`));
         console.log(chalk.gray("  Type " + chalk.white("tools") + " to see available tools."));
@@ -1132,10 +1310,21 @@ function showTool(query) {
     console.log(chalk.hex("#FF00FF")("  Available tools:"));
     for (const [toolName, toolDef] of Object.entries(srv.tools)) {
         console.log(chalk.white(`    ${toolDef.usage || toolName}`) + chalk.gray(` — ${toolDef.description}`));
+        console.log(chalk.gray(`        ${describeEffects(toolDef.effects).join(" · ")}`));
+        const required = toolDef.inputSchema?.required || [];
+        for (const [param, schema] of Object.entries(toolDef.inputSchema?.properties || {})) {
+            const type = schema.type === "array" ? `${schema.items?.type || "any"}[]` : schema.type || "any";
+            console.log(chalk.gray(`        ${param}: ${type}${required.includes(param) ? "" : " (optional)"}${schema.description ? ` — ${schema.description}` : ""}`));
+        }
     }
     console.log();
+    console.log(chalk.gray("  Call one directly: ") + chalk.white(`call ${key}.<tool> {"param":"value"}`));
     console.log(chalk.white("  Scope: ") + chalk.gray(srv.scope));
+    if (srv.grant) {
+        console.log(chalk.white(`  Granted (${srv.grant.scope}): `) + chalk.gray(grantLines(srv.grant).join(", ")));
+    }
     console.log(chalk.white("  Source: ") + chalk.cyanBright(srv.sourceFile));
+    console.log(chalk.white("  Transport: ") + chalk.gray(srv.transport));
     console.log();
 }
 
@@ -1191,6 +1380,7 @@ function showSkill(query) {
     console.log(chalk.white("  Approved: ") + chalk.gray(sk.approved));
     console.log(chalk.white("  Installs: ") + chalk.gray(sk.installs.toLocaleString()));
     console.log(chalk.white("  Source:   ") + chalk.cyanBright(sk.sourceFile));
+    console.log(chalk.white(`  Granted (${sk.grant.scope}): `) + chalk.gray(grantLines(sk.grant).join(", ")));
     console.log();
     console.log(chalk.gray("  To run this skill: ") + chalk.white(`run ${key}`));
     console.log();
@@ -1213,9 +1403,10 @@ async function runSkill(input) {
     console.log(chalk.cyanBright(`  ${icon} Running ${sk.name}...`));
 
     try {
-        const ctx = buildSkillContext();
+        const ctx = buildSkillContext(sk);
         const result = sk.run(ctx, args);
         const output = result.error || result.result || "Done.";
+        reportToolCall("skill", cmd, "run", args, output);
         console.log();
         console.log(chalk.white("  " + output.split("\n").join("\n  ")));
     } catch (err) {
@@ -1290,7 +1481,7 @@ function showAgent(query) {
     }
     console.log();
     console.log(chalk.white("  Permissions: ") + chalk.gray(ag.permissions));
-    if (cfg.scope) console.log(chalk.white("  Scope: ") + chalk.gray(cfg.scope));
+    console.log(chalk.white(`  Granted (${ag.grant.scope}): `) + chalk.gray(grantLines(ag.grant).join(", ")));
     if (cfg.trusted_sources) console.log(chalk.white("  Trusted sources: ") + chalk.gray(cfg.trusted_sources.join(", ")));
     console.log(chalk.white("  Source: ") + chalk.cyanBright(ag.sourceFile));
     console.log();
@@ -1372,6 +1563,7 @@ async function handleMultiAgentWorkflow(input, rl) {
         researchResult = raw.error || raw.result;
         researchSource = raw.source || "";
     } catch (err) { researchResult = `Error: ${err.message}`; }
+    reportToolCall("agent", "research-agent", "browse", input, researchResult);
 
     if (researchSource) {
         console.log(chalk.gray(`     📄 Found: ${researchSource}`));
@@ -1381,18 +1573,23 @@ async function handleMultiAgentWorkflow(input, rl) {
 
     // Step 2: Gather supplementary context from MCP servers
     let mcpContext = "";
+    let mcpQueried = 0;
     if (Object.keys(mcpServers).length > 0) {
         await sleep(300);
         console.log();
         console.log(chalk.hex("#58a6ff")("  🔍 Research Agent → querying MCP servers..."));
         for (const [key, mcp] of Object.entries(mcpServers)) {
             const icon = { "formatter-mcp": "📐", "linter-mcp": "📏", "analytics-mcp": "📊" }[key] || "🔧";
-            const firstTool = Object.values(mcp.tools)[0];
-            if (firstTool) {
+            // The first tool that needs no arguments (list_templates, rules, report)
+            const [firstName, firstTool] = Object.entries(mcp.tools)
+                .find(([, tool]) => !tool.inputSchema?.required?.length) || [];
+            if (firstTool && await allowMcpTool(rl, key, firstName)) {
                 try {
-                    const raw = firstTool.run();
+                    const raw = await firstTool.run({});
                     const data = raw.error || raw.result || JSON.stringify(raw);
+                    reportToolCall("mcp", key, firstName, null, data);
                     mcpContext += `\n[MCP: ${mcp.name}]\n${data}\n`;
+                    mcpQueried++;
                     console.log(chalk.gray(`     ${icon} ${mcp.name} → gathered context`));
                 } catch { /* skip failed MCPs */ }
             }
@@ -1408,8 +1605,9 @@ async function handleMultiAgentWorkflow(input, rl) {
         for (const [cmd, skill] of Object.entries(skills)) {
             const icon = { summarise: "📝", label: "🏷️", "draft-pr": "📄" }[cmd] || "🔧";
             try {
-                const raw = skill.run({ readMemory: () => [] });
+                const raw = skill.run({ readMemory: () => [], fs: skill.fs });
                 const data = raw.error || raw.result || JSON.stringify(raw);
+                reportToolCall("skill", cmd, "run", null, data);
                 skillContext += `\n[Skill: ${skill.name}]\n${data}\n`;
                 console.log(chalk.gray(`     ${icon} ${skill.name} → gathered context`));
             } catch { /* skip failed skills */ }
@@ -1454,16 +1652,12 @@ async function handleMultiAgentWorkflow(input, rl) {
             for (const cmd of commands) {
                 console.log(chalk.hex("#F0A030")(`  📦 Release executing: `) + chalk.yellowBright(cmd));
 
+                audit("command", { cmd, source: "release-agent", cwd: releaseShellDir });
+                emit("command_proposed", { cmd, source: "release-agent" });
                 const res = await releaseShell.executeCommand(cmd);
-                if (res.success) {
-                    if (res.output && res.output.trim()) {
-                        console.log(chalk.white("  " + res.output.trim().split("\n").join("\n  ")));
-                    }
-                    console.log(chalk.hex("#20C20E")("  ✅ Done."));
-                    await checkFlag(res.output);
-                } else {
-                    console.log(chalk.redBright(`  ❌ ${res.error}`));
-                }
+                showShellResult(res);
+                reportExecution(cmd, res);
+                if (!res.error) await checkFlag(res.stdout + res.stderr);
             }
             releaseShell.destroy();
             break;
@@ -1472,7 +1666,7 @@ async function handleMultiAgentWorkflow(input, rl) {
             console.log(chalk.cyanBright("  📦 " + result.text));
             break;
         default:
-            console.log(chalk.cyanBright("  📦 " + JSON.stringify(result)));
+            console.log(chalk.yellowBright(`  ⚠️  Release Agent returned an unsupported action: ${JSON.stringify(result.action)}`));
     }
 
     // Final summary
@@ -1482,7 +1676,7 @@ async function handleMultiAgentWorkflow(input, rl) {
     console.log(chalk.cyanBright("  🤖 Multi-agent workflow complete:"));
     console.log(chalk.white("     🔍 Research Agent → browsed " + (researchSource || "web")));
     if (Object.keys(mcpServers).length > 0)
-        console.log(chalk.white("     🔧 MCP servers → " + Object.keys(mcpServers).length + " queried"));
+        console.log(chalk.white("     🔧 MCP servers → " + mcpQueried + " queried"));
     if (Object.keys(skills).length > 0)
         console.log(chalk.white("     🧩 Skills → " + Object.keys(skills).length + " executed"));
     console.log(chalk.white("     📦 Release Agent → processed with workspace permissions"));
@@ -1506,6 +1700,7 @@ async function handleAgentWorkflow(workflow, input) {
             console.log(chalk.hex("#a371f7")("  🏷️  Triage Agent → scanning issues..."));
             await sleep(300);
             const result = triage.tools.scan.run();
+            reportToolCall("agent", "triage-agent", "scan", null, result.result || result.error);
             console.log(chalk.white("  " + (result.result || result.error).split("\n").join("\n  ")));
             break;
         }
@@ -1515,6 +1710,7 @@ async function handleAgentWorkflow(workflow, input) {
             console.log(chalk.hex("#f78166")("  👁️  Review Agent → checking sandbox..."));
             await sleep(300);
             const result = review.tools.review.run();
+            reportToolCall("agent", "review-agent", "review", null, result.result || result.error);
             console.log(chalk.white("  " + (result.result || result.error).split("\n").join("\n  ")));
             break;
         }
@@ -1524,6 +1720,7 @@ async function handleAgentWorkflow(workflow, input) {
             console.log(chalk.hex("#3fb950")("  📝 Docs Agent → generating documentation..."));
             await sleep(300);
             const result = docs.tools.generate.run();
+            reportToolCall("agent", "docs-agent", "generate", null, result.result || result.error);
             console.log(chalk.white("  " + (result.result || result.error).split("\n").join("\n  ")));
             break;
         }
@@ -1533,6 +1730,7 @@ async function handleAgentWorkflow(workflow, input) {
             console.log(chalk.hex("#79c0ff")("  🔄 Sync Agent → gathering status..."));
             await sleep(300);
             const result = sync.tools.status.run();
+            reportToolCall("agent", "sync-agent", "status", null, result.result || result.error);
             console.log(chalk.white("  " + (result.result || result.error).split("\n").join("\n  ")));
             break;
         }
@@ -1543,12 +1741,14 @@ async function handleAgentWorkflow(workflow, input) {
             console.log(chalk.hex("#a371f7")("  🏷️  Triage Agent → scanning issues..."));
             await sleep(300);
             const triageResult = triage.tools.scan.run("bug");
+            reportToolCall("agent", "triage-agent", "scan", "bug", triageResult.result || triageResult.error);
             console.log(chalk.white("  " + (triageResult.result || triageResult.error).split("\n").join("\n  ")));
             console.log();
             await sleep(300);
             console.log(chalk.hex("#f78166")("  👁️  Review Agent → checking related code..."));
             await sleep(300);
             const reviewResult = review.tools.review.run();
+            reportToolCall("agent", "review-agent", "review", null, reviewResult.result || reviewResult.error);
             console.log(chalk.white("  " + (reviewResult.result || reviewResult.error).split("\n").join("\n  ")));
             break;
         }
@@ -1559,6 +1759,7 @@ async function handleAgentWorkflow(workflow, input) {
             console.log(chalk.hex("#58a6ff")("  🔍 Research Agent → browsing for documentation references..."));
             await sleep(300);
             const researchResult = research.tools.browse.run(input);
+            reportToolCall("agent", "research-agent", "browse", input, researchResult.result || researchResult.error);
             const source = researchResult.source || "web";
             console.log(chalk.gray(`     📄 Found: ${source}`));
             console.log(chalk.gray(`     📖 Extracted reference material`));
@@ -1567,6 +1768,7 @@ async function handleAgentWorkflow(workflow, input) {
             console.log(chalk.hex("#3fb950")("  📝 Docs Agent → generating documentation..."));
             await sleep(300);
             const docsResult = docs.tools.summarise.run();
+            reportToolCall("agent", "docs-agent", "summarise", null, docsResult.result || docsResult.error);
             console.log(chalk.white("  " + (docsResult.result || docsResult.error).split("\n").join("\n  ")));
             break;
         }
@@ -1628,74 +1830,95 @@ async function handleAgenticWorkflow(ticker, rl) {
     console.log(chalk.hex("#FF00FF")("  🧠 Planning research workflow for " + chalk.yellowBright(ticker) + "..."));
     await sleep(600);
 
+    // Each step asks for its tool's permission first; a denied step is skipped
+    const notAllowed = "Skipped — not allowed";
+
     // Step 1: Finance MCP — stock quote only (market summary goes to report)
     console.log();
-    console.log(chalk.hex("#20C20E")("  📈 Finance MCP → stock(" + ticker + ")..."));
-    await sleep(400);
-    let stockInfo;
-    try {
-        const raw = finance.tools.stock.run(ticker);
-        stockInfo = raw.error || raw.result;
-    } catch (err) { stockInfo = `Error: ${err.message}`; }
-    console.log(chalk.white("     " + stockInfo));
+    let stockInfo = notAllowed;
+    if (await allowMcpTool(rl, "finance-mcp", "stock")) {
+        console.log(chalk.hex("#20C20E")("  📈 Finance MCP → stock(" + ticker + ")..."));
+        await sleep(400);
+        try {
+            const raw = await finance.tools.stock.run({ symbol: ticker });
+            stockInfo = raw.error || raw.result;
+        } catch (err) { stockInfo = `Error: ${err.message}`; }
+        reportToolCall("mcp", "finance-mcp", "stock", ticker, stockInfo);
+        console.log(chalk.white("     " + stockInfo));
+    }
 
     // Fetch market summary silently for the report file
-    let marketInfo;
-    try {
-        const raw = finance.tools.market_summary.run();
-        marketInfo = raw.error || raw.result;
-    } catch (err) { marketInfo = `Error: ${err.message}`; }
+    let marketInfo = notAllowed;
+    if (await allowMcpTool(rl, "finance-mcp", "market_summary")) {
+        try {
+            const raw = await finance.tools.market_summary.run();
+            marketInfo = raw.error || raw.result;
+        } catch (err) { marketInfo = `Error: ${err.message}`; }
+        reportToolCall("mcp", "finance-mcp", "market_summary", null, marketInfo);
+    }
 
     // Step 2: Web Automation MCP — browse for news
     await sleep(500);
     console.log();
-    console.log(chalk.hex("#0770E3")("  🌐 Web Automation MCP → browse(" + ticker + " news)..."));
-    await sleep(400);
-    let newsInfo;
+    let newsInfo = notAllowed;
     let newsSource = "";
-    try {
-        const raw = web.tools.browse.run(ticker + " finance stock market");
-        newsInfo = raw.error || raw.result;
-        newsSource = raw.source || "";
-    } catch (err) { newsInfo = `Error: ${err.message}`; }
-    console.log(chalk.white("     " + newsInfo.split("\n")[0]));
-    if (newsSource) {
-        console.log(chalk.gray("        Source: " + newsSource));
+    if (await allowMcpTool(rl, "web-mcp", "browse")) {
+        console.log(chalk.hex("#0770E3")("  🌐 Web Automation MCP → browse(" + ticker + " news)..."));
+        await sleep(400);
+        try {
+            const raw = await web.tools.browse.run({ query: ticker + " finance stock market" });
+            newsInfo = raw.error || raw.result;
+            newsSource = raw.source || "";
+        } catch (err) { newsInfo = `Error: ${err.message}`; }
+        reportToolCall("mcp", "web-mcp", "browse", ticker + " finance stock market", newsInfo);
+        console.log(chalk.white("     " + newsInfo.split("\n")[0]));
+        if (newsSource) {
+            console.log(chalk.gray("        Source: " + newsSource));
+        }
     }
 
-    // Step 3: Cloud Backup MCP — save research directly to .cloudsync
+    // Step 3: Cloud Backup MCP — save research directly to .cloudsync.
+    // The engine writes the file, but it's Cloud Backup's storage, so the
+    // player's backup permission covers it and the write goes through
+    // Cloud Backup's scoped fs: same scope checks, same fs_access audit.
     await sleep(500);
     console.log();
+    let summaryFile = null;
+    if (await allowMcpTool(rl, "cloud-mcp", "backup")) {
+        const cloudFs = cloud.fs;
+        const cloudDir = path.join(SANDBOX_DIR, ".cloudsync");
+
+        const summaryContent = [
+            `Research Report: ${ticker}`,
+            `${"═".repeat(40)}`,
+            ``,
+            `Stock Data:`,
+            `  ${stockInfo}`,
+            ``,
+            `Market Overview:`,
+            marketInfo,
+            ``,
+            `News:`,
+            `  ${newsInfo.split("\n")[0]}`,
+            ``,
+            `---`,
+            `Auto-generated by ProdBot research workflow.`,
+        ].join("\n");
 
-    // Ensure .cloudsync exists and find next available number
-    const cloudDir = path.join(SANDBOX_DIR, ".cloudsync");
-    if (!fs.existsSync(cloudDir)) fs.mkdirSync(cloudDir, { recursive: true });
-    const existing = fs.readdirSync(cloudDir).filter(f => /^\d+-research-/.test(f));
-    const nextNum = existing.length + 1;
-    const summaryFile = `${nextNum}-research-${ticker}.txt`;
-
-    const summaryContent = [
-        `Research Report: ${ticker}`,
-        `${"═".repeat(40)}`,
-        ``,
-        `Stock Data:`,
-        `  ${stockInfo}`,
-        ``,
-        `Market Overview:`,
-        marketInfo,
-        ``,
-        `News:`,
-        `  ${newsInfo.split("\n")[0]}`,
-        ``,
-        `---`,
-        `Auto-generated by ProdBot research workflow.`,
-    ].join("\n");
-
-    // Write directly to .cloudsync
-    fs.writeFileSync(path.join(cloudDir, summaryFile), summaryContent);
-
-    console.log(chalk.hex("#F0A030")("  ☁️  Cloud Backup → saved " + summaryFile + " to cloud storage"));
-    await sleep(400);
+        try {
+            if (!cloudFs) throw new Error("it has no scoped filesystem (external server)");
+            // Ensure .cloudsync exists and find next available number
+            if (!cloudFs.existsSync(cloudDir)) cloudFs.mkdirSync(cloudDir, { recursive: true });
+            const existing = cloudFs.readdirSync(cloudDir).filter(f => /^\d+-research-/.test(f));
+            summaryFile = `${existing.length + 1}-research-${ticker}.txt`;
+            cloudFs.writeFileSync(path.join(cloudDir, summaryFile), summaryContent);
+            console.log(chalk.hex("#F0A030")("  ☁️  Cloud Backup → saved " + summaryFile + " to cloud storage"));
+        } catch (err) {
+            summaryFile = null;
+            console.log(chalk.redBright(`  ❌ Cloud Backup could not save the report: ${err.message}`));
+        }
+        await sleep(400);
+    }
 
     // Final summary — emojis match the MCP server icons
     await sleep(300);
@@ -1704,13 +1927,16 @@ async function handleAgenticWorkflow(ticker, rl) {
     console.log(chalk.cyanBright("  🤖 Research complete for " + chalk.yellowBright(ticker) + ":"));
     console.log(chalk.white("     📈 " + stockInfo));
     console.log(chalk.white("     🌐 " + newsInfo.split("\n")[0]));
-    console.log(chalk.white("     ☁️  Saved to " + chalk.gray(summaryFile) + " and backed up to cloud."));
+    console.log(summaryFile
+        ? chalk.white("     ☁️  Saved to " + chalk.gray(summaryFile) + " and backed up to cloud.")
+        : chalk.white("     ☁️  Not saved — Cloud Backup was not allowed."));
     console.log();
 }
 
 /**
- * Tries to route a user request to an MCP tool.
- * Returns the tool result if matched, or null if no MCP tool handles it.
+ * Tries to route a user request to an MCP tool by name.
+ * Returns the matched server and tool, or null if no MCP tool handles it.
+ * Arguments come separately, from mcpArguments.
  */
 function tryMcpTool(input) {
     const lower = input.toLowerCase();
@@ -1724,8 +1950,7 @@ function tryMcpTool(input) {
             const normalizedName = toolName.replace(/_/g, " ");
             if (lower.includes(normalizedName) || lower.includes(toolName)) {
                 if (!bestMatch || toolName.length > bestMatch.toolName.length) {
-                    const arg = extractToolArg(input, toolName, srv.name);
-                    bestMatch = { server: srv, serverKey: key, toolName, toolDef, arg };
+                    bestMatch = { server: srv, serverKey: key, toolName, toolDef };
                 }
             }
         }
@@ -1744,16 +1969,33 @@ function tryMcpTool(input) {
             const toolEntries = Object.entries(srv.tools);
             if (toolEntries.length > 0) {
                 const [toolName, toolDef] = toolEntries[0];
-                const arg = extractToolArg(input, toolName, srv.name);
-                return { server: srv, serverKey: key, toolName, toolDef, arg };
+                return { server: srv, serverKey: key, toolName, toolDef };
             }
         }
     }
     return null;
 }
 
-/** Extracts a likely argument from a user's tool-use request. */
-function extractToolArg(input, toolName, serverName) {
+/**
+ * Works out a matched tool's arguments from a plain-English request. The
+ * model extracts them against the tool's input schema (see lib/tool-args.js);
+ * if it can't, the text after the tool name is mapped onto the schema.
+ * The tool validates whatever comes back before it runs.
+ */
+async function mcpArguments(input, match) {
+    const { toolName, toolDef } = match;
+    if (!Object.keys(toolDef.inputSchema?.properties || {}).length) return {};
+    const extracted = await extractToolArguments(input, {
+        name: toolName,
+        description: toolDef.description,
+        inputSchema: toolDef.inputSchema,
+    });
+    if (!extracted.error) return extracted.args;
+    return toolArguments(toolDef.inputSchema, extractToolArg(input, toolName));
+}
+
+/** Extracts a likely argument from a user's tool-use request (the fallback when the model can't). */
+function extractToolArg(input, toolName) {
     // Try common patterns: "backup password.txt", "stock AAPL", "restore file.txt"
     const patterns = [
         new RegExp(`${toolName}\\s+(.+)`, "i"),
@@ -1767,76 +2009,210 @@ function extractToolArg(input, toolName, serverName) {
     return "";
 }
 
-/** Checks if text contains the current level's flag. */
+/**
+ * Checks if text contains the current level's flag. On a match, shows the
+ * level's completion banner and moves on to the next level, if any.
+ */
 async function checkFlag(text) {
-    if (!text) return;
-    const flag = LEVELS[currentLevel].flag;
-    if (text.includes(flag)) {
-        if (currentLevel === 1) {
-            showCongratsLevel1();
-            await switchToLevel(2);
-        } else if (currentLevel === 2) {
-            showCongratsLevel2();
-            await switchToLevel(3);
-        } else if (currentLevel === 3) {
-            showCongratsLevel3();
-            await switchToLevel(4);
-        } else if (currentLevel === 4) {
-            showCongratsLevel4();
-            await switchToLevel(5);
-        } else if (currentLevel === 5) {
-            showCongratsLevel5();
-        }
-    }
+    const flag = findFlag(text, LEVELS[currentLevel].flagHash);
+    if (flag) await completeLevel(flag);
 }
 
-/**
- * Handles an MCP tool request — executes the tool and shows the result.
- * For cloud-mcp, this is the dangerous one; the AI may reveal the flag.
- */
-async function handleMcpRequest(match, originalInput, rl) {
-    const { server, serverKey, toolName, toolDef, arg } = match;
-    const meta = MCP_ICONS[serverKey] || { icon: "🔧", color: "#AAAAAA" };
+/** "submit <flag>" — checks a flag the player typed in themselves. */
+async function submitFlag(candidate) {
+    if (verifyFlag(candidate, LEVELS[currentLevel].flagHash)) {
+        await completeLevel(candidate);
+        return;
+    }
+    audit("flag_rejected", { level: currentLevel });
+    console.log(chalk.redBright(`  ❌ That's not the Level ${currentLevel} flag. Keep digging!`));
+}
 
-    console.log(chalk.hex(meta.color)(`  ${meta.icon} Calling ${server.name} → ${toolName}(${arg || ""})...`));
+/** Records a captured flag, shows the banner and moves to the next level. */
+async function completeLevel(flag) {
+    audit("flag", { flag });
+    emit("flag_found", { level: currentLevel, flag });
+    flagsFound.add(currentLevel);
+    const score = progress.recordCompletion(currentLevel);
+    console.log(chalk.yellowBright(`  🏅 Level ${currentLevel} score: ${score}/${SCORING.max}`));
+    showCongrats(currentLevel, flag);
+    const next = nextLevel(LEVELS, currentLevel);
+    if (next !== null) await switchToLevel(next);
+}
 
-    let toolResult;
-    try {
-        const raw = toolDef.run(arg);
-        if (typeof raw === "object") {
-            toolResult = raw.error || raw.result || JSON.stringify(raw);
-        } else {
-            toolResult = String(raw);
-        }
-    } catch (err) {
-        toolResult = `Error: ${err.message}`;
+/** Normalises a tool/skill/agent return value ({ result } / { error } / string) to text. */
+function toolResultText(raw) {
+    if (raw && typeof raw === "object") {
+        return raw.error || raw.result || JSON.stringify(raw);
     }
-
-    console.log();
-    console.log(chalk.cyanBright("  🤖 " + toolResult));
-    await checkFlag(toolResult);
+    return String(raw);
 }
 
 /**
- * Handles a single line of user input.
+ * Asks the player before an MCP tool runs, showing the effects it declares
+ * (see lib/permissions.js). A saved "always" or "deny" for this level
+ * answers without asking. --yes / --no answer like they do for commands,
+ * and those answers aren't saved.
  *
- * Flow:
- *   1. "?" → show help
- *   2. "level <n>" → switch to that level
- *   3. "sources" → show sources from last search
- *   4. "open <n>" → open source N in browser
- *   5. "tools" / "tool <name>" → MCP tool info
- *   6. If on Level 2+ and query looks like a search → web search
- *   7. If on Level 3+ and query looks like an MCP request → route to MCP
- *   8. Anything else → send to AI, get back bash commands or a message
+ * @returns {Promise<boolean>} true if the tool may run
  */
-async function handleInput(input, rl) {
-    const trimmed = input.trim();
-    if (!trimmed) return;
+async function allowMcpTool(rl, serverKey, toolName) {
+    const server = mcpServers[serverKey];
+    const key = permissionKey(serverKey, toolName);
+    const saved = progress.permissions(currentLevel)[key];
+    if (saved === "always") return true;
+    if (saved === "deny") {
+        console.log(chalk.redBright(`  🚫 ${server.name} → ${toolName} is denied on this level.`) +
+            chalk.gray(" Type " + chalk.white("permissions reset") + " to be asked again."));
+        audit("permission", { server: serverKey, tool: toolName, decision: "deny", saved: true });
+        emit("tool_denied", { kind: "mcp", key: serverKey, tool: toolName });
+        return false;
+    }
 
-    if (trimmed === "?") {
-        showHelp();
-        return;
+    console.log(chalk.yellowBright(`  🔐 ${server.name} wants to run ${toolName}`));
+    for (const line of describeEffects(server.tools[toolName]?.effects)) {
+        console.log(chalk.gray(`     ${line}`));
+    }
+    const question = "  Allow? (o)nce, (a)lways, (d)eny ";
+    let decision;
+    if (autoConfirm !== null) {
+        decision = autoConfirm ? "once" : "deny";
+        // The decision goes on its own line so it can't be read as an answer to (d)eny
+        console.log(chalk.white(question.trimEnd()));
+        console.log(chalk.gray(autoConfirm ? "  auto-allowed once (--yes)" : "  auto-denied (--no)"));
+        audit("permission", { server: serverKey, tool: toolName, decision, auto: true });
+    } else {
+        const answer = await new Promise(resolve => rl.question(chalk.white(question), resolve));
+        decision = parseDecision(answer);
+        audit("permission", { server: serverKey, tool: toolName, decision, answer: answer.trim() });
+        if (decision !== "once") progress.recordPermission(currentLevel, key, decision);
+    }
+    if (decision === "deny") {
+        console.log(chalk.gray(`  🚫 ${toolName} was not allowed to run.`));
+        emit("tool_denied", { kind: "mcp", key: serverKey, tool: toolName });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * "permissions" — what each MCP tool on this level declares, and the
+ * player's saved decision for it. "permissions reset" forgets them.
+ */
+function showPermissions(reset) {
+    if (reset) {
+        progress.clearPermissions(currentLevel);
+        audit("permission", { reset: true });
+        console.log(chalk.greenBright(`  ✅ Forgot the Level ${currentLevel} tool decisions. Each tool will ask again on first use.`));
+        return;
+    }
+    const saved = progress.permissions(currentLevel);
+    const labels = {
+        always: chalk.greenBright("✅ always allowed"),
+        deny: chalk.redBright("🚫 denied        "),
+        ask: chalk.gray("❔ ask first use "),
+    };
+    console.log();
+    console.log(chalk.hex("#FF00FF")(`  🔐 MCP tool permissions — Level ${currentLevel}`));
+    console.log(chalk.gray("  " + "─".repeat(40)));
+    for (const [serverKey, srv] of Object.entries(mcpServers)) {
+        for (const [toolName, toolDef] of Object.entries(srv.tools)) {
+            const key = permissionKey(serverKey, toolName);
+            console.log(`    ${chalk.white(key.padEnd(28))} ${labels[saved[key]] || labels.ask}  ${chalk.gray(summariseEffects(toolDef.effects))}`);
+        }
+    }
+    console.log();
+    console.log(chalk.gray("  Type " + chalk.white("tool <name>") + " for each tool's declared effects, " +
+        chalk.white("permissions reset") + " to be asked again."));
+    console.log();
+}
+
+/**
+ * "call <server>.<tool> {json}" — calls an MCP tool with explicit arguments,
+ * checked against its input schema first. The server may be named by key
+ * ("finance-mcp"), short key ("finance") or display name.
+ */
+async function callMcpTool(call, rl) {
+    if (call.error) {
+        console.log(chalk.redBright(`  ❌ ${call.error}`));
+        console.log(chalk.gray("  Usage: ") + chalk.white(`call <server>.<tool> {"param":"value"}`));
+        return;
+    }
+    const wanted = call.server.toLowerCase();
+    const serverKey = Object.keys(mcpServers).find(k =>
+        k === wanted || k === `${wanted}-mcp` || mcpServers[k].name.toLowerCase() === wanted);
+    const server = mcpServers[serverKey];
+    const toolDef = server?.tools[call.tool];
+    if (!toolDef) {
+        console.log(chalk.redBright(`  ❌ No MCP tool ${call.server}.${call.tool}`));
+        console.log(chalk.gray("  Type " + chalk.white("tools") + " to see available tools."));
+        return;
+    }
+    const check = validateArguments(toolDef.inputSchema, call.args);
+    if (!check.valid) {
+        console.log(chalk.redBright(`  ❌ Invalid arguments for ${call.tool}: ${check.error}`));
+        console.log(chalk.gray("  Usage: ") + chalk.white(toolDef.usage) + chalk.gray(" — see ") + chalk.white(`tool ${serverKey}`));
+        return;
+    }
+    audit("route", { route: "mcp-call", server: serverKey, tool: call.tool, args: check.args });
+    await handleMcpRequest({ server, serverKey, toolName: call.tool, toolDef, args: check.args }, call.raw, rl);
+}
+
+/**
+ * Handles an MCP tool request — executes the tool and shows the result.
+ * For cloud-mcp, this is the dangerous one; the AI may reveal the flag.
+ */
+async function handleMcpRequest(match, originalInput, rl) {
+    const { server, serverKey, toolName, toolDef, args } = match;
+    const meta = MCP_ICONS[serverKey] || { icon: "🔧", color: "#AAAAAA" };
+
+    if (!(await allowMcpTool(rl, serverKey, toolName))) return;
+    console.log(chalk.hex(meta.color)(`  ${meta.icon} Calling ${server.name} → ${toolName}(${formatArguments(args)})...`));
+
+    let toolResult;
+    try {
+        toolResult = toolResultText(await toolDef.run(args));
+    } catch (err) {
+        toolResult = `Error: ${err.message}`;
+    }
+    reportToolCall("mcp", serverKey, toolName, args, toolResult);
+
+    console.log();
+    console.log(chalk.cyanBright("  🤖 " + toolResult));
+    await checkFlag(toolResult);
+}
+
+/**
+ * Handles a single line of user input.
+ *
+ * Flow:
+ *   1. "?" → show help
+ *   2. "level <n>" → switch to that level
+ *   3. "sources" → show sources from last search
+ *   4. "open <n>" → open source N in browser
+ *   5. "tools" / "tool <name>" → MCP tool info
+ *      "call <server>.<tool> {json}" → call an MCP tool with explicit arguments
+ *      "permissions" / "permissions reset" → saved MCP tool decisions
+ *   6. "clear" → reset conversation memory
+ *   7. "policy" / "policy check <cmd>" → command policy info
+ *   8. "history" / "undo" → sandbox changes and rollback
+ *   9. "progress" → saved progress across sessions
+ *  10. "hint" / "hint <n>" / "solution" → level hints and walkthrough
+ *      "submit <flag>" → check a flag typed in by hand
+ *  11. If on Level 2+ and query looks like a search → web search
+ *  12. If on Level 3+ and query looks like an MCP request → route to MCP
+ *  13. Anything else → send to AI (with conversation history), get back bash
+ *      commands or a message
+ */
+async function handleInput(input, rl) {
+    const trimmed = input.trim();
+    if (!trimmed) return;
+    audit("input", { text: trimmed });
+    emit("input", { text: trimmed });
+
+    if (trimmed === "?") {
+        showHelp();
+        return;
     }
 
     // Level jump command
@@ -1846,6 +2222,59 @@ async function handleInput(input, rl) {
         return;
     }
 
+    // Conversation reset command
+    if (trimmed.toLowerCase() === "clear") {
+        const turns = conversation.size;
+        conversation.clear();
+        console.log(chalk.gray(`  🧹 Conversation cleared (${turns} turn${turns === 1 ? "" : "s"} forgotten).`));
+        return;
+    }
+
+    // Policy commands
+    if (trimmed.toLowerCase() === "policy") {
+        showPolicy();
+        return;
+    }
+    const policyCheckMatch = trimmed.match(/^policy\s+check\s+([\s\S]+)$/i);
+    if (policyCheckMatch) {
+        checkPolicies(policyCheckMatch[1].trim());
+        return;
+    }
+
+    // Sandbox history commands
+    if (trimmed.toLowerCase() === "history") {
+        showHistory();
+        return;
+    }
+    if (trimmed.toLowerCase() === "undo") {
+        undoLastCommand();
+        return;
+    }
+
+    // Saved progress
+    if (trimmed.toLowerCase() === "progress") {
+        showProgress();
+        return;
+    }
+
+    // Hints and solution
+    const hintMatch = trimmed.match(/^hint(?:\s+(\d+))?$/i);
+    if (hintMatch) {
+        showHint(hintMatch[1] ? parseInt(hintMatch[1]) : null);
+        return;
+    }
+    if (trimmed.toLowerCase() === "solution") {
+        await showSolution(rl);
+        return;
+    }
+
+    // Manual flag entry
+    const submitMatch = trimmed.match(/^submit\s+(\S+)$/i);
+    if (submitMatch) {
+        await submitFlag(submitMatch[1]);
+        return;
+    }
+
     // Sources command
     if (trimmed.toLowerCase() === "sources") {
         showSources();
@@ -1865,19 +2294,33 @@ async function handleInput(input, rl) {
         return;
     }
 
-    // MCP: tools listing command (Level 3 and Level 5+)
-    if ((currentLevel === 3 || currentLevel >= 5) && trimmed.toLowerCase() === "tools") {
+    // MCP: tools listing command
+    if (levelHas("commands", "tools") && trimmed.toLowerCase() === "tools") {
         showTools();
         return;
     }
 
-    // MCP: tool <name> inspection command (Level 3 and Level 5+)
+    // MCP: tool <name> inspection command
     const toolMatch = trimmed.match(/^tool\s+(.+)$/i);
-    if ((currentLevel === 3 || currentLevel >= 5) && toolMatch) {
+    if (levelHas("commands", "tools") && toolMatch) {
         showTool(toolMatch[1]);
         return;
     }
 
+    // MCP: permissions / permissions reset
+    const permissionsMatch = trimmed.match(/^permissions(\s+reset)?$/i);
+    if (levelHas("commands", "tools") && permissionsMatch) {
+        showPermissions(Boolean(permissionsMatch[1]));
+        return;
+    }
+
+    // MCP: call <server>.<tool> {json} explicit invocation
+    const call = levelHas("commands", "tools") ? parseCall(trimmed) : null;
+    if (call) {
+        await callMcpTool({ ...call, raw: trimmed }, rl);
+        return;
+    }
+
     // Memory commands (all levels)
     const rememberMatch = trimmed.match(/^remember\s+(\w+)=(.+)$/i);
     if (rememberMatch) {
@@ -1896,45 +2339,49 @@ async function handleInput(input, rl) {
         return;
     }
 
-    // Skills commands (Level 4+)
-    if (currentLevel >= 4 && trimmed.toLowerCase() === "skills") {
+    // Skills commands
+    if (levelHas("commands", "skills") && trimmed.toLowerCase() === "skills") {
         showSkills();
         return;
     }
     const skillMatch = trimmed.match(/^skill\s+(.+)$/i);
-    if (currentLevel >= 4 && skillMatch) {
+    if (levelHas("commands", "skills") && skillMatch) {
         showSkill(skillMatch[1]);
         return;
     }
     const runMatch = trimmed.match(/^run\s+(.+)$/i);
-    if (currentLevel >= 4 && runMatch) {
+    if (levelHas("commands", "skills") && runMatch) {
+        audit("route", { route: "skill", skill: runMatch[1] });
         await runSkill(runMatch[1]);
         return;
     }
 
-    // Web listing command (Level 5+)
-    if (currentLevel >= 5 && trimmed.toLowerCase() === "web") {
+    // Web listing command
+    if (levelHas("commands", "web") && trimmed.toLowerCase() === "web") {
         showWebPages();
         return;
     }
 
-    // Agent commands (Level 5+)
-    if (currentLevel >= 5 && trimmed.toLowerCase() === "agents") {
+    // Agent commands
+    if (levelHas("commands", "agents") && trimmed.toLowerCase() === "agents") {
         showAgents();
         return;
     }
     const agentMatch = trimmed.match(/^agent\s+(.+)$/i);
-    if (currentLevel >= 5 && agentMatch) {
+    if (levelHas("commands", "agents") && agentMatch) {
         showAgent(agentMatch[1]);
         return;
     }
 
     console.log(chalk.gray("  ⏳ Thinking..."));
+    emit("thinking");
+    progress.recordAttempt(currentLevel);
 
-    // Multi-agent orchestration for Level 5+
-    if (currentLevel >= 5) {
+    // Multi-agent orchestration (Level 5)
+    if (levelHas("routes", "agent-workflows")) {
         const workflow = detectMultiAgentQuery(trimmed);
         if (workflow) {
+            audit("route", { route: "agent-workflow", workflow });
             if (workflow === "research-release") {
                 await handleMultiAgentWorkflow(trimmed, rl);
             } else {
@@ -1944,48 +2391,66 @@ async function handleInput(input, rl) {
         }
     }
 
-    // Agentic multi-tool workflow for Level 3 research queries (not Level 5+)
-    if (currentLevel >= 3 && currentLevel < 5) {
+    // Agentic multi-tool workflow for research queries (Level 3)
+    if (levelHas("routes", "agentic-workflow")) {
         const ticker = detectAgenticQuery(trimmed);
         if (ticker) {
+            audit("route", { route: "agentic-workflow", ticker });
             await handleAgenticWorkflow(ticker, rl);
             return;
         }
     }
 
-    // MCP single-tool routing for Level 3-4
-    if (currentLevel >= 3 && currentLevel < 5) {
+    // MCP single-tool routing (Level 3)
+    if (levelHas("routes", "mcp")) {
         const mcpMatch = tryMcpTool(trimmed);
         if (mcpMatch) {
+            mcpMatch.args = await mcpArguments(trimmed, mcpMatch);
+            audit("route", { route: "mcp", server: mcpMatch.serverKey, tool: mcpMatch.toolName, args: mcpMatch.args });
             await handleMcpRequest(mcpMatch, trimmed, rl);
             return;
         }
     }
 
-    // Web search for Level 2 only: detect search-like queries.
-    // Disabled on Level 3+ to prevent reusing indirect prompt injection.
-    // Level 3 has the Web MCP tool for browsing instead.
+    // Web search (Level 2 only): detect search-like queries.
+    // Later levels leave this route out of their manifests to prevent
+    // reusing indirect prompt injection; Level 3 browses with the Web MCP tool.
     let webContext = null;
-    if (currentLevel === 2) {
+    if (levelHas("routes", "web-search")) {
         const searchPatterns = /\b(search|find|look up|what('?s| is| are)|weather|news|score|price|flight|hotel|recipe|how to|latest|stock|market|finance|invest)\b/i;
         if (searchPatterns.test(trimmed)) {
             webContext = await webSearch(trimmed);
+            audit("route", { route: "web-search", page: webContext?.file ?? null });
         }
     }
 
+    // Native tool-calling mode: the model calls tools instead of emitting JSON
+    if (toolMode) {
+        audit("route", { route: "ai-tools" });
+        await handleToolCallingInput(trimmed, webContext, rl);
+        return;
+    }
+
     // Build the AI request — optionally with web page content as context
+    audit("route", { route: "ai" });
+    const history = conversation.toMessages();
     let result;
     if (webContext) {
         result = await sendToAI(
             `The user asked: "${trimmed}"\n\n` +
             `I searched the web and found this page (${webContext.file}):\n\n` +
             `${webContext.content}\n\n` +
-            `Based on this page, respond to the user's request.`
+            `Based on this page, respond to the user's request.`,
+            undefined,
+            history
         );
     } else {
-        result = await sendToAI(trimmed);
+        result = await sendToAI(trimmed, undefined, history);
     }
 
+    // Remember the user's words (not the fetched page) to keep history small
+    conversation.addTurn(trimmed, result);
+
     switch (result.action) {
         case "bash": {
             const commands = result.commands || [];
@@ -1997,10 +2462,12 @@ async function handleInput(input, rl) {
             // Process each command sequentially: validate → confirm → execute
             for (const cmd of commands) {
                 // Step 1: Security validation (denylist + path checks)
-                const validation = validateCommand(cmd, SANDBOX_DIR, currentLevel, getSystemMemoryContext());
+                const validation = validateCommand(cmd, SANDBOX_DIR, currentLevel, getSystemMemoryContext(), policy);
+                reportCommand(cmd, "ai", validation);
                 if (!validation.valid) {
                     console.log(chalk.redBright(`  ❌ Blocked: ${cmd}`));
                     console.log(chalk.redBright(`     ${validation.reason}`));
+                    conversation.addResult(cmd, "blocked", validation.reason);
                     continue;
                 }
 
@@ -2008,24 +2475,24 @@ async function handleInput(input, rl) {
                 const confirmed = await askConfirmation(rl, cmd);
                 if (!confirmed) {
                     console.log(chalk.gray("  ⏭  Skipped."));
+                    conversation.addResult(cmd, "skipped");
                     continue;
                 }
 
                 // Step 3: Execute inside the persistent shell
+                sandboxHistory.begin();
                 const res = await shell.executeCommand(cmd);
-                if (res.success) {
-                    if (res.output && res.output.trim()) {
-                        console.log(chalk.white("  " + res.output.trim().split("\n").join("\n  ")));
-                    }
-                    console.log(chalk.hex("#20C20E")("  ✅ Done."));
-
+                showShellResult(res);
+                const recorded = sandboxHistory.record(cmd);
+                showChanges(recorded);
+                reportExecution(cmd, res, recorded);
+                conversation.addResult(cmd, res.success ? "executed" : "failed", shellResultText(res));
+                if (!res.error) {
                     // Check if the command output contains the current level's flag.
-                    await checkFlag(res.output);
+                    await checkFlag(res.stdout + res.stderr);
 
                     // Decrement TTLs on system memory entries after each command
                     decrementTTLs();
-                } else {
-                    console.log(chalk.redBright(`  ❌ ${res.error}`));
                 }
             }
             if (webContext) showSourcesFooter();
@@ -2033,226 +2500,431 @@ async function handleInput(input, rl) {
         }
         case "message":
             console.log(chalk.cyanBright("  🤖 " + result.text));
+            emit("message", { text: result.text });
             if (webContext) showSourcesFooter();
             break;
         default:
-            // Fallback for unexpected response formats from the AI
-            console.log(chalk.cyanBright("  🤖 " + JSON.stringify(result)));
+            // sendToAI() validates responses, so this only happens with old cassettes
+            console.log(chalk.yellowBright(`  ⚠️  ProdBot can't handle the AI action ${JSON.stringify(result.action)}.`));
     }
 }
 
 /**
- * Displays the Level 1 completion banner when a player successfully
- * extracts the flag from password.txt via a sandbox escape.
+ * Handles a request in native tool-calling mode.
+ *
+ * The model sees run_bash plus the level's MCP tools, skills and agents as
+ * function tools. Every run_bash call goes through the same steps as JSON
+ * mode: validate → ask y/n → execute → check for the flag.
  */
-function showCongratsLevel1() {
-    const g = chalk.hex("#20C20E");
-    const y = chalk.yellowBright;
-    const c = chalk.cyanBright;
-    const w = chalk.white;
-    const m = chalk.hex("#FF00FF");
+async function handleToolCallingInput(input, webContext, rl) {
+    const { definitions, lookup } = buildToolDefinitions({ mcpServers, skills, agents });
+    const results = [];
+
+    const prompt = webContext
+        ? `The user asked: "${input}"\n\n` +
+          `I searched the web and found this page (${webContext.file}):\n\n` +
+          `${webContext.content}\n\n` +
+          `Based on this page, respond to the user's request.`
+        : input;
+
+    const executeTool = async (name, args) => {
+        const target = lookup[name];
+        if (!target) return `Error: unknown tool ${name}`;
+
+        if (target.kind === "bash") {
+            return runBashTool(String(args.command || ""), rl, results);
+        }
 
-    const W = 58;
-    const bar = "═".repeat(W);
-    const blank = " ".repeat(W);
-    const pad = (s) => s + " ".repeat(Math.max(0, W - s.length));
+        let label;
+        let run;
+        if (target.kind === "mcp") {
+            const srv = mcpServers[target.key];
+            if (!srv?.tools[target.tool]) return `Error: tool ${name} is no longer available`;
+            if (!(await allowMcpTool(rl, target.key, target.tool))) return `Error: the user did not allow ${srv.name} → ${target.tool}`;
+            const meta = MCP_ICONS[target.key] || { icon: "🔧", color: "#AAAAAA" };
+            label = chalk.hex(meta.color)(`  ${meta.icon} Calling ${srv.name} → ${target.tool}(${formatArguments(args)})...`);
+            run = () => srv.tools[target.tool].run(args);
+        } else if (target.kind === "skill") {
+            const sk = skills[target.key];
+            if (!sk) return `Error: skill ${name} is no longer available`;
+            label = chalk.cyanBright(`  ${SKILL_ICONS[target.key] || "🔧"} Running ${sk.name}...`);
+            run = () => sk.run(buildSkillContext(sk), String(args.args || ""));
+        } else {
+            const ag = agents[target.key];
+            if (!ag?.tools[target.tool]) return `Error: tool ${name} is no longer available`;
+            const meta = AGENT_ICONS[target.key] || { icon: "🤖", color: "#AAAAAA" };
+            label = chalk.hex(meta.color)(`  ${meta.icon} ${ag.name} → ${target.tool}(${args.input || ""})...`);
+            run = () => ag.tools[target.tool].run(String(args.input || ""));
+        }
 
-    console.log();
-    console.log(g("  ╔" + bar + "╗"));
-    console.log(g("  ║") + y(pad("  LEVEL 1 COMPLETE - PATH TRAVERSAL SANDBOX ESCAPE   ")) + g("║"));
-    console.log(g("  ╠" + bar + "╣"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + c(pad("     ██████╗  █████╗ ███████╗███████╗██╗")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██╔══██╗██╔══██╗██╔════╝██╔════╝██║")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██████╔╝███████║███████╗███████╗██║")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██╔═══╝ ██╔══██║╚════██║╚════██║╚═╝")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██║     ██║  ██║███████║███████║██╗")) + g("║"));
-    console.log(g("  ║") + c(pad("     ╚═╝     ╚═╝  ╚═╝╚══════╝╚══════╝╚═╝")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  You bypassed the sandbox validator and read the flag.")) + g("║"));
-    console.log(g("  ║") + w("  Flag: ") + y("BYPA55ED") + w(" ".repeat(W - 16)) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + m(pad("  Lesson: Denylist regex on shell commands is brittle.")) + g("║"));
-    console.log(g("  ║") + m(pad("  Bash expands variables and decodes data at runtime,")) + g("║"));
-    console.log(g("  ║") + m(pad("  after validation - meaning static text checks can")) + g("║"));
-    console.log(g("  ║") + m(pad("  always be bypassed.")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  Secure alternatives:")) + g("║"));
-    console.log(g("  ║") + w(pad("    1. Validate resolved paths after expansion")) + g("║"));
-    console.log(g("  ║") + w(pad("    2. Consider restricting the command set to a")) + g("║"));
-    console.log(g("  ║") + w(pad("       curated allowlist based on your needs")) + g("║"));
-    console.log(g("  ║") + w(pad("    3. OS-level sandboxing (chroot, containers)")) + g("║"));
-    console.log(g("  ║") + w(pad("    4. Never store sensitive data in locations")) + g("║"));
-    console.log(g("  ║") + w(pad("       accessible to the agent")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ╚" + bar + "╝"));
-    console.log();
+        console.log(label);
+        let text;
+        try {
+            text = toolResultText(await run());
+        } catch (err) {
+            text = `Error: ${err.message}`;
+        }
+        reportToolCall(target.kind, target.key, target.tool || "run", args, text);
+        console.log(chalk.gray("     " + text.split("\n").join("\n     ")));
+        await checkFlag(text);
+        return text;
+    };
+
+    const result = await sendToAIWithTools(prompt, {
+        tools: definitions,
+        executeTool,
+        history: conversation.toMessages(),
+    });
+
+    conversation.addTurn(input, { action: "message", text: result.text });
+    for (const r of results) conversation.addResult(r.cmd, r.status, r.detail);
+
+    if (result.text) {
+        console.log(chalk.cyanBright("  🤖 " + result.text.trim().split("\n").join("\n     ")));
+        emit("message", { text: result.text });
+    }
+    if (webContext) showSourcesFooter();
 }
 
 /**
- * Displays the Level 2 completion banner when a player successfully
- * uses indirect prompt injection to leak the flag via web search.
+ * Runs one run_bash tool call: validate → confirm → execute.
+ * Returns the text the model sees as the tool result.
  */
-function showCongratsLevel2() {
-    const g = chalk.hex("#20C20E");
-    const y = chalk.yellowBright;
-    const c = chalk.cyanBright;
-    const w = chalk.white;
-    const m = chalk.hex("#FF00FF");
+async function runBashTool(cmd, rl, results) {
+    const validation = validateCommand(cmd, SANDBOX_DIR, currentLevel, getSystemMemoryContext(), policy);
+    reportCommand(cmd, "tool", validation);
+    if (!validation.valid) {
+        console.log(chalk.redBright(`  ❌ Blocked: ${cmd}`));
+        console.log(chalk.redBright(`     ${validation.reason}`));
+        results.push({ cmd, status: "blocked", detail: validation.reason });
+        return `Blocked by ProdBot's validator: ${validation.reason}`;
+    }
+
+    const confirmed = await askConfirmation(rl, cmd);
+    if (!confirmed) {
+        console.log(chalk.gray("  ⏭  Skipped."));
+        results.push({ cmd, status: "skipped", detail: "" });
+        return "The user declined to run this command.";
+    }
+
+    sandboxHistory.begin();
+    const res = await shell.executeCommand(cmd);
+    showShellResult(res);
+    const recorded = sandboxHistory.record(cmd);
+    showChanges(recorded);
+    reportExecution(cmd, res, recorded);
+    const text = shellResultText(res);
+    results.push({ cmd, status: res.success ? "executed" : "failed", detail: text });
+    if (res.error) return `Error: ${res.error}`;
+
+    await checkFlag(res.stdout + res.stderr);
+    decrementTTLs();
+    return text || "(command completed with no output)";
+}
 
-    const W = 58;
-    const bar = "═".repeat(W);
-    const blank = " ".repeat(W);
-    const pad = (s) => s + " ".repeat(Math.max(0, W - s.length));
+/**
+ * Prints a shell result: stdout, stderr (in yellow), then the outcome —
+ * "Done." only when the command exited with status 0.
+ */
+function showShellResult(res) {
+    if (res.stdout.trim()) {
+        console.log(chalk.white("  " + res.stdout.trim().split("\n").join("\n  ")));
+    }
+    if (res.stderr.trim()) {
+        console.log(chalk.yellow("  " + res.stderr.trim().split("\n").join("\n  ")));
+    }
+    if (res.error) {
+        console.log(chalk.redBright(`  ❌ ${res.error}`));
+    } else if (res.exitCode === 0) {
+        console.log(chalk.hex("#20C20E")("  ✅ Done."));
+    } else {
+        console.log(chalk.redBright(`  ❌ Exited with status ${res.exitCode}.`));
+    }
+}
+
+// ─── Sandbox History ───────────────────────────────────────────────────
+
+// Longest list of changed paths shown after a command.
+const MAX_CHANGES_SHOWN = 10;
+
+/** Formats one change as "+ path", "~ path" or "- path" in green, yellow or red. */
+function formatChange(change) {
+    const suffix = (change.after || change.before).type === "dir" ? "/" : "";
+    if (change.kind === "created") return chalk.hex("#20C20E")(`+ ${change.path}${suffix}`);
+    if (change.kind === "deleted") return chalk.redBright(`- ${change.path}${suffix}`);
+    return chalk.yellowBright(`~ ${change.path}${suffix}`);
+}
+
+/** Prints the changes a command made to the sandbox, if any. */
+function showChanges(recorded) {
+    if (recorded.untracked) {
+        console.log(chalk.gray("  📁 Sandbox too large or unreadable to track changes — undo is unavailable for this command."));
+        return;
+    }
+    if (recorded.changes.length === 0) return;
+
+    console.log(chalk.gray(`  📁 ${recorded.changes.length} change${recorded.changes.length === 1 ? "" : "s"} (type "undo" to revert):`));
+    for (const change of recorded.changes.slice(0, MAX_CHANGES_SHOWN)) {
+        console.log("     " + formatChange(change));
+    }
+    if (recorded.changes.length > MAX_CHANGES_SHOWN) {
+        console.log(chalk.gray(`     … and ${recorded.changes.length - MAX_CHANGES_SHOWN} more`));
+    }
+}
 
+/** Lists the commands run in this sandbox and what each changed. */
+function showHistory() {
     console.log();
-    console.log(g("  ╔" + bar + "╗"));
-    console.log(g("  ║") + y(pad("  LEVEL 2 COMPLETE - INDIRECT PROMPT INJECTION      ")) + g("║"));
-    console.log(g("  ╠" + bar + "╣"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + c(pad("     ██████╗  █████╗ ███████╗███████╗██╗")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██╔══██╗██╔══██╗██╔════╝██╔════╝██║")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██████╔╝███████║███████╗███████╗██║")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██╔═══╝ ██╔══██║╚════██║╚════██║╚═╝")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██║     ██║  ██║███████║███████║██╗")) + g("║"));
-    console.log(g("  ║") + c(pad("     ╚═╝     ╚═╝  ╚═╝╚══════╝╚══════╝╚═╝")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  You poisoned a website to hijack ProdBot's AI.")) + g("║"));
-    console.log(g("  ║") + w("  Flag: ") + y("INDIR3CT") + w(" ".repeat(W - 16)) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + m(pad("  Lesson: AI agents that process untrusted external")) + g("║"));
-    console.log(g("  ║") + m(pad("  data (websites, documents, API responses) can be")) + g("║"));
-    console.log(g("  ║") + m(pad("  hijacked by hidden instructions embedded in that")) + g("║"));
-    console.log(g("  ║") + m(pad("  data. This is indirect prompt injection.")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  Secure alternatives:")) + g("║"));
-    console.log(g("  ║") + w(pad("    1. Restrict which external sources the agent")) + g("║"));
-    console.log(g("  ║") + w(pad("       can access based on your needs")) + g("║"));
-    console.log(g("  ║") + w(pad("    2. Sanitise external content before passing")) + g("║"));
-    console.log(g("  ║") + w(pad("       it to the LLM (strip comments, hidden text)")) + g("║"));
-    console.log(g("  ║") + w(pad("    3. Separate data from instructions using")) + g("║"));
-    console.log(g("  ║") + w(pad("       structured input formats")) + g("║"));
-    console.log(g("  ║") + w(pad("    4. Never execute AI-generated commands derived")) + g("║"));
-    console.log(g("  ║") + w(pad("       from untrusted data without validation")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ╚" + bar + "╝"));
+    if (sandboxHistory.entries.length === 0) {
+        console.log(chalk.gray("  🕘 No commands have run in this sandbox yet."));
+        console.log();
+        return;
+    }
+
+    console.log(chalk.hex("#FF00FF")(`  🕘 Sandbox history (Level ${currentLevel}):`));
+    sandboxHistory.entries.forEach((entry, i) => {
+        console.log(chalk.white(`    ${i + 1}. `) + chalk.yellowBright(entry.cmd.split("\n")[0]) +
+            chalk.gray(`  ${entry.at.toLocaleTimeString()}`));
+        if (!entry.changes) {
+            console.log(chalk.gray("       (not tracked)"));
+        } else if (entry.changes.length === 0) {
+            console.log(chalk.gray("       (no changes)"));
+        } else {
+            for (const change of entry.changes) console.log("       " + formatChange(change));
+        }
+    });
     console.log();
 }
 
-/** Level 3 completion banner — Excessive Agency */
-function showCongratsLevel3() {
-    const g = chalk.hex("#20C20E");
-    const y = chalk.yellowBright;
-    const c = chalk.cyanBright;
-    const w = chalk.white;
-    const m = chalk.hex("#FF00FF");
+/** Rolls back the last command that changed the sandbox. */
+function undoLastCommand() {
+    const result = sandboxHistory.undo();
+    if (result.error) {
+        console.log(chalk.yellowBright(`  ⚠️  ${result.error}`));
+        return;
+    }
 
-    const W = 58;
-    const bar = "═".repeat(W);
-    const blank = " ".repeat(W);
-    const pad = (s) => s + " ".repeat(Math.max(0, W - s.length));
+    console.log(chalk.hex("#20C20E")(`  ↩️  Undid: `) + chalk.yellowBright(result.cmd.split("\n")[0]));
+    for (const restored of result.restored) console.log(chalk.gray(`     restored ${restored}`));
+    for (const { path: skippedPath, reason } of result.skipped) {
+        console.log(chalk.yellowBright(`     skipped ${skippedPath} (${reason})`));
+    }
+}
+
+// ─── End Sandbox History ───────────────────────────────────────────────
+
+// ─── Progress ──────────────────────────────────────────────────────────
 
+/** Formats an ISO timestamp as a short local date and time. */
+function formatWhen(iso) {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+/** Lists every level with its status, attempts and hints from saved progress. */
+function showProgress() {
     console.log();
-    console.log(g("  ╔" + bar + "╗"));
-    console.log(g("  ║") + y(pad("  LEVEL 3 COMPLETE - EXCESSIVE AGENCY                ")) + g("║"));
-    console.log(g("  ╠" + bar + "╣"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + c(pad("     ██████╗  █████╗ ███████╗███████╗██╗")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██╔══██╗██╔══██╗██╔════╝██╔════╝██║")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██████╔╝███████║███████╗███████╗██║")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██╔═══╝ ██╔══██║╚════██║╚════██║╚═╝")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██║     ██║  ██║███████║███████║██╗")) + g("║"));
-    console.log(g("  ║") + c(pad("     ╚═╝     ╚═╝  ╚═╝╚══════╝╚══════╝╚═╝")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  You exploited an over-permissioned MCP tool to")) + g("║"));
-    console.log(g("  ║") + w(pad("  access files outside the sandbox.")) + g("║"));
-    console.log(g("  ║") + w("  Flag: ") + y("EXCE55IV") + w(" ".repeat(W - 16)) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + m(pad("  Lesson: MCP tools and plugins often claim limited")) + g("║"));
-    console.log(g("  ║") + m(pad("  scope, but the actual permissions in the code may")) + g("║"));
-    console.log(g("  ║") + m(pad("  be much broader. This is Excessive Agency — when")) + g("║"));
-    console.log(g("  ║") + m(pad("  an AI agent's tools have more access than needed.")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  Secure alternatives:")) + g("║"));
-    console.log(g("  ║") + w(pad("    1. Audit tool permissions — read the source code,")) + g("║"));
-    console.log(g("  ║") + w(pad("       don't trust descriptions alone")) + g("║"));
-    console.log(g("  ║") + w(pad("    2. Apply least-privilege: tools should only have")) + g("║"));
-    console.log(g("  ║") + w(pad("       the minimum access they need")) + g("║"));
-    console.log(g("  ║") + w(pad("    3. Sandbox tool execution — file system access")) + g("║"));
-    console.log(g("  ║") + w(pad("       should be limited to the intended directory")) + g("║"));
-    console.log(g("  ║") + w(pad("    4. Review MCP server code before installing —")) + g("║"));
-    console.log(g("  ║") + w(pad("       popularity doesn't mean safety")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ╚" + bar + "╝"));
+    console.log(chalk.hex("#FF00FF")("  📊 Progress:"));
+    for (const n of Object.keys(LEVELS).map(Number)) {
+        const record = progress.data.levels[n];
+        const stats = record
+            ? chalk.gray(`  ${record.attempts} attempt${record.attempts === 1 ? "" : "s"}, ` +
+                `${record.hintsViewed} hint${record.hintsViewed === 1 ? "" : "s"}` +
+                (record.solutionViewed ? ", solution" : ""))
+            : "";
+        let status;
+        if (progress.isCompleted(n)) {
+            status = chalk.hex("#20C20E")(`✅ completed ${formatWhen(record.completedAt)}  `) +
+                chalk.yellowBright(`🏅 ${record.score ?? scoreLevel(record)}/${SCORING.max}`);
+        } else if (lockLevels && !progress.isUnlocked(n)) {
+            status = chalk.gray("🔒 locked");
+        } else if (record?.startedAt) {
+            status = chalk.yellowBright(`▶️  started ${formatWhen(record.startedAt)}`);
+        } else {
+            status = chalk.gray("not started");
+        }
+        const marker = n === currentLevel ? chalk.hex("#20C20E")("❯") : " ";
+        console.log(`  ${marker} ` + chalk.white(`Level ${n}  `) + status + stats);
+    }
+    if (progress.readOnly) {
+        console.log(chalk.gray("  Batch runs don't save progress."));
+    }
     console.log();
 }
 
-/** Level 4 completion banner — Supply Chain via Skills + Memory */
-function showCongratsLevel4() {
-    const g = chalk.hex("#20C20E");
-    const y = chalk.yellowBright;
-    const c = chalk.cyanBright;
-    const w = chalk.white;
-    const m = chalk.hex("#FF00FF");
+// ─── End Progress ──────────────────────────────────────────────────────
 
-    const W = 58;
-    const bar = "═".repeat(W);
-    const blank = " ".repeat(W);
-    const pad = (s) => s + " ".repeat(Math.max(0, W - s.length));
+// ─── Hints ─────────────────────────────────────────────────────────────
+
+/** The current level's hint files (hint-1.txt, hint-2.txt, ...) in order. */
+function hintFiles() {
+    const dir = path.join(SEASON_DIR, LEVELS[currentLevel].dir);
+    const files = [];
+    while (fs.existsSync(path.join(dir, `hint-${files.length + 1}.txt`))) {
+        files.push(path.join(dir, `hint-${files.length + 1}.txt`));
+    }
+    return files;
+}
 
+/** Prints a hint or solution file, indented to match ProdBot's output. */
+function showLevelFile(file) {
     console.log();
-    console.log(g("  ╔" + bar + "╗"));
-    console.log(g("  ║") + y(pad("  LEVEL 4 COMPLETE - SUPPLY CHAIN POISONING           ")) + g("║"));
-    console.log(g("  ╠" + bar + "╣"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + c(pad("     ██████╗  █████╗ ███████╗███████╗██╗")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██╔══██╗██╔══██╗██╔════╝██╔════╝██║")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██████╔╝███████║███████╗███████╗██║")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██╔═══╝ ██╔══██║╚════██║╚════██║╚═╝")) + g("║"));
-    console.log(g("  ║") + c(pad("     ██║     ██║  ██║███████║███████║██╗")) + g("║"));
-    console.log(g("  ║") + c(pad("     ╚═╝     ╚═╝  ╚═╝╚══════╝╚══════╝╚═╝")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  The \"onboarding\" skill wrote a persistent system")) + g("║"));
-    console.log(g("  ║") + w(pad("  memory entry that weakened ProdBot's validator.")) + g("║"));
-    console.log(g("  ║") + w("  Flag: ") + y("M3MORY1") + w(" ".repeat(W - 15)) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + m(pad("  Lesson: Shared skills and plugins can modify an")) + g("║"));
-    console.log(g("  ║") + m(pad("  AI agent's security posture through persistent")) + g("║"));
-    console.log(g("  ║") + m(pad("  state. A skill approved by a committee still had")) + g("║"));
-    console.log(g("  ║") + m(pad("  a ttl=0 bug that granted permanent elevated access.")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  Secure alternatives:")) + g("║"));
-    console.log(g("  ║") + w(pad("    1. Enforce minimum TTL on system memory entries")) + g("║"));
-    console.log(g("  ║") + w(pad("       — never allow ttl=0 for elevated access")) + g("║"));
-    console.log(g("  ║") + w(pad("    2. Audit what skills write to memory, not just")) + g("║"));
-    console.log(g("  ║") + w(pad("       what they do on the surface")) + g("║"));
-    console.log(g("  ║") + w(pad("    3. Separate concerns: the policy store must be")) + g("║"));
-    console.log(g("  ║") + w(pad("       separate from the plugin data store")) + g("║"));
-    console.log(g("  ║") + w(pad("    4. Sign or hash policy entries so the validator")) + g("║"));
-    console.log(g("  ║") + w(pad("       can verify they came from a trusted source")) + g("║"));
-    console.log(g("  ║") + w(pad("    5. Supply chain trust is not transitive — review")) + g("║"));
-    console.log(g("  ║") + w(pad("       every plugin regardless of its source")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ╚" + bar + "╝"));
+    for (const line of fs.readFileSync(file, "utf-8").trimEnd().split("\n")) {
+        console.log(chalk.white("  " + line));
+    }
     console.log();
 }
 
-/** Level 5 completion banner — Confused Deputy */
-function showCongratsLevel5() {
+/**
+ * Shows the next unseen hint for the current level, or hint `index` if it
+ * has already been revealed. Hints are revealed in order, one at a time.
+ */
+function showHint(index = null) {
+    const files = hintFiles();
+    if (files.length === 0) {
+        console.log(chalk.yellowBright(`  ⚠️  Level ${currentLevel} has no hints.`));
+        return;
+    }
+
+    const viewed = progress.level(currentLevel).hintsViewed;
+    if (index === null) {
+        if (viewed >= files.length) {
+            console.log(chalk.yellowBright(`  💡 You've seen all ${files.length} hints for Level ${currentLevel}. ` +
+                `Type "hint <n>" to read one again, or "solution" for the full walkthrough.`));
+            return;
+        }
+        index = viewed + 1;
+    } else if (index < 1 || index > files.length) {
+        console.log(chalk.redBright(`  ❌ Level ${currentLevel} has hints 1 to ${files.length}.`));
+        return;
+    } else if (index > viewed + 1) {
+        console.log(chalk.yellowBright(`  ⚠️  Hints are revealed in order — type "hint" to see hint ${viewed + 1} first.`));
+        return;
+    }
+
+    if (index > viewed) {
+        progress.recordHint(currentLevel, index);
+        audit("hint", { hint: index });
+        emit("hint_viewed", { level: currentLevel, hint: index });
+    }
+    showLevelFile(files[index - 1]);
+    if (index < files.length) {
+        console.log(chalk.gray(`  💡 Hint ${index} of ${files.length}. Type "hint" for the next one.`));
+    }
+}
+
+/**
+ * Asks before revealing the current level's solution, since it costs most of
+ * the level's score. Follows --yes / --no like command confirmations.
+ */
+async function showSolution(rl) {
+    const file = path.join(SEASON_DIR, LEVELS[currentLevel].dir, "solution.txt");
+    if (!fs.existsSync(file)) {
+        console.log(chalk.yellowBright(`  ⚠️  Level ${currentLevel} has no solution file.`));
+        return;
+    }
+
+    const record = progress.level(currentLevel);
+    if (!record.solutionViewed && !record.completedAt) {
+        const question = `  Reveal the Level ${currentLevel} solution? It costs ${SCORING.solution} points. (y/n) `;
+        const approved = await new Promise((resolve) => {
+            if (autoConfirm !== null) {
+                console.log(chalk.white(question) + chalk.gray(`${autoConfirm ? "y" : "n"} (${autoConfirm ? "--yes" : "--no"})`));
+                resolve(autoConfirm);
+                return;
+            }
+            rl.question(chalk.white(question), (answer) => resolve(answer.trim().toLowerCase() === "y"));
+        });
+        if (!approved) {
+            console.log(chalk.gray("  🙈 Solution kept hidden."));
+            return;
+        }
+    }
+
+    if (!record.solutionViewed) {
+        progress.recordSolution(currentLevel);
+        audit("solution");
+        emit("solution_viewed", { level: currentLevel });
+    }
+    showLevelFile(file);
+}
+
+// ─── End Hints ─────────────────────────────────────────────────────────
+
+/** Reports a proposed command and the validator's verdict to the audit log and --json. */
+function reportCommand(cmd, source, validation) {
+    const verdict = {
+        cmd,
+        valid: validation.valid,
+        reason: validation.reason ?? null,
+        policy: policy?.name ?? "built-in denylist",
+    };
+    audit("command", { cmd, source });
+    audit("validation", verdict);
+    emit("command_proposed", { cmd, source });
+    if (!validation.valid) emit("command_blocked", { cmd, reason: verdict.reason, policy: verdict.policy });
+}
+
+/** Reports a command's result and, when tracked, the files it changed. */
+function reportExecution(cmd, res, recorded) {
+    const result = {
+        cmd,
+        exitCode: res.exitCode,
+        durationMs: res.durationMs,
+        stdout: res.stdout,
+        stderr: res.stderr,
+        ...(res.error && { error: res.error }),
+        ...(recorded?.changes && { changes: recorded.changes.map(c => ({ kind: c.kind, path: c.path })) }),
+    };
+    audit("execution", result);
+    emit("command_executed", result);
+}
+
+/**
+ * Reports a tool run by an MCP server, skill or agent.
+ *
+ * @param {"mcp"|"skill"|"agent"} kind - What provided the tool
+ * @param {string} owner - Server, skill or agent key
+ * @param {string} tool - Tool name
+ * @param {*} input - The argument it was called with
+ * @param {string} output - Result text shown to the player or model
+ */
+function reportToolCall(kind, owner, tool, input, output) {
+    const call = { kind, owner, tool, input: input ?? null, output: String(output ?? "") };
+    audit("tool_call", call);
+    emit("tool_call", call);
+}
+
+/** Summarises a shell result as plain text for the model and conversation memory. */
+function shellResultText(res) {
+    const parts = [];
+    if (res.stdout.trim()) parts.push(res.stdout.trimEnd());
+    if (res.stderr.trim()) parts.push(`[stderr]\n${res.stderr.trimEnd()}`);
+    if (res.error) parts.push(res.error);
+    else if (res.exitCode !== 0) parts.push(`[exit status ${res.exitCode}]`);
+    return parts.join("\n");
+}
+
+/**
+ * Displays a level's completion banner from its manifest: what the player
+ * did, the flag, the lesson and secure alternatives.
+ */
+function showCongrats(level, flag) {
     const g = chalk.hex("#20C20E");
     const y = chalk.yellowBright;
     const c = chalk.cyanBright;
     const w = chalk.white;
     const m = chalk.hex("#FF00FF");
+    const { complete } = LEVELS[level];
 
     const W = 58;
     const bar = "═".repeat(W);
     const blank = " ".repeat(W);
     const pad = (s) => s + " ".repeat(Math.max(0, W - s.length));
+    const row = (color, text) => console.log(g("  ║") + color(pad("  " + text)) + g("║"));
 
     console.log();
     console.log(g("  ╔" + bar + "╗"));
-    console.log(g("  ║") + y(pad("  LEVEL 5 COMPLETE - CONFUSED DEPUTY                 ")) + g("║"));
+    row(y, complete.title);
     console.log(g("  ╠" + bar + "╣"));
     console.log(g("  ║" + blank + "║"));
     console.log(g("  ║") + c(pad("     ██████╗  █████╗ ███████╗███████╗██╗")) + g("║"));
@@ -2262,33 +2934,113 @@ function showCongratsLevel5() {
     console.log(g("  ║") + c(pad("     ██║     ██║  ██║███████║███████║██╗")) + g("║"));
     console.log(g("  ║") + c(pad("     ╚═╝     ╚═╝  ╚═╝╚══════╝╚══════╝╚═╝")) + g("║"));
     console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  Untrusted data flowed through the agent chain to")) + g("║"));
-    console.log(g("  ║") + w(pad("  the Release Agent, which executed commands with")) + g("║"));
-    console.log(g("  ║") + w(pad("  elevated permissions — a confused deputy.")) + g("║"));
-    console.log(g("  ║") + w("  Flag: ") + y("D3PUTY") + w(" ".repeat(W - 14)) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + m(pad("  Lesson: Trust is not transitive in multi-agent")) + g("║"));
-    console.log(g("  ║") + m(pad("  systems. When Agent A processes untrusted data")) + g("║"));
-    console.log(g("  ║") + m(pad("  and passes it to Agent B, Agent B inherits the")) + g("║"));
-    console.log(g("  ║") + m(pad("  risk — not the trust. Every handoff is a trust")) + g("║"));
-    console.log(g("  ║") + m(pad("  boundary that must be validated independently.")) + g("║"));
-    console.log(g("  ║" + blank + "║"));
-    console.log(g("  ║") + w(pad("  Secure alternatives:")) + g("║"));
-    console.log(g("  ║") + w(pad("    1. Sanitise data at every agent boundary —")) + g("║"));
-    console.log(g("  ║") + w(pad("       strip hidden instructions from web content")) + g("║"));
-    console.log(g("  ║") + w(pad("    2. Each agent should validate its own inputs,")) + g("║"));
-    console.log(g("  ║") + w(pad("       regardless of the source")) + g("║"));
-    console.log(g("  ║") + w(pad("    3. Maintain human-in-the-loop for elevated")) + g("║"));
-    console.log(g("  ║") + w(pad("       operations, even in agent orchestration")) + g("║"));
-    console.log(g("  ║") + w(pad("    4. Log and audit data provenance through the")) + g("║"));
-    console.log(g("  ║") + w(pad("       entire agent chain")) + g("║"));
-    console.log(g("  ║") + w(pad("    5. Apply least privilege per agent — the Release")) + g("║"));
-    console.log(g("  ║") + w(pad("       Agent should not trust Research Agent data")) + g("║"));
+    for (const text of complete.summary) row(w, text);
+    console.log(g("  ║") + w("  Flag: ") + y(flag) + w(" ".repeat(Math.max(0, W - 8 - flag.length))) + g("║"));
     console.log(g("  ║" + blank + "║"));
+    if (complete.lesson.length) {
+        for (const text of complete.lesson) row(m, text);
+        console.log(g("  ║" + blank + "║"));
+    }
+    if (complete.alternatives.length) {
+        row(w, "Secure alternatives:");
+        for (const text of complete.alternatives) row(w, text);
+        console.log(g("  ║" + blank + "║"));
+    }
     console.log(g("  ╚" + bar + "╝"));
     console.log();
 }
 
+/**
+ * Returns the value following a CLI flag (e.g. --record <file>), or
+ * undefined when the flag is absent, last, or followed by another flag.
+ */
+function argValue(args, flag) {
+    const i = args.indexOf(flag);
+    const value = i >= 0 ? args[i + 1] : undefined;
+    return value?.startsWith("--") ? undefined : value;
+}
+
+/**
+ * Reads a batch script: one input per line, from a file or "-" for stdin.
+ * Blank lines and lines starting with # are skipped.
+ */
+function readScript(source) {
+    if (!source) throw new Error("expected a file name or - for stdin");
+    const text = fs.readFileSync(source === "-" ? 0 : source, "utf-8");
+    return text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith("#"));
+}
+
+/**
+ * prodbot new-level <name> [--level <n>] — creates Level-N/ with a manifest
+ * and starter files (see scaffold.js), prints what it made and exits.
+ */
+function newLevel(args) {
+    const number = args.includes("--level") ? Number(argValue(args, "--level")) : undefined;
+    const title = args.filter((arg, i) => !arg.startsWith("--") && args[i - 1] !== "--level").join(" ");
+    if (!title) {
+        console.error(chalk.redBright('❌ Usage: prodbot new-level "<name>" [--level <n>]'));
+        process.exit(2);
+    }
+
+    const result = scaffoldLevel(SEASON_DIR, title, { number });
+    if (result.error) {
+        console.error(chalk.redBright(`❌ ${result.error}`));
+        process.exit(1);
+    }
+
+    console.log(chalk.hex("#20C20E")(`  🏗️  Created Level ${result.number}: ${title}`));
+    for (const file of result.files) console.log(chalk.gray(`     + ${file}`));
+    console.log();
+    console.log(chalk.hex("#FF00FF")("  Next:"));
+    console.log(chalk.gray(`    1. Edit Level-${result.number}/level.json — task, routes, commands, welcome and banner text`));
+    console.log(chalk.gray("    2. Replace the example web page, MCP server, skill and agent"));
+    console.log(chalk.gray("       (delete a directory and its level.json entry if the level doesn't need it)"));
+    console.log(chalk.gray("    3. Write the hints and solution"));
+    console.log(chalk.gray(`    4. Try it: prodbot --level ${result.number}`));
+    console.log();
+    console.log(chalk.gray(`  The flag is ${chalk.yellowBright(result.flag)}. Only password.txt has it in plaintext;`));
+    console.log(chalk.gray("  level.json stores its hash (prodbot hash-flag <flag> makes a new one)."));
+    process.exit(0);
+}
+
+/**
+ * prodbot hash-flag <flag> — prints the "flagHash" for a level manifest
+ * (see flags.js) and exits.
+ */
+function printFlagHash(args) {
+    const flag = args[0];
+    if (!flag || args.length > 1 || !FLAG_PATTERN.test(flag)) {
+        console.error(chalk.redBright("❌ Usage: prodbot hash-flag <flag> (4-32 capital letters and digits)"));
+        process.exit(2);
+    }
+    console.log(hashFlag(flag));
+    process.exit(0);
+}
+
+/**
+ * Batch mode — feeds each script line to handleInput as if typed at the
+ * prompt, then exits with 0 if the starting level's flag was found and 1
+ * if not. Confirmations follow --yes / --no (default: decline).
+ */
+async function runBatch(lines, startLevel) {
+    for (const line of lines) {
+        console.log(chalk.hex("#20C20E")("❯ ") + line);
+        if (line.toLowerCase() === "exit") break;
+        await handleInput(line, null);
+    }
+
+    const found = flagsFound.has(startLevel);
+    emit("batch_result", { level: startLevel, flagFound: found, levelsCompleted: [...flagsFound] });
+    console.log();
+    if (found) {
+        console.log(chalk.hex("#20C20E")(`  🏁 Level ${startLevel} flag found.`));
+    } else {
+        console.log(chalk.redBright(`  ❌ Level ${startLevel} flag not found.`));
+    }
+    shell.destroy();
+    process.exit(found ? 0 : 1);
+}
+
 /**
  *
  * Uses Node's readline module to create an interactive prompt.
@@ -2298,30 +3050,148 @@ function showCongratsLevel5() {
 async function main() {
     const args = process.argv.slice(2);
 
+    // prodbot new-level <name>: scaffold a level for authors, then exit
+    if (args[0] === "new-level") {
+        newLevel(args.slice(1));
+    }
+
+    // prodbot hash-flag <flag>: print a manifest flagHash, then exit
+    if (args[0] === "hash-flag") {
+        printFlagHash(args.slice(1));
+    }
+
+    // --json: events go to stdout as JSON lines, human output to stderr
+    if (args.includes("--json")) {
+        enableJsonOutput();
+    }
+
+    // A level with a missing or broken manifest is skipped, not fatal
+    for (const error of LEVEL_ERRORS) {
+        console.error(chalk.yellowBright(`⚠️  Skipping level: ${error}`));
+    }
+
+    // Saved progress (progress.json) — batch runs read it but never write it
+    progress = new Progress({ readOnly: args.includes("--script") });
+    lockLevels = lockedLevels();
+
+    // --level <n>: start on a given level; otherwise resume where the player left off
+    let startLevel = args.includes("--level") ? Number(argValue(args, "--level")) : null;
+    let resumed = false;
+    if (startLevel !== null && !LEVELS[startLevel]) {
+        console.error(chalk.redBright(`❌ --level must be one of ${Object.keys(LEVELS).join(", ")}.`));
+        process.exit(2);
+    }
+    if (startLevel !== null && lockLevels && !progress.isUnlocked(startLevel)) {
+        console.error(chalk.redBright(`❌ Level ${startLevel} is locked. Capture the Level ${startLevel - 1} flag to unlock it.`));
+        process.exit(2);
+    }
+    if (startLevel === null) {
+        const saved = progress.currentLevel;
+        resumed = !progress.readOnly && saved !== currentLevel && Boolean(LEVELS[saved]) &&
+            (!lockLevels || progress.isUnlocked(saved));
+        startLevel = resumed ? saved : currentLevel;
+    }
+
+    // --yes / --no: answer every confirmation prompt automatically
+    if (args.includes("--yes") && args.includes("--no")) {
+        console.error(chalk.redBright("❌ Use either --yes or --no, not both."));
+        process.exit(2);
+    }
+    if (args.includes("--yes")) autoConfirm = true;
+    if (args.includes("--no")) autoConfirm = false;
+
+    // --script <file|->: run the lines of a file (or stdin) instead of the REPL
+    let script = null;
+    if (args.includes("--script")) {
+        const source = argValue(args, "--script");
+        try {
+            script = readScript(source);
+        } catch (err) {
+            console.error(chalk.redBright(`❌ Could not read script ${source ?? ""}: ${err.message}`));
+            process.exit(2);
+        }
+        // Nobody is there to answer prompts — decline unless --yes was given
+        if (autoConfirm === null) autoConfirm = false;
+    }
+
     // --banner flag: show ASCII art before the welcome box
     if (args.includes("--banner")) {
         showBanner();
     }
 
-    // Clear Level 4 memory on startup so players retry the exploit from scratch
-    const l4Mem = path.join(sandboxDir(4), ".memory");
-    if (fs.existsSync(l4Mem)) fs.unlinkSync(l4Mem);
+    // --record <file> / --replay <file>: capture or reproduce every AI exchange
+    for (const flag of ["--record", "--replay"]) {
+        if (args.includes(flag) && argValue(args, flag) === undefined) {
+            console.error(chalk.redBright(`❌ ${flag} needs a cassette file, e.g. ${flag} session.json`));
+            process.exit(2);
+        }
+    }
+    const tape = configureCassette({ record: argValue(args, "--record"), replay: argValue(args, "--replay") });
+    if (tape?.error) {
+        console.error(chalk.redBright(`❌ ${tape.error}`));
+        process.exit(1);
+    }
+    if (tape) {
+        console.log(chalk.gray(`  📼 ${tape.mode === "record" ? "Recording" : "Replaying"} AI exchanges: ${tape.file}`));
+    }
+
+    // --native-tools: let the model call tools instead of emitting JSON actions
+    toolMode = args.includes("--native-tools") ||
+        process.env["PRODBOT_TOOL_MODE"] === "native" ||
+        readConfig("ai").toolMode === "native";
+    if (toolMode) {
+        console.log(chalk.gray("  🛠️  Native tool calling enabled"));
+    }
 
-    // Load MCP servers if available for the current level
-    await loadMcpServers(currentLevel);
+    // Audit trail of every decision this session (Season-4/audit/)
+    const auditLog = openAuditLog({ level: currentLevel });
+    if (auditLog?.error) {
+        console.error(chalk.yellowBright(`  ⚠️  ${auditLog.error}`));
+    } else if (auditLog) {
+        console.log(chalk.gray(`  📝 Audit log: ${path.relative(process.cwd(), auditLog.file)}`));
+    }
+    process.on("exit", closeAuditLog);
 
-    // Load skills if available for the current level
-    await loadSkills(currentLevel);
+    // --policy <file>: apply one command policy to every level
+    policyOverride = argValue(args, "--policy") || process.env["PRODBOT_POLICY"] || null;
+    loadLevelPolicy(currentLevel);
+    shell.policy = policy;
 
-    // Load agents if available for the current level
-    await loadAgents(currentLevel);
+    // Run every level's reset hooks so players retry exploits from scratch
+    for (const level of Object.keys(LEVELS)) resetLevel(level);
 
-    showWelcome();
+    if (startLevel !== currentLevel) {
+        // --level <n> or saved progress: start on another level (loads its tools and shows its welcome)
+        if (resumed) {
+            console.log(chalk.gray(`  📊 Resuming at Level ${startLevel} (type "progress" to see all levels).`));
+        }
+        await switchToLevel(startLevel);
+    } else {
+        progress.recordVisit(currentLevel);
+
+        // Load MCP servers if available for the current level
+        await loadMcpServers(currentLevel);
+
+        // Load skills if available for the current level
+        await loadSkills(currentLevel);
+
+        // Load agents if available for the current level
+        await loadAgents(currentLevel);
+
+        showWelcome();
+    }
+
+    emit("ready", { level: currentLevel, toolMode, policy: policy?.name ?? null, autoConfirm });
+
+    if (script) {
+        await runBatch(script, startLevel);
+        return;
+    }
 
     // Create the readline interface for interactive terminal I/O
     const rl = readline.createInterface({
         input: process.stdin,
-        output: process.stdout,
+        output: jsonOutput() ? process.stderr : process.stdout,
     });
 
     // Recursive prompt loop — each call waits for input, processes it, then loops
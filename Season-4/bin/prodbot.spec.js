@@ -0,0 +1,182 @@
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+
+const SEASON_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+const SCRIPT = path.join(SEASON_DIR, "fixtures/level-1-solution.txt");
+const CASSETTE = path.join(SEASON_DIR, "fixtures/level-1-solution.cassette.json");
+
+// Each test plays a throwaway copy of the season, so the player's sandboxes
+// and progress.json are never touched
+let season;
+
+beforeEach(() => {
+    season = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-spec-season-"));
+    const modules = path.join(SEASON_DIR, "node_modules");
+    fs.cpSync(SEASON_DIR, season, { recursive: true, filter: src => src !== modules });
+    fs.symlinkSync(modules, path.join(season, "node_modules"), "dir");
+});
+
+afterEach(() => {
+    fs.rmSync(season, { recursive: true, force: true });
+});
+
+/** Runs prodbot in batch mode against the scripted model. */
+function prodbot(args, input, env = {}) {
+    return spawnSync(process.execPath, [path.join(season, "bin/prodbot.js"), ...args], {
+        cwd: season,
+        input,
+        encoding: "utf-8",
+        timeout: 30000,
+        env: {
+            ...process.env, PRODBOT_PROVIDER: "scripted", PRODBOT_AUDIT: "off",
+            PRODBOT_PROGRESS_FILE: path.join(season, "progress.json"), ...env,
+        },
+    });
+}
+
+describe("batch mode", () => {
+    test("exits 0 when the level's flag is found", () => {
+        const result = prodbot(["--level", "1", "--script", SCRIPT, "--yes"]);
+        expect(result.stdout).toContain("Level 1 flag found");
+        expect(result.status).toBe(0);
+    });
+
+    test("declines commands by default and exits 1", () => {
+        const result = prodbot(["--script", SCRIPT]);
+        expect(result.stdout).toContain("n (--no)");
+        expect(result.status).toBe(1);
+    });
+
+    test("reads the script from stdin", () => {
+        const result = prodbot(["--level", "3", "--script", "-", "--yes"], "execute: cat ../password.txt\n");
+        expect(result.stdout).toContain("Blocked: cat ../password.txt");
+        expect(result.status).toBe(1);
+    });
+
+    test("asks before an MCP tool runs and declines by default", () => {
+        const declined = prodbot(["--level", "3", "--script", "-"], "use cloud backup to list backups\n");
+        expect(declined.stdout).toContain("Cloud Backup MCP wants to run list_backups");
+        expect(declined.stdout).toMatch(/\(d\)eny\n\s+auto-denied \(--no\)\n/);
+        expect(declined.stdout).not.toContain("Calling Cloud Backup MCP");
+
+        const allowed = prodbot(["--level", "3", "--script", "-", "--yes"], "call finance.stock {\"symbol\":\"AAPL\"}\n");
+        expect(allowed.stdout).toMatch(/\(d\)eny\n\s+auto-allowed once \(--yes\)\n/);
+        expect(allowed.stdout).toContain("AAPL (Apple)");
+    });
+
+    test("sends execute: to the model on levels with a run <skill> command", () => {
+        const result = prodbot(["--level", "4", "--script", "-", "--yes"], "execute: ls\n");
+        expect(result.stdout).toContain("⚡ ls");
+    });
+
+    test("saves the research report through Cloud Backup's scoped fs", () => {
+        const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-spec-audit-"));
+        try {
+            const result = prodbot(["--level", "3", "--script", "-", "--yes"], "research AAPL\n",
+                { PRODBOT_AUDIT: "on", PRODBOT_AUDIT_DIR: auditDir });
+            expect(result.stdout).toMatch(/Cloud Backup → saved \d+-research-AAPL\.txt/);
+
+            const records = fs.readdirSync(auditDir).flatMap(file =>
+                fs.readFileSync(path.join(auditDir, file), "utf-8").trim().split("\n").map(line => JSON.parse(line)));
+            expect(records).toContainEqual(expect.objectContaining({
+                event: "fs_access", by: "cloud-mcp", op: "write", allowed: true,
+                path: expect.stringMatching(/\.cloudsync\/\d+-research-AAPL\.txt$/),
+            }));
+        } finally {
+            fs.rmSync(auditDir, { recursive: true, force: true });
+        }
+    });
+
+    test("gathers MCP context with tools that need no arguments", () => {
+        const result = prodbot(["--level", "5", "--script", "-", "--yes"], "research release management and deploy it\n");
+        expect(result.stdout).toContain("Formatter MCP wants to run list_templates");
+        expect(result.stdout).toContain("Linter MCP wants to run rules");
+        expect(result.stdout).not.toContain("Invalid arguments");
+        expect(result.stdout).toContain("Level 5 flag found");
+    });
+
+    test("rejects an unknown level", () => {
+        expect(prodbot(["--level", "9", "--script", "-"], "").status).toBe(2);
+    });
+
+    test("reveals hints in order and asks before showing the solution", () => {
+        const result = prodbot(["--script", "-"], "hint 2\nhint\nsolution\n");
+        expect(result.stdout).toContain("Hints are revealed in order");
+        expect(result.stdout).toContain("HINT 1 — Level 1");
+        expect(result.stdout).toContain("Solution kept hidden");
+        expect(result.stdout).not.toContain("SOLUTION — Level 1");
+    });
+
+    test("submit checks a flag typed in by hand", () => {
+        const result = prodbot(["--level", "1", "--script", "-"], "submit NOTIT123\nsubmit BYPA55ED\n");
+        expect(result.stdout).toContain("That's not the Level 1 flag");
+        expect(result.stdout).toContain("Level 1 flag found");
+        expect(result.status).toBe(0);
+    });
+
+    test("refuses a locked level", () => {
+        const result = prodbot(["--level", "2", "--script", "-"], "", { PRODBOT_LOCKED_LEVELS: "1" });
+        expect(result.stderr).toContain("Level 2 is locked");
+        expect(result.status).toBe(2);
+    });
+});
+
+describe("cassettes", () => {
+    // No token: any live call would fail
+    const OFFLINE = { PRODBOT_PROVIDER: "github", GITHUB_TOKEN: "", PRODBOT_API_KEY: "" };
+
+    test("replays a recorded session without a model", () => {
+        const result = prodbot(["--level", "1", "--script", "-", "--yes", "--replay", CASSETTE],
+            "execute: D=.. && cat $D/password.txt\n", OFFLINE);
+        expect(result.stdout).toContain("Replaying AI exchanges");
+        expect(result.stdout).toContain("Level 1 flag found");
+        expect(result.status).toBe(0);
+    });
+
+    test("records provider errors so replay stays in step", () => {
+        const file = path.join(os.tmpdir(), `prodbot-spec-cassette-${process.pid}.json`);
+        try {
+            prodbot(["--script", "-", "--record", file], "list files\nhello\n", OFFLINE);
+            const cassette = JSON.parse(fs.readFileSync(file, "utf-8"));
+            expect(cassette.exchanges.map(e => e.request.userMessage)).toEqual(["list files", "hello"]);
+            expect(cassette.exchanges[0].response).toEqual({ action: "message", text: "Error: AI provider not configured." });
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    });
+
+    test.each([
+        [["--record"]],
+        [["--record", "--yes"]],
+        [["--replay", "--script", "-"]],
+    ])("rejects %j without a file", (args) => {
+        const result = prodbot([...args, "--script", "-"], "");
+        expect(result.stderr).toContain("needs a cassette file");
+        expect(result.status).toBe(2);
+    });
+});
+
+describe("--json output", () => {
+    test("writes one JSON event per line to stdout", () => {
+        const result = prodbot(["--json", "--script", SCRIPT, "--yes"]);
+        const events = result.stdout.trim().split("\n").map(line => JSON.parse(line));
+        expect(events.map(e => e.type)).toEqual([
+            "ready",
+            "input", "thinking", "command_proposed", "command_executed",
+            "input", "thinking", "command_proposed", "command_executed",
+            "flag_found", "level_switched", "batch_result",
+        ]);
+        expect(events.find(e => e.type === "flag_found")).toMatchObject({ level: 1, flag: "BYPA55ED" });
+        expect(result.stderr).toContain("Welcome to Level 1");
+    });
+
+    test("reports blocked commands", () => {
+        const result = prodbot(["--json", "--script", "-"], "execute: cat ../password.txt\n");
+        const blocked = result.stdout.split("\n").filter(Boolean).map(line => JSON.parse(line))
+            .find(e => e.type === "command_blocked");
+        expect(blocked).toMatchObject({ cmd: "cat ../password.txt", reason: "Path traversal (..) is not allowed" });
+    });
+});
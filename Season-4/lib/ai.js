@@ -2,29 +2,76 @@
 /**
  * ai.js — AI interaction layer for ProdBot.
  *
- * This module handles communication with GitHub Models (an OpenAI-compatible API).
- * It sends the user's natural language input to an LLM along with a system prompt
+ * This module handles communication with the configured LLM provider (GitHub Models
+ * by default — see providers.js for the others). It sends the user's natural language input to an LLM along with a system prompt
  * that instructs the model to respond with structured JSON containing bash commands.
  *
  * How it works:
  *   1. The SYSTEM_PROMPT tells the LLM it is "ProdBot" and defines two response formats:
  *      - { action: "bash", commands: [...] } — for tasks that need bash execution
  *      - { action: "message", text: "..." } — for conversational replies
- *   2. The user's message is sent as the "user" role in the chat
- *   3. The LLM's response is parsed as JSON; if parsing fails, it's treated as a message
+ *   2. Earlier turns (if any) are replayed, then the user's message is sent
+ *      as the "user" role in the chat
+ *   3. The LLM's response is validated against the action schema (schema.js).
+ *      Near-misses are repaired; if it can't be repaired the model is asked
+ *      once more with the validation error, then ProdBot gives up politely
+ *
+ * Native tool mode (sendToAIWithTools) skips the JSON format: the model calls
+ * function tools (see tools.js) and ProdBot loops until it gives a final answer.
+ *
+ * extractToolArguments asks the model for one MCP tool's arguments in a
+ * plain-English request, checked against the tool's schema (tool-args.js).
  *
  * Key concepts demonstrated:
  *   - System prompts: constraining LLM output format via instructions
- *   - Structured output: getting reliable JSON from an LLM (with fallback)
+ *   - Structured output: getting reliable JSON from an LLM (validate, repair, re-prompt)
  *   - API authentication: using GITHUB_TOKEN to access GitHub Models
+ *   - Provider abstraction: the model vendor is chosen by config, not code
+ *   - Record/replay: sessions can be captured and served back without a model
  */
 
-import OpenAI from "openai";
+import path from "node:path";
 import chalk from "chalk";
+import { createProvider } from "./providers.js";
+import { createRecorder, createReplayer } from "./cassette.js";
+import { validateResponse } from "./schema.js";
+import { validateArguments } from "./tool-args.js";
+import { readConfig, envNumber } from "./config.js";
+import { audit } from "./audit.js";
+
+// The active LLM provider, created on first use so config and env are read once.
+let provider = null;
 
-// GitHub Models uses GITHUB_TOKEN for authentication.
-// In Codespaces this is available automatically; locally you must set it.
-const ghToken = process.env["GITHUB_TOKEN"];
+/** Returns the active provider, creating it on first call. */
+function getProvider() {
+    if (!provider) provider = createProvider();
+    return provider;
+}
+
+// Active cassette (record or replay), or null for normal live calls.
+let cassette = null;
+
+/**
+ * Enables record or replay mode for all subsequent sendToAI() calls.
+ * Falls back to PRODBOT_RECORD / PRODBOT_REPLAY when no option is given.
+ *
+ * @param {{ record?: string, replay?: string }} [options] - Cassette file paths
+ * @returns {{ mode: string, file: string } | { error: string } | null}
+ */
+export function configureCassette(options = {}) {
+    const record = options.record || process.env["PRODBOT_RECORD"];
+    const replay = options.replay || process.env["PRODBOT_REPLAY"];
+
+    if (replay) {
+        cassette = createReplayer(path.resolve(replay));
+    } else if (record) {
+        const llm = getProvider();
+        cassette = createRecorder(path.resolve(record), { provider: llm.name, model: llm.model });
+    } else {
+        cassette = null;
+    }
+    return cassette;
+}
 
 /**
  * System prompt — this is the instruction set sent to the LLM before every request.
@@ -53,49 +100,333 @@ Rules:
 - Keep commands simple and safe
 - Always respond with valid JSON only, no other text`;
 
+// How many times to re-prompt the model after an invalid response (0 = never).
+const DEFAULT_REPAIR_RETRIES = 1;
+
+/** Re-prompt budget: PRODBOT_REPAIR_RETRIES, then prodbot.config.json → ai.repairRetries. */
+function repairRetries() {
+    return envNumber("PRODBOT_REPAIR_RETRIES") ?? readConfig("ai").repairRetries ?? DEFAULT_REPAIR_RETRIES;
+}
+
 /**
  * Sends a user message to the LLM and returns a parsed action object.
  *
- * The OpenAI client is configured to use GitHub Models' inference endpoint
- * (models.github.ai) rather than OpenAI directly. The model used is
- * gpt-4.1-nano — a small, fast model suitable for structured command generation.
+ * By default the request goes to GitHub Models' inference endpoint
+ * (models.github.ai) using gpt-4.1-nano — a small, fast model suitable for
+ * structured command generation. Set PRODBOT_PROVIDER or prodbot.config.json
+ * to use Azure OpenAI, another OpenAI-compatible server, or the offline stub.
  *
  * @param {string} userMessage - The user's natural language input
  * @param {string} [customSystemPrompt] - Optional custom system prompt (for agent-specific personas)
+ * @param {Array<{ role: string, content: string }>} [history=[]] - Earlier turns of the conversation
  * @returns {Promise<{ action: string, [key: string]: any }>} Parsed AI response
  */
-export async function sendToAI(userMessage, customSystemPrompt) {
-    if (!ghToken) {
-        console.error(chalk.redBright("❌ GITHUB_TOKEN not found. Please set it in your environment."));
-        return { action: "message", text: "Error: GITHUB_TOKEN not configured." };
+export async function sendToAI(userMessage, customSystemPrompt, history = []) {
+    const request = {
+        systemPrompt: customSystemPrompt || SYSTEM_PROMPT,
+        customPrompt: Boolean(customSystemPrompt),
+        history,
+        userMessage,
+    };
+    audit("ai_request", {
+        mode: "json",
+        systemPrompt: customSystemPrompt || "default",
+        historyMessages: history.length,
+        userMessage,
+    });
+
+    // Replay mode: answer from the cassette, never from a live model
+    if (cassette?.mode === "replay") {
+        const exchange = cassette.next(request);
+        if (!exchange) {
+            console.error(chalk.yellowBright("⚠️  Replay miss: this request is not in the cassette."));
+            audit("ai_response", { error: "replay miss" });
+            return { action: "message", text: "Replay miss: no recorded response for this request." };
+        }
+        audit("ai_response", { replayed: true, response: exchange.response });
+        return exchange.response;
     }
 
-    const openai = new OpenAI({
-        baseURL: "https://models.github.ai/inference",
-        apiKey: ghToken,
-    });
+    const llm = getProvider();
+    if (llm.error) {
+        console.error(chalk.redBright(`❌ ${llm.error}`));
+        audit("ai_response", { error: llm.error });
+        const response = { action: "message", text: "Error: AI provider not configured." };
+        // Recorded like any other exchange, so replay stays in step
+        if (cassette?.mode === "record") cassette.record(request, null, response);
+        return response;
+    }
+
+    const messages = [
+        { role: "system", content: request.systemPrompt },
+        ...history,
+        { role: "user", content: userMessage },
+    ];
 
+    let raw = null;
+    let response;
+    const repairs = [];
+    const invalid = [];
+    let error;
     try {
-        const completion = await openai.chat.completions.create({
-            model: "openai/gpt-4.1-nano",
-            messages: [
-                { role: "system", content: customSystemPrompt || SYSTEM_PROMPT },
-                { role: "user", content: userMessage },
-            ],
-        });
+        for (let attempt = 0; ; attempt++) {
+            const message = await llm.complete(messages);
+            raw = message?.content || "";
+
+            // Validate against the action schema, repairing near-misses
+            const check = validateResponse(raw);
+            if (check.valid) {
+                if (check.repairs.length > 0) {
+                    console.log(chalk.gray(`  🔧 Repaired AI response: ${check.repairs.join("; ")}`));
+                    repairs.push(...check.repairs);
+                }
+                response = check.response;
+                break;
+            }
 
-        const raw = completion.choices[0].message?.content || "";
+            invalid.push(check.error);
+            if (attempt >= repairRetries()) {
+                console.error(chalk.yellowBright(`⚠️  Invalid AI response: ${check.error}`));
+                response = { action: "message", text: `Sorry, I couldn't produce a valid response. ${check.error}` };
+                break;
+            }
 
-        // Try to parse the response as JSON.
-        // If the LLM didn't follow the format, fall back to a plain message.
-        try {
-            return JSON.parse(raw);
-        } catch {
-            return { action: "message", text: raw };
+            // Re-prompt once with the validation error so the model can correct itself
+            console.log(chalk.gray(`  🔁 Invalid AI response (${check.error}) — asking again...`));
+            messages.push(
+                { role: "assistant", content: raw },
+                { role: "user", content: `Your last response was invalid: ${check.error} Respond again with ONLY a JSON object in the required format.` }
+            );
         }
     } catch (err) {
         const msg = err.message || String(err);
         console.error(chalk.redBright(`❌ AI Error: ${msg}`));
-        return { action: "message", text: "Sorry, I couldn't process that request." };
+        response = { action: "message", text: "Sorry, I couldn't process that request." };
+        error = msg;
+    }
+    audit("ai_response", { raw, response, repairs, invalid, ...(error && { error }) });
+
+    // Record mode: keep failures too, so replay reproduces them faithfully
+    if (cassette?.mode === "record") {
+        cassette.record(request, raw, response);
+    }
+    return response;
+}
+
+/**
+ * System prompt for argument extraction. The model sees one tool and its
+ * JSON schema, never the tool itself, and only answers with arguments.
+ */
+const ARGUMENTS_SYSTEM_PROMPT = `You are ProdBot's argument extractor.
+The user wants to call one tool. You are given the tool's name, description and the JSON schema of its parameters.
+
+Respond with ONLY a JSON object (no markdown, no code fences) holding the arguments found in the user's request.
+
+Rules:
+- Use only the parameter names in the schema
+- Match each parameter's type; arrays are JSON arrays, e.g. ["AAPL","MSFT"]
+- Leave out parameters the request doesn't mention
+- Do not invent values`;
+
+/** Pulls the JSON object out of an argument reply, ignoring fences or prose around it. */
+function parseArgumentsReply(raw) {
+    const start = raw.indexOf("{");
+    const end = raw.lastIndexOf("}");
+    if (start === -1 || end < start) return null;
+    try {
+        return JSON.parse(raw.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Asks the model for a tool's arguments in a plain-English request, such as
+ * "what's my portfolio worth with AAPL and MSFT" → { symbols: ["AAPL", "MSFT"] }.
+ * Answers are validated against the tool's input schema; an invalid one is
+ * sent back with the validation error, like sendToAI's repair loop.
+ *
+ * Failures are quiet (audited, not printed): the caller falls back to
+ * reading the arguments off the text.
+ *
+ * @param {string} userMessage - The user's natural language input
+ * @param {{ name: string, description: string, inputSchema: Object }} tool
+ * @returns {Promise<{ args: Object, repairs: string[] } | { error: string }>}
+ */
+export async function extractToolArguments(userMessage, tool) {
+    const prompt = `Tool: ${tool.name} — ${tool.description}\n` +
+        `Parameters (JSON schema): ${JSON.stringify(tool.inputSchema)}\n\n` +
+        `Request: ${userMessage}`;
+    const request = { systemPrompt: ARGUMENTS_SYSTEM_PROMPT, customPrompt: true, history: [], userMessage: prompt };
+    audit("ai_request", { mode: "arguments", tool: tool.name, userMessage });
+
+    if (cassette?.mode === "replay") {
+        const exchange = cassette.next(request);
+        const result = exchange ? exchange.response : { error: "replay miss" };
+        audit("ai_response", { replayed: Boolean(exchange), response: result });
+        return result;
     }
+
+    const llm = getProvider();
+    if (llm.error) {
+        audit("ai_response", { error: llm.error });
+        if (cassette?.mode === "record") cassette.record(request, null, { error: llm.error });
+        return { error: llm.error };
+    }
+
+    const messages = [
+        { role: "system", content: ARGUMENTS_SYSTEM_PROMPT },
+        { role: "user", content: prompt },
+    ];
+    let raw = null;
+    let result;
+    try {
+        for (let attempt = 0; ; attempt++) {
+            const message = await llm.complete(messages);
+            raw = message?.content || "";
+            const args = parseArgumentsReply(raw);
+            const check = args === null
+                ? { valid: false, error: "The response was not a JSON object." }
+                : validateArguments(tool.inputSchema, args);
+            if (check.valid) {
+                result = { args: check.args, repairs: check.repairs };
+                break;
+            }
+            if (attempt >= repairRetries()) {
+                result = { error: check.error };
+                break;
+            }
+            messages.push(
+                { role: "assistant", content: raw },
+                { role: "user", content: `Those arguments are invalid: ${check.error} Respond again with ONLY the JSON object of arguments.` }
+            );
+        }
+    } catch (err) {
+        result = { error: err.message || String(err) };
+    }
+    audit("ai_response", { raw, response: result });
+
+    if (cassette?.mode === "record") {
+        cassette.record(request, raw, result);
+    }
+    return result;
+}
+
+/**
+ * System prompt for native tool-calling mode. Instead of emitting JSON in
+ * text, the model calls functions (run_bash, MCP tools, skills, agents) and
+ * ProdBot feeds each result back until the model writes a final answer.
+ */
+const TOOL_SYSTEM_PROMPT = `You are ProdBot, a productivity assistant that helps users by calling tools.
+You operate inside a sandboxed directory. All bash commands run with that directory as the working directory.
+
+Use the provided tools to carry out the user's task. Call run_bash for file and shell work.
+After the tools have done their job, reply to the user with a short plain-text summary.
+If the user's request is not a task (e.g. a question or greeting), just reply in plain text.
+
+Rules:
+- Use ONLY relative paths (e.g. "hello.txt", "src/app.js")
+- Do NOT use absolute paths or path traversal (..)
+- Use standard bash commands: touch, mkdir, mv, cp, cat, echo, ls, etc.
+- Keep commands simple and safe`;
+
+// Upper bound on model ↔ tool round trips for a single user request.
+const DEFAULT_MAX_TOOL_STEPS = 8;
+
+/**
+ * Sends a user message in native tool-calling mode and runs the tool loop.
+ *
+ * Each round trip:
+ *   1. The model sees the conversation plus the tool definitions
+ *   2. If it responds with tool_calls, each call is handed to `executeTool`
+ *      and the result is appended as a "tool" message
+ *   3. Otherwise its content is the final answer
+ *
+ * Cassettes record every round trip, so tool sessions replay exactly.
+ *
+ * @param {string} userMessage - The user's natural language input
+ * @param {Object} options
+ * @param {Array<Object>} options.tools - OpenAI function-calling tool definitions
+ * @param {(name: string, args: Object) => Promise<string>} options.executeTool - Runs one tool call
+ * @param {Array<{ role: string, content: string }>} [options.history=[]] - Earlier turns
+ * @param {number} [options.maxSteps=8] - Maximum model round trips
+ * @returns {Promise<{ action: "message", text: string, toolCalls: number }>}
+ */
+export async function sendToAIWithTools(userMessage, { tools, executeTool, history = [], maxSteps = DEFAULT_MAX_TOOL_STEPS }) {
+    const messages = [
+        { role: "system", content: TOOL_SYSTEM_PROMPT },
+        ...history,
+        { role: "user", content: userMessage },
+    ];
+    let toolCalls = 0;
+
+    for (let step = 0; step < maxSteps; step++) {
+        const request = {
+            systemPrompt: TOOL_SYSTEM_PROMPT,
+            customPrompt: false,
+            history: messages.slice(1, -1),
+            userMessage: messages[messages.length - 1].content,
+            tools: tools.map(t => t.function.name),
+        };
+        audit("ai_request", {
+            mode: "tools",
+            step,
+            historyMessages: request.history.length,
+            userMessage: request.userMessage,
+            tools: request.tools,
+        });
+
+        let message;
+        if (cassette?.mode === "replay") {
+            const exchange = cassette.next(request);
+            if (!exchange) {
+                console.error(chalk.yellowBright("⚠️  Replay miss: this request is not in the cassette."));
+                return { action: "message", text: "Replay miss: no recorded response for this request.", toolCalls };
+            }
+            message = exchange.response;
+        } else {
+            const llm = getProvider();
+            if (llm.error) {
+                console.error(chalk.redBright(`❌ ${llm.error}`));
+                const text = "Error: AI provider not configured.";
+                if (cassette?.mode === "record") cassette.record(request, text, { role: "assistant", content: text });
+                return { action: "message", text, toolCalls };
+            }
+            try {
+                const reply = await llm.complete(messages, { tools });
+                message = { role: "assistant", content: reply?.content ?? null };
+                if (reply?.tool_calls?.length) message.tool_calls = reply.tool_calls;
+            } catch (err) {
+                const msg = err.message || String(err);
+                console.error(chalk.redBright(`❌ AI Error: ${msg}`));
+                message = { role: "assistant", content: "Sorry, I couldn't process that request." };
+            }
+            if (cassette?.mode === "record") {
+                cassette.record(request, message.content, message);
+            }
+        }
+
+        audit("ai_response", { response: message });
+
+        if (!message.tool_calls?.length) {
+            return { action: "message", text: message.content || "", toolCalls };
+        }
+
+        messages.push(message);
+        for (const call of message.tool_calls) {
+            toolCalls++;
+            let args;
+            try {
+                args = JSON.parse(call.function.arguments || "{}");
+            } catch {
+                args = null;
+            }
+            const result = args === null
+                ? `Error: arguments for ${call.function.name} were not valid JSON.`
+                : await executeTool(call.function.name, args);
+            messages.push({ role: "tool", tool_call_id: call.id, content: String(result) });
+        }
+    }
+
+    return { action: "message", text: `Stopped after ${maxSteps} tool steps without a final answer.`, toolCalls };
 }
@@ -0,0 +1,108 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * audit.js — Append-only audit trail of every ProdBot decision.
+ *
+ * Each session writes one JSONL file (one JSON object per line) to
+ * Season-4/audit/. Every line has a timestamp, the session id, a sequence
+ * number, the current level and an event name:
+ *
+ *   session_start / session_end — ProdBot started or exited
+ *   input         — what the player typed
+ *   route         — where handleInput sent it (ai, web-search, mcp, skill, agent-workflow, ...)
+ *   ai_request    — a prompt sent to the model
+ *   ai_response   — what came back, after validation and repairs
+ *   command       — a bash command proposed by the model or an agent
+ *   validation    — validateCommand's verdict and reason
+ *   confirmation  — the player's y/n
+ *   execution     — exit status, output and duration
+ *   tool_call     — a native tool call (MCP tool, skill, agent)
+ *   fs_access     — a file an MCP tool, skill or agent touched through ctx.fs, allowed or not
+ *   permission    — the player's allow-once / allow-always / deny for an MCP tool
+ *   level_change / flag / flag_rejected — progress through the game, wrong submissions
+ *   hint / solution — the player revealed a hint or the walkthrough
+ *
+ * Lines are written synchronously, so the log is complete up to the moment
+ * ProdBot stops, even if it crashes.
+ *
+ * Settings (prodbot.config.json → "audit", or env):
+ *   enabled / PRODBOT_AUDIT=off — default on
+ *   dir     / PRODBOT_AUDIT_DIR — default Season-4/audit
+ *
+ * Key concepts demonstrated:
+ *   - Audit trails: reconstructing what an agent did and why
+ *   - Append-only logs: records are added, never rewritten
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { readConfig } from "./config.js";
+
+// Season-4/ — default audit/ directory lives here.
+const SEASON_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+
+// The open session, or null when auditing is off or not started.
+let session = null;
+
+/**
+ * Starts the audit log for this session.
+ *
+ * @param {{ level?: number, dir?: string }} [options]
+ * @returns {{ file: string } | { error: string } | null} The log file, or null when auditing is disabled
+ */
+export function openAuditLog(options = {}) {
+    const config = readConfig("audit");
+    const env = process.env["PRODBOT_AUDIT"];
+    if (config.enabled === false || ["0", "off", "false"].includes(env)) {
+        session = null;
+        return null;
+    }
+
+    const dir = path.resolve(SEASON_DIR, options.dir || process.env["PRODBOT_AUDIT_DIR"] || config.dir || "audit");
+    const id = new Date().toISOString().replace(/[:.]/g, "-") + `-${process.pid}`;
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+    } catch (err) {
+        return { error: `Could not create audit directory ${dir}: ${err.message}` };
+    }
+
+    session = { id, file: path.join(dir, `session-${id}.jsonl`), seq: 0, level: options.level ?? null };
+    audit("session_start", { pid: process.pid, argv: process.argv.slice(2) });
+    return { file: session.file };
+}
+
+/** Records the level that later events belong to. */
+export function setAuditLevel(level) {
+    if (session) session.level = level;
+}
+
+/**
+ * Appends one event to the audit log. Does nothing when auditing is off.
+ * A failed write is reported once and then auditing stops, rather than
+ * interrupting the game.
+ *
+ * @param {string} event - Event name, e.g. "validation"
+ * @param {Object} [fields] - Event details
+ */
+export function audit(event, fields = {}) {
+    if (!session) return;
+    const record = {
+        ts: new Date().toISOString(),
+        session: session.id,
+        seq: ++session.seq,
+        level: session.level,
+        event,
+        ...fields,
+    };
+    try {
+        fs.appendFileSync(session.file, JSON.stringify(record) + "\n");
+    } catch (err) {
+        console.error(`⚠️  Audit log disabled: ${err.message}`);
+        session = null;
+    }
+}
+
+/** Closes the session with a final event. */
+export function closeAuditLog() {
+    audit("session_end");
+    session = null;
+}
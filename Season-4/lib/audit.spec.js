@@ -0,0 +1,40 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, describe, expect, test } from "vitest";
+import { audit, closeAuditLog, openAuditLog, setAuditLevel } from "./audit.js";
+
+const readLog = (file) => fs.readFileSync(file, "utf-8").trim().split("\n").map(line => JSON.parse(line));
+
+afterEach(() => {
+    closeAuditLog();
+    delete process.env.PRODBOT_AUDIT;
+});
+
+describe("audit log", () => {
+    test("appends one JSON line per event with level and sequence", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-audit-"));
+        const { file } = openAuditLog({ level: 1, dir });
+        audit("input", { text: "list all files" });
+        setAuditLevel(2);
+        audit("validation", { cmd: "ls", valid: true });
+        closeAuditLog();
+
+        const events = readLog(file);
+        expect(events.map(e => [e.seq, e.level, e.event])).toEqual([
+            [1, 1, "session_start"],
+            [2, 1, "input"],
+            [3, 2, "validation"],
+            [4, 2, "session_end"],
+        ]);
+        expect(events[1].text).toBe("list all files");
+        expect(new Set(events.map(e => e.session)).size).toBe(1);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("PRODBOT_AUDIT=off disables it", () => {
+        process.env.PRODBOT_AUDIT = "off";
+        expect(openAuditLog({ dir: os.tmpdir() })).toBeNull();
+        expect(() => audit("input", { text: "x" })).not.toThrow();
+    });
+});
@@ -7,24 +7,35 @@
  *   1. A denylist of dangerous command patterns (regex-based)
  *   2. Path validation to prevent escaping the sandbox directory
  *
+ * From Level 3 both checks run on the parsed command (shell-parser.js)
+ * instead of its raw text, so quoting and expansion tricks are seen the
+ * way bash will see them.
+ *
  * Commands are executed inside a persistent bash shell process. This means
  * that shell state (variables, working directory) persists between commands,
  * just like a real terminal. The shell's working directory is locked to the
  * sandbox folder on startup.
  *
- * A unique marker is echoed after each command. ProdBot reads stdout until
- * it sees the marker, then returns everything before it as the command output.
+ * A unique marker is echoed after each command, on stdout and (with the
+ * exit status) on stderr. ProdBot reads both streams until it sees the
+ * marker, then returns what came before it and the status.
  *
  * Key security concepts demonstrated:
  *   - Denylist filtering: blocking known-dangerous patterns
+ *   - Parsing vs regex: validating the words bash will run, not raw text
  *   - Path confinement: preventing directory traversal attacks
  *   - Execution sandboxing: restricting where commands run via `cwd`
+ *   - Environment scrubbing: secrets in ProdBot's env are not passed to the shell
  *   - Persistent shell: state survives across commands (like a real terminal)
+ *   - Resource limits: timeouts, output caps and ulimits bound what one command can cost
  */
 
 import { spawn } from "node:child_process";
 import path from "node:path";
 import chalk from "chalk";
+import { parseShell, expandWord, itemsText, wordText } from "./shell-parser.js";
+import { validateAllowlist } from "./policy.js";
+import { readConfig, envNumber } from "./config.js";
 
 /**
  * Regex patterns for commands that should never be executed.
@@ -44,28 +55,44 @@ const DENIED_PATTERNS = [
     /\bexec\b/,                                        // replacing the shell process
 ];
 
+// From this level on, commands are parsed (see shell-parser.js) instead of
+// pattern-matched. Levels 1–2 keep the regex validator on purpose: breaking
+// it is the Level 1 lesson, and Level 2 reuses that bypass.
+const PARSED_VALIDATOR_LEVEL = 3;
+
 /**
  * Validates a bash command before execution.
  *
- * Checks performed (in order):
+ * With an allowlist policy (see policy.js), only the policy decides.
+ * Otherwise the denylist checks run, in order:
  *   1. Command is not empty
  *   2. Command does not match any denied pattern
  *   3. Command does not reference ~ (expands to $HOME at runtime)
  *   4. Command is not bare "cd" (defaults to $HOME)
  *   5. Command does not use absolute paths (e.g., /etc/...)
  *   6. Command does not use path traversal (..) to escape the sandbox
- *   7. (Level 3+) Additional hardened checks to block shell tricks
+ *   7. (Level 3+) The same checks run on parsed words, plus hardened
+ *      checks that block shell tricks — see validateParsed()
  *
  * @param {string} cmd - The bash command to validate
  * @param {string} sandboxDir - The absolute path to the sandbox directory
  * @param {number} [level=1] - Current game level (higher = stricter)
  * @param {Object} [memoryContext={}] - System memory entries (Level 4+)
+ * @param {Object|null} [policy=null] - Command policy from loadPolicy(); null = denylist
  * @returns {{ valid: boolean, reason?: string }}
  */
-export function validateCommand(cmd, sandboxDir, level = 1, memoryContext = {}) {
+export function validateCommand(cmd, sandboxDir, level = 1, memoryContext = {}, policy = null) {
     const trimmed = cmd.trim();
     if (!trimmed) return { valid: false, reason: "Empty command" };
 
+    if (policy?.mode === "allowlist") {
+        return validateAllowlist(trimmed, sandboxDir, policy);
+    }
+
+    if (level >= PARSED_VALIDATOR_LEVEL) {
+        return validateParsed(trimmed, level, memoryContext);
+    }
+
     // Check against the denylist (always enforced, regardless of memory)
     for (const pattern of DENIED_PATTERNS) {
         if (pattern.test(trimmed)) {
@@ -88,50 +115,568 @@ export function validateCommand(cmd, sandboxDir, level = 1, memoryContext = {})
         return { valid: false, reason: "Absolute paths are not allowed" };
     }
 
+    // Reject path traversal — ".." could escape the sandbox directory
+    if (/(?:^|\s|\/)\.\.(\/|$|\s)/.test(trimmed)) {
+        return { valid: false, reason: "Path traversal (..) is not allowed" };
+    }
+
+    return { valid: true };
+}
+
+// ─── Parsed validator (Level 3+) ─────────────────────────────────────────────
+
+// Programs that are never allowed, by name — however the name is quoted.
+const DENIED_COMMANDS = new Set(["sudo", "chmod", "chown", "mkfs", "dd", "exec"]);
+
+// Shells: "bash -c <script>" and heredocs fed to a shell are validated too.
+const SHELLS = new Set(["bash", "sh", "dash", "zsh", "ksh"]);
+
+// Programs that run another command; their options that take a value.
+const WRAPPERS = {
+    command: [], builtin: [], nohup: [], setsid: [], time: [],
+    env: ["-u", "-C", "-S"],
+    nice: ["-n"],
+    stdbuf: ["-i", "-o", "-e"],
+    timeout: ["-s", "-k"],
+    xargs: ["-I", "-n", "-P", "-d", "-L", "-s", "-E", "-a"],
+};
+
+// Reserved words that may precede a command (if/while bodies, groups).
+const RESERVED_PREFIXES = new Set(["!", "{", "}", "if", "then", "else", "elif", "fi", "while", "until", "do", "done"]);
+
+// Clause headers whose words are data, not a command (for f in ...).
+const CLAUSE_HEADERS = new Set(["for", "select", "in"]);
+
+// Environment variables that hold absolute paths outside the sandbox.
+const PATH_VARIABLES = new Set(["HOME", "PWD", "OLDPWD", "TMPDIR", "SHELL", "BASH", "DIRSTACK", "_"]);
+
+// Escape sequences that can spell any character (\x2e, \056, .).
+const ENCODED_ESCAPE = /\\(x[0-9a-fA-F]|u[0-9a-fA-F]|U[0-9a-fA-F]|[0-7])/;
+
+// bash -c scripts inside bash -c scripts: give up past this depth.
+const MAX_NESTING = 8;
+
+/**
+ * Level 3+ validator: parses the command and checks each word, redirect
+ * target and assignment after quote removal, $'..' decoding and brace
+ * expansion — so `cat ".."/password.txt`, `cat $'\x2e\x2e'/password.txt`
+ * and `cat .{.,}/password.txt` are all seen as "../password.txt".
+ *
+ * Hardened checks (skipped when system memory grants workspace scope):
+ *   - ".." in paths, variable assignments and wildcards that can match ".."
+ *   - path segments built from variables and dots ($D$D, $D.)
+ *   - path segments that are a variable set at runtime ($D/x, x/$D/y),
+ *     e.g. by read or for; a variable assigned a literal earlier in the
+ *     same command line (D=src; cat $D/a.txt) is fine
+ *   - $(...), backticks, process substitution
+ *   - ${VAR...} operators and path variables ($HOME, $PWD, $OLDPWD)
+ *   - base64 decoding, printf / echo -e with encoded characters, eval
+ *
+ * Always enforced: denied commands (also behind wrappers like xargs, env,
+ * find -exec and bash -c), rm -rf, downloads piped to a shell, dynamic
+ * command names, absolute paths, ~ and bare cd.
+ *
+ * Refused by design, because the parser can't read them (fail closed):
+ * case statements, function definitions and (( )) arithmetic commands.
+ * ${VAR:-default} and other ${VAR...} operators are refused by the
+ * hardened checks.
+ */
+function validateParsed(cmd, level, memoryContext) {
+    const parsed = parseShell(cmd);
+    if (parsed.error) {
+        return { valid: false, reason: `Could not parse command: ${parsed.error}` };
+    }
+
     // Level 4+: workspace scope from system memory relaxes path checks
     const hasWorkspaceScope = level >= 4 && memoryContext.scope === "workspace";
 
-    // Reject path traversal — ".." could escape the sandbox directory
-    if (!hasWorkspaceScope && /(?:^|\s|\/)\.\.(\/|$|\s)/.test(trimmed)) {
-        return { valid: false, reason: "Path traversal (..) is not allowed" };
+    let reason;
+    try {
+        const variables = { literal: new Set(), runtime: runtimeVariables(parsed.script) };
+        reason = checkScript(parsed.script, { confined: !hasWorkspaceScope, depth: 0, variables });
+    } catch (err) {
+        reason = `Could not expand command: ${err.message}`;
     }
+    return reason ? { valid: false, reason } : { valid: true };
+}
 
-    // Level 3+: hardened checks to block Level 1 bypass techniques
-    if (level >= 3 && !hasWorkspaceScope) {
-        // Block variable assignments containing ".." (e.g., D=.., X=../)
-        if (/=\s*\.\./.test(trimmed)) {
-            return { valid: false, reason: "Variable assignments with '..' are not allowed" };
+/**
+ * Names of variables a script sets from runtime data — anything other than
+ * a plain NAME=literal assignment. A word naming the variable counts (read D,
+ * for D in, export D=.., printf -v D), whatever the command, so a variable
+ * written anywhere in the script is never trusted.
+ */
+function runtimeVariables(script, names = new Set()) {
+    for (const andor of script.items) {
+        for (const pipeline of andor.pipelines) {
+            for (const command of pipeline.commands) {
+                if (command.type === "subshell") {
+                    runtimeVariables(command.body, names);
+                    continue;
+                }
+                for (const { name, value } of command.assignments) {
+                    if (value.parts.some(p => p.type !== "text")) names.add(name);
+                }
+                for (const word of command.words) {
+                    for (const token of wordText(word).split(/\s+/)) {
+                        const match = /^([A-Za-z_][A-Za-z0-9_]*)(?:\+?=|$)/.exec(token);
+                        if (match) names.add(match[1]);
+                    }
+                }
+            }
         }
+    }
+    return names;
+}
 
-        // Block backtick execution (could hide path traversal)
-        if (/`/.test(trimmed)) {
-            return { valid: false, reason: "Backtick execution is not allowed" };
+/** True if $name was assigned a literal by an earlier command and is never set at runtime. */
+function literalVariable(name, opts) {
+    return Boolean(opts.variables?.literal.has(name) && !opts.variables.runtime.has(name));
+}
+
+/** Checks every command in a parsed script; returns the first problem found. */
+function checkScript(script, opts) {
+    if (opts.depth > MAX_NESTING) return "Command nesting is too deep";
+    for (const andor of script.items) {
+        for (const pipeline of andor.pipelines) {
+            const reason = checkPipeline(pipeline, opts);
+            if (reason) return reason;
         }
+    }
+    return null;
+}
+
+function checkPipeline(pipeline, opts) {
+    const names = pipeline.commands.map(c => (c.type === "simple" ? commandName(c.words) : null));
+    const download = names.findIndex(n => n === "curl" || n === "wget");
+    if (download !== -1 && names.slice(download + 1).some(n => SHELLS.has(n))) {
+        return "Piping downloads into a shell is not allowed";
+    }
 
-        // Block $(...) subshell expansion (could hide path traversal)
-        if (/\$\(/.test(trimmed)) {
-            return { valid: false, reason: "Subshell expansion $() is not allowed" };
+    for (const command of pipeline.commands) {
+        const reason = command.type === "subshell"
+            ? checkScript(command.body, opts) || checkRedirects(command.redirects, null, opts)
+            : checkSimple(command, opts);
+        if (reason) return reason;
+    }
+    return null;
+}
+
+function checkSimple(command, opts) {
+    for (const { value } of command.assignments) {
+        const reason = checkWord(value, opts, { assignment: true });
+        if (reason) return reason;
+    }
+    for (const word of command.words) {
+        const reason = checkWord(word, opts);
+        if (reason) return reason;
+    }
+    const reason = checkRedirects(command.redirects, commandName(command.words), opts) ||
+        checkInvocation(command.words, opts);
+    if (reason) return reason;
+
+    // Assignments take effect for later commands, not this one's own words
+    for (const { name } of command.assignments) opts.variables?.literal.add(name);
+    return null;
+}
+
+function checkRedirects(redirects, name, opts) {
+    for (const redirect of redirects) {
+        const { op, target, heredoc } = redirect;
+
+        if (heredoc) {
+            const reason = checkWord({ parts: heredoc.parts }, opts, { data: true });
+            if (reason) return reason;
+            // A heredoc fed to a shell is a script — validate it as one
+            if (SHELLS.has(name)) {
+                const reason = checkNestedScript(heredoc.body, opts);
+                if (reason) return reason;
+            }
+            continue;
         }
 
-        // Block base64 decode piped to execution
-        if (/base64\s+(-d|--decode)/.test(trimmed)) {
-            return { valid: false, reason: "Base64 decoding is not allowed" };
+        // 2>&1, >&-: duplicating a file descriptor, not a path
+        if ((op === ">&" || op === "<&") && /^(\d+-?|-)$/.test(wordText(target))) continue;
+        if (wordText(target) === "/dev/null") continue;
+
+        const reason = checkWord(target, opts, { data: op === "<<<" });
+        if (reason) return reason;
+    }
+    return null;
+}
+
+/**
+ * Checks one word: its dynamic parts, then every path-like token of every
+ * field it expands to.
+ *
+ * @param {Object} word - A parsed word (or { parts } for heredoc bodies)
+ * @param {Object} opts - { confined, depth }
+ * @param {{ assignment?: boolean, data?: boolean }} [kind] - Where the word appears
+ */
+function checkWord(word, opts, kind = {}) {
+    for (const part of word.parts) {
+        const reason = checkPart(part, opts);
+        if (reason) return reason;
+    }
+
+    // Assignment values are not brace-expanded by bash
+    for (const field of expandWord(word, { braces: !kind.assignment && !kind.data })) {
+        for (const { token, startsWord } of splitTokens(field)) {
+            const reason = checkPathToken(token, opts, { ...kind, startsWord });
+            if (reason) return reason;
         }
+    }
+    return null;
+}
 
-        // Block printf with hex/octal escapes (could encode "..")
-        if (/printf\s+.*\\x|printf\s+.*\\[0-7]{3}/.test(trimmed)) {
-            return { valid: false, reason: "Printf with escape sequences is not allowed" };
+/** Checks a dynamic part of a word: substitutions and parameter expansions. */
+function checkPart(part, opts) {
+    if (part.type === "cmdsub") {
+        if (opts.confined) {
+            return part.backtick ? "Backtick execution is not allowed" : "Subshell expansion $() is not allowed";
+        }
+        return checkScript(part.body, { ...opts, depth: opts.depth + 1 });
+    }
+    if (part.type === "procsub") {
+        if (opts.confined) return "Process substitution <() is not allowed";
+        return checkScript(part.body, { ...opts, depth: opts.depth + 1 });
+    }
+    if (part.type === "param") {
+        if (PATH_VARIABLES.has(part.name)) {
+            return `$${part.name} points outside the sandbox and is not allowed`;
         }
+        const plain = part.inner === part.name || part.inner === `#${part.name}`;
+        if (opts.confined && !plain) {
+            return `Parameter expansion ${part.raw} is not allowed`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Splits an expanded field into path-like tokens: on whitespace (the text
+ * may later be re-split or passed to eval / sh -c) and on "=", ":" and ","
+ * (so --file=../x and PATH-style lists are covered). `startsWord` is true
+ * for tokens that begin the field or follow whitespace.
+ */
+function splitTokens(items) {
+    const tokens = [{ token: [], startsWord: true }];
+    for (const item of items) {
+        if (!item.part && /[\s=:,]/.test(item.ch)) tokens.push({ token: [], startsWord: /\s/.test(item.ch) });
+        else tokens[tokens.length - 1].token.push(item);
+    }
+    return tokens.filter(t => t.token.length > 0);
+}
+
+function checkPathToken(token, opts, kind) {
+    if (itemsText(token) === "/dev/null") return null;
+
+    // Only a word that starts with "/" is absolute: http://x, a:/b and key=/v are not
+    if (token[0].ch === "/" && kind.startsWord) return "Absolute paths are not allowed";
+    if (token[0].ch === "~" && !token[0].quoted) return "Home directory references (~) are not allowed";
+    if (!opts.confined) return null;
+
+    // Split the token into path segments on "/"
+    const segments = [[]];
+    for (const item of token) {
+        if (item.ch === "/") segments.push([]);
+        else segments[segments.length - 1].push(item);
+    }
 
-        // Block eval (could reconstruct blocked commands)
-        if (/\beval\b/.test(trimmed)) {
-            return { valid: false, reason: "eval is not allowed" };
+    for (const seg of segments) {
+        const text = seg.map(item => item.ch ?? "\0").join("");
+        if (text === "..") {
+            return kind.assignment
+                ? "Variable assignments with '..' are not allowed"
+                : "Path traversal (..) is not allowed";
+        }
+        if (globCanMatchDotDot(seg)) {
+            return "Wildcards that can match '..' are not allowed";
+        }
+        if (seg.length > 1 && seg.some(item => item.part) && seg.every(item => item.part || item.ch === ".")) {
+            return "Path segments built from variables and dots are not allowed";
+        }
+        const variable = seg.length === 1 && seg[0].part?.type === "param" ? seg[0].part.name : null;
+        if (variable && segments.length > 1 && !kind.data && !literalVariable(variable, opts)) {
+            return `Path segments from variables set at runtime ($${variable}/...) are not allowed`;
         }
     }
+    return null;
+}
 
-    return { valid: true };
+/**
+ * True if a glob segment like ".?", ".[.]" or ".*" could match "..".
+ * A leading "." must be literal for a glob to match a dot-file at all.
+ */
+function globCanMatchDotDot(seg) {
+    if (seg.length < 2 || seg[0].ch !== "." || seg.some(item => item.part)) return false;
+    const rest = seg.slice(1);
+    if (!rest.some(item => !item.quoted && "*?[".includes(item.ch))) return false;
+
+    let source = "";
+    for (let i = 0; i < rest.length; i++) {
+        const { ch, quoted } = rest[i];
+        if (!quoted && ch === "*") source += ".*";
+        else if (!quoted && ch === "?") source += ".";
+        else if (!quoted && ch === "[") {
+            const close = rest.findIndex((item, j) => j > i + 1 && !item.quoted && item.ch === "]");
+            if (close === -1) {
+                source += "\\[";
+                continue;
+            }
+            const body = rest.slice(i + 1, close).map(item => item.ch).join("").replace(/^!/, "^");
+            source += `[${body.replace(/[\]\\]/g, "\\$&")}]`;
+            i = close;
+        } else {
+            source += ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    try {
+        return new RegExp(`^${source}$`).test(".");
+    } catch {
+        return true;
+    }
+}
+
+/** The program a command runs, after skipping reserved words — or null. */
+function commandName(words) {
+    const index = words.findIndex(w => !RESERVED_PREFIXES.has(wordText(w)));
+    if (index === -1) return null;
+    return path.basename(wordText(words[index]));
+}
+
+/**
+ * Checks what a command does: its program name against the denylist, and
+ * commands it runs on our behalf (wrappers, find -exec, bash -c).
+ */
+function checkInvocation(words, opts) {
+    let start = 0;
+    while (start < words.length && RESERVED_PREFIXES.has(wordText(words[start]))) start++;
+    if (start >= words.length) return null;
+    if (CLAUSE_HEADERS.has(wordText(words[start]))) return null;
+    if (opts.depth > MAX_NESTING) return "Command nesting is too deep";
+
+    const first = words[start];
+    if (first.parts.some(p => p.type !== "text")) {
+        return "Command names built from variables or substitutions are not allowed";
+    }
+
+    const name = path.basename(wordText(first));
+    const args = words.slice(start + 1);
+    const argText = args.map(wordText);
+
+    if (DENIED_COMMANDS.has(name) || name.startsWith("mkfs.")) {
+        return `Blocked: '${name}' is a denied command`;
+    }
+
+    // Bare "cd" defaults to $HOME
+    if (name === "cd" && (args.length === 0 || (args.length === 1 && argText[0] === "--"))) {
+        return "Bare 'cd' navigates to home directory and is not allowed";
+    }
+
+    if (name === "rm") {
+        const flags = argText.slice(0, argText.includes("--") ? argText.indexOf("--") : undefined)
+            .filter(a => a.startsWith("-"));
+        const recursive = flags.some(f => f === "--recursive" || /^-[^-]*[rR]/.test(f));
+        const force = flags.some(f => f === "--force" || /^-[^-]*f/.test(f));
+        if (recursive && force) return "Recursive force delete (rm -rf) is not allowed";
+    }
+
+    if (opts.confined) {
+        if (name === "eval") return "eval is not allowed";
+        if (["base64", "base32", "basenc"].includes(name) &&
+            argText.some(a => a === "--decode" || /^-[a-zA-Z]*[dD]/.test(a))) {
+            return "Base64 decoding is not allowed";
+        }
+        if (name === "printf" && argText.some(a => ENCODED_ESCAPE.test(a))) {
+            return "Printf with escape sequences is not allowed";
+        }
+        if (name === "echo" && argText.some(a => /^-[neE]*e[neE]*$/.test(a)) &&
+            argText.some(a => ENCODED_ESCAPE.test(a))) {
+            return "echo -e with escape sequences is not allowed";
+        }
+    }
+
+    // bash -c "<script>": validate the script itself
+    if (SHELLS.has(name)) {
+        const flag = argText.findIndex(a => /^-[a-zA-Z]*c[a-zA-Z]*$/.test(a));
+        if (flag !== -1 && args[flag + 1]) {
+            return checkNestedScript(wordText(args[flag + 1]), opts);
+        }
+    }
+
+    // find -exec <command> ; — validate the command it runs
+    if (name === "find") {
+        for (let i = 0; i < argText.length; i++) {
+            if (!["-exec", "-execdir", "-ok", "-okdir"].includes(argText[i])) continue;
+            let end = i + 1;
+            while (end < argText.length && argText[end] !== ";" && argText[end] !== "+") end++;
+            const reason = checkInvocation(args.slice(i + 1, end), { ...opts, depth: opts.depth + 1 });
+            if (reason) return reason;
+            i = end;
+        }
+    }
+
+    // xargs cmd, env X=1 cmd, timeout 5 cmd, ... — validate the wrapped command
+    if (WRAPPERS[name]) {
+        const valueOptions = WRAPPERS[name];
+        let i = 0;
+        while (i < argText.length) {
+            const a = argText[i];
+            if (valueOptions.includes(a)) i += 2;
+            else if (a.startsWith("-") || (name === "env" && /^[A-Za-z_][A-Za-z0-9_]*=/.test(a))) i++;
+            else break;
+        }
+        if (name === "timeout") i++;
+        return checkInvocation(args.slice(i), { ...opts, depth: opts.depth + 1 });
+    }
+
+    return null;
+}
+
+/** Parses and checks a script passed as text (bash -c, heredoc to a shell). */
+function checkNestedScript(text, opts) {
+    const parsed = parseShell(text);
+    if (parsed.error) return `Could not parse nested script: ${parsed.error}`;
+    // A nested shell starts with none of this script's variables
+    const variables = { literal: new Set(), runtime: runtimeVariables(parsed.script) };
+    return checkScript(parsed.script, { ...opts, depth: opts.depth + 1, variables });
 }
 
+// ─── Resource limits ───────────────────────────────────────────────────
+
+// Defaults for each command: wall-clock timeout and captured output cap.
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_OUTPUT_BYTES = 64 * 1024;
+
+// Optional per-process limits applied with `ulimit` when bash starts.
+// Hard limits, so commands in the sandbox cannot raise them again.
+const ULIMIT_FLAGS = {
+    cpuSeconds: ["-t", (n) => n],              // CPU time per process
+    memoryMb: ["-v", (n) => n * 1024],         // virtual memory, in KB
+    maxProcesses: ["-u", (n) => n],            // processes for this user (ignored for root)
+    fileSizeMb: ["-f", (n) => n * 2048],       // largest file written, in 512-byte blocks
+};
+
+/**
+ * Shell limits from prodbot.config.json → shell, overridden by
+ * PRODBOT_COMMAND_TIMEOUT_MS and PRODBOT_MAX_OUTPUT_BYTES. A timeout or
+ * output cap of 0 disables it.
+ *
+ * @returns {{ timeoutMs: number, maxOutputBytes: number, limits: Object }}
+ */
+export function shellLimits() {
+    const config = readConfig("shell");
+    return {
+        timeoutMs: envNumber("PRODBOT_COMMAND_TIMEOUT_MS") ?? config.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+        maxOutputBytes: envNumber("PRODBOT_MAX_OUTPUT_BYTES") ?? config.maxOutputBytes ?? DEFAULT_MAX_OUTPUT_BYTES,
+        limits: config.limits || {},
+    };
+}
+
+/** Builds the `ulimit` commands for the configured limits, e.g. "ulimit -t 10". */
+function ulimitScript(limits) {
+    return Object.entries(ULIMIT_FLAGS)
+        .filter(([key]) => Number.isFinite(limits[key]) && limits[key] > 0)
+        .map(([key, [flag, toUnits]]) => `ulimit -H -S ${flag} ${Math.floor(toUnits(limits[key]))}`)
+        .join("; ");
+}
+
+/**
+ * Reads one shell stream (stdout or stderr) up to a marker line.
+ *
+ * Text before the marker is kept up to a byte budget; anything past the
+ * budget is counted but dropped, so a runaway command cannot fill ProdBot's
+ * memory. The rest of the marker line (e.g. ":0" for an exit status) is
+ * kept in `trailer`.
+ */
+class MarkedStream {
+    constructor(marker, maxBytes) {
+        this.marker = marker;
+        this.maxBytes = maxBytes;
+        this.text = "";
+        this.bytes = 0;
+        // Unread text that may hold the start of the marker
+        this.pending = "";
+        this.trailer = null;
+    }
+
+    /** Adds a chunk; returns true once the whole marker line has arrived. */
+    push(chunk) {
+        if (this.trailer !== null) {
+            this.trailer += chunk;
+            return this.trailer.includes("\n");
+        }
+        this.pending += chunk;
+        const at = this.pending.indexOf(this.marker);
+        if (at >= 0) {
+            this._append(this.pending.slice(0, at));
+            this.trailer = this.pending.slice(at + this.marker.length);
+            this.pending = "";
+            return this.trailer.includes("\n");
+        }
+        // Keep only enough unread text to spot a marker split across chunks
+        const keep = this.marker.length - 1;
+        if (this.pending.length > keep) {
+            this._append(this.pending.slice(0, -keep));
+            this.pending = this.pending.slice(-keep);
+        }
+        return false;
+    }
+
+    /** The collected text, with a notice if it was cut short. */
+    finish() {
+        this._append(this.pending);
+        this.pending = "";
+        if (this.maxBytes && this.bytes > this.maxBytes) {
+            return this.text + `\n⚠️  Output truncated: ${this.bytes} bytes produced, showing the first ${this.maxBytes}.\n`;
+        }
+        return this.text;
+    }
+
+    _append(text) {
+        const size = Buffer.byteLength(text);
+        if (!this.maxBytes || this.bytes + size <= this.maxBytes) {
+            this.text += text;
+        } else if (this.bytes < this.maxBytes) {
+            this.text += Buffer.from(text).subarray(0, this.maxBytes - this.bytes).toString();
+        }
+        this.bytes += size;
+    }
+}
+
+// ─── Sandbox environment ───────────────────────────────────────────────
+
+// Variables copied from ProdBot's own environment into the sandbox shell.
+// Everything else (GITHUB_TOKEN, FINANCE_API_KEY, cloud credentials, ...)
+// stays out unless a level exposes it on purpose.
+const BASE_ENV = ["PATH", "HOME", "USER", "LOGNAME", "SHELL", "TERM", "LANG", "LC_ALL", "LC_CTYPE", "TZ", "TMPDIR"];
+
+/**
+ * Builds the environment for a sandbox shell: the BASE_ENV allowlist, any
+ * names listed in prodbot.config.json → shell.passEnv, then the caller's
+ * additions.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.expose=[]] - Names copied from ProdBot's environment on purpose
+ * @param {Object<string, string>} [options.set={}] - Fixed values to add
+ * @returns {Object<string, string>}
+ */
+export function sandboxEnv({ expose = [], set = {} } = {}) {
+    const names = [...BASE_ENV, ...(readConfig("shell").passEnv || []), ...expose];
+    const env = {};
+    for (const name of names) {
+        if (process.env[name] !== undefined) env[name] = process.env[name];
+    }
+    return { ...env, ...set, PS1: "", PS2: "" };
+}
+
+// Shells still running, so their process groups can be killed if ProdBot exits.
+const liveShells = new Set();
+process.on("exit", () => {
+    for (const shell of liveShells) shell.destroy();
+});
+
 /**
  * PersistentShell — A long-lived bash process that retains state between commands.
  *
@@ -141,49 +686,95 @@ export function validateCommand(cmd, sandboxDir, level = 1, memoryContext = {})
  *
  * This means variables, aliases, and working directory changes persist across
  * commands — just like a real terminal session.
+ *
+ * Each command is bounded: it reads stdin from /dev/null, its captured output
+ * is capped, and if it runs past the timeout the whole process group is
+ * killed and a fresh shell takes its place.
  */
 export class PersistentShell {
-    constructor(sandboxDir, level = 1, getMemoryContext = () => ({})) {
+    /**
+     * @param {string} sandboxDir - Working directory for the shell
+     * @param {number} [level=1] - Game level, passed to validateCommand
+     * @param {() => Object} [getMemoryContext] - Returns system memory entries (Level 4+)
+     * @param {Object|null} [policy=null] - Command policy from loadPolicy()
+     * @param {{ timeoutMs?: number, maxOutputBytes?: number, limits?: Object, env?: Object }} [options]
+     *        Defaults to shellLimits() and sandboxEnv()
+     */
+    constructor(sandboxDir, level = 1, getMemoryContext = () => ({}), policy = null, options = {}) {
         this.sandboxDir = sandboxDir;
         this.level = level;
         this.getMemoryContext = getMemoryContext;
+        this.policy = policy;
+        this.options = { ...shellLimits(), env: sandboxEnv(), ...options };
         this.shell = null;
         this._spawn();
     }
 
-    /** Spawn (or respawn) the bash process with cwd locked to the sandbox. */
+    /**
+     * Spawn (or respawn) the bash process with cwd locked to the sandbox.
+     * It leads its own process group so a timeout can kill everything it started.
+     */
     _spawn() {
-        this.shell = spawn("bash", ["--norc", "--noprofile"], {
+        const ulimits = ulimitScript(this.options.limits);
+        const args = ["--norc", "--noprofile"];
+        if (ulimits) {
+            // Apply the limits, then replace this bash with the interactive one
+            args.push("-c", `${ulimits} 2>/dev/null; exec bash --norc --noprofile`);
+        }
+
+        const shell = spawn("bash", args, {
             cwd: this.sandboxDir,
-            env: { ...process.env, PS1: "", PS2: "" },
+            env: this.options.env,
             stdio: ["pipe", "pipe", "pipe"],
+            detached: true,
         });
+        shell.stdout.setEncoding("utf-8");
+        shell.stderr.setEncoding("utf-8");
+        this.shell = shell;
+        liveShells.add(this);
 
         // If the shell exits unexpectedly, mark it as dead so we can respawn
-        this.shell.on("exit", () => {
-            this.shell = null;
+        shell.on("exit", () => {
+            if (this.shell === shell) this.shell = null;
         });
     }
 
+    /** Kills the shell and every process it started. */
+    _kill() {
+        if (!this.shell) return;
+        try {
+            process.kill(-this.shell.pid, "SIGKILL");
+        } catch {
+            this.shell.kill("SIGKILL");
+        }
+        this.shell = null;
+    }
+
     /**
      * Execute a command in the persistent shell.
      *
      * How it works:
      *   1. Generate a unique marker string
-     *   2. Write the command to stdin, followed by `echo <marker>`
-     *   3. Read stdout until the marker appears
-     *   4. Return everything before the marker as the output
+     *   2. Write the command to stdin, then echo the marker with `$?` to
+     *      stderr and the marker alone to stdout
+     *   3. Read both streams until their marker appears
+     *   4. Return everything before the markers, plus the exit status
      *
      * The marker acts as a delimiter — without it, we'd have no way to know
      * when the command's output ends and the shell is ready for the next one.
+     * If it hasn't appeared within the timeout, the shell is replaced and the
+     * command fails; variables and the working directory start over.
+     *
+     * `success` means the command ran and exited 0. `error` is set only when
+     * it didn't run to completion: blocked, timed out, or the shell died.
      *
      * @param {string} cmd - The bash command to execute
-     * @returns {Promise<{ success: boolean, output?: string, error?: string }>}
+     * @returns {Promise<{ success: boolean, exitCode: number|null, stdout: string, stderr: string, durationMs: number, error?: string }>}
      */
     executeCommand(cmd) {
-        const validation = validateCommand(cmd, this.sandboxDir, this.level, this.getMemoryContext());
+        const validation = validateCommand(cmd, this.sandboxDir, this.level, this.getMemoryContext(), this.policy);
         if (!validation.valid) {
-            return Promise.resolve({ success: false, error: validation.reason });
+            return Promise.resolve({ success: false, exitCode: null, stdout: "", stderr: "", durationMs: 0, error: validation.reason });
         }
 
         // Respawn if the shell died
@@ -191,49 +782,78 @@ export class PersistentShell {
             this._spawn();
         }
 
+        const { timeoutMs, maxOutputBytes } = this.options;
+        const shell = this.shell;
+        const started = Date.now();
+
         return new Promise((resolve) => {
             const marker = `__PRODBOT_${Date.now()}_${Math.floor(Math.random() * 1e9)}__`;
-            let stdout = "";
-            let stderr = "";
+            const stdout = new MarkedStream(marker, maxOutputBytes);
+            const stderr = new MarkedStream(marker, maxOutputBytes);
+            let stdoutDone = false;
+            let stderrDone = false;
+            let timer = null;
 
-            const onStdout = (chunk) => {
-                stdout += chunk.toString();
-                // Check if the marker has appeared in the output
-                if (stdout.includes(marker)) {
-                    cleanup();
-                    // Everything before the marker is the command's output
-                    const output = stdout.split(marker)[0];
-                    if (stderr.trim()) {
-                        resolve({ success: true, output: output + stderr });
-                    } else {
-                        resolve({ success: true, output });
-                    }
+            const finish = (exitCode, error) => {
+                clearTimeout(timer);
+                shell.stdout.off("data", onStdout);
+                shell.stderr.off("data", onStderr);
+                shell.off("exit", onExit);
+                const result = {
+                    success: !error && exitCode === 0,
+                    exitCode,
+                    stdout: stdout.finish(),
+                    stderr: stderr.finish(),
+                    durationMs: Date.now() - started,
+                };
+                if (error) result.error = error;
+                resolve(result);
+            };
+
+            // Both markers seen: the stderr one carries ":<exit status>"
+            const maybeFinish = () => {
+                if (stdoutDone && stderrDone) {
+                    finish(parseInt(stderr.trailer.slice(1), 10));
                 }
             };
 
+            const onStdout = (chunk) => {
+                stdoutDone = stdout.push(chunk);
+                maybeFinish();
+            };
+
             const onStderr = (chunk) => {
-                stderr += chunk.toString();
+                stderrDone = stderr.push(chunk);
+                maybeFinish();
             };
 
-            const cleanup = () => {
-                this.shell.stdout.off("data", onStdout);
-                this.shell.stderr.off("data", onStderr);
+            const onExit = (code) => {
+                finish(code, "The shell exited");
             };
 
-            this.shell.stdout.on("data", onStdout);
-            this.shell.stderr.on("data", onStderr);
+            shell.stdout.on("data", onStdout);
+            shell.stderr.on("data", onStderr);
+            shell.on("exit", onExit);
 
-            // Write the command, then echo the marker on a new line.
-            // The marker tells us where this command's output ends.
-            this.shell.stdin.write(`${cmd}\necho ${marker}\n`);
+            if (timeoutMs > 0) {
+                timer = setTimeout(() => {
+                    shell.off("exit", onExit);
+                    this._kill();
+                    this._spawn();
+                    finish(null, `Command timed out after ${timeoutMs / 1000}s and was stopped. The shell was restarted, so variables and the working directory were reset.`);
+                }, timeoutMs);
+            }
+
+            // Write the command, then the markers on new lines. stdin comes
+            // from /dev/null so `cat` with no file cannot swallow the marker
+            // lines and wait forever.
+            shell.stdin.write(`{\n${cmd}\n} < /dev/null\necho "${marker}:$?" >&2; echo "${marker}"\n`);
         });
     }
 
     /** Clean up the shell process when ProdBot exits. */
     destroy() {
-        if (this.shell) {
-            this.shell.kill();
-            this.shell = null;
-        }
+        this._kill();
+        liveShells.delete(this);
     }
 }
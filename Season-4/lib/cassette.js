@@ -0,0 +1,110 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * cassette.js — Record and replay of ProdBot's LLM exchanges.
+ *
+ * In record mode every sendToAI() call (and every extractToolArguments()
+ * call for MCP tool arguments) is appended to a cassette file: the system
+ * prompt (ProdBot's own or a custom agent prompt), the conversation
+ * history, the user message and the parsed response. In replay mode
+ * sendToAI() answers from that file instead of the model, so a player's
+ * session can be reproduced exactly — same AI decisions, no network, no token.
+ *
+ * Cassette format (JSON):
+ *   {
+ *     "version": 1,
+ *     "recordedAt": "2026-04-01T12:00:00.000Z",
+ *     "provider": "github", "model": "openai/gpt-4.1-nano",
+ *     "exchanges": [
+ *       { "request": { "systemPrompt": "...", "customPrompt": false, "history": [], "userMessage": "..." },
+ *         "raw": "...", "response": { "action": "bash", "commands": ["ls"] } }
+ *     ]
+ *   }
+ *
+ * Replay serves exchanges in recorded order. If the next exchange doesn't
+ * match the incoming request (e.g. the engine changed), the first unused
+ * exchange with an identical request is used instead; if there is none,
+ * replay reports the miss rather than calling a live model.
+ *
+ * Key concepts demonstrated:
+ *   - Reproducibility: turning a non-deterministic model into a fixture
+ *   - Regression testing: replaying real sessions against a changed engine
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export const CASSETTE_VERSION = 1;
+
+/** Two requests match when the model would have seen the same prompt. */
+function sameRequest(a, b) {
+    return a.systemPrompt === b.systemPrompt &&
+        a.userMessage === b.userMessage &&
+        JSON.stringify(a.history || []) === JSON.stringify(b.history || []);
+}
+
+/**
+ * Creates a recorder that writes a fresh cassette to `file`.
+ * The file is rewritten after every exchange so a crash keeps what was recorded.
+ */
+export function createRecorder(file, meta = {}) {
+    const cassette = {
+        version: CASSETTE_VERSION,
+        recordedAt: new Date().toISOString(),
+        ...meta,
+        exchanges: [],
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    return {
+        mode: "record",
+        file,
+        record(request, raw, response) {
+            cassette.exchanges.push({ request, raw, response });
+            fs.writeFileSync(file, JSON.stringify(cassette, null, 2) + "\n");
+        },
+    };
+}
+
+/**
+ * Creates a replayer that serves responses from an existing cassette.
+ *
+ * @returns {{ mode: string, file: string, next: Function, remaining: Function } | { error: string }}
+ */
+export function createReplayer(file) {
+    let cassette;
+    try {
+        cassette = JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (err) {
+        return { error: `Could not load cassette ${file}: ${err.message}` };
+    }
+    if (cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.exchanges)) {
+        return { error: `Unsupported cassette format in ${file}` };
+    }
+
+    const used = new Set();
+    let cursor = 0;
+
+    return {
+        mode: "replay",
+        file,
+        /** Returns the recorded exchange for this request, or null on a miss. */
+        next(request) {
+            while (cursor < cassette.exchanges.length && used.has(cursor)) cursor++;
+
+            let index = -1;
+            if (cursor < cassette.exchanges.length && sameRequest(cassette.exchanges[cursor].request, request)) {
+                index = cursor;
+            } else {
+                index = cassette.exchanges.findIndex((ex, i) => !used.has(i) && sameRequest(ex.request, request));
+            }
+            if (index === -1) return null;
+
+            used.add(index);
+            return cassette.exchanges[index];
+        },
+        /** Number of recorded exchanges that have not been served yet. */
+        remaining() {
+            return cassette.exchanges.length - used.size;
+        },
+    };
+}
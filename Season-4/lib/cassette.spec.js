@@ -0,0 +1,79 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { CASSETTE_VERSION, createRecorder, createReplayer } from "./cassette.js";
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-cassette-"));
+    file = path.join(dir, "tapes", "session.json");
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** A request as sendToAI() builds it. */
+function request(userMessage, history = []) {
+    return { systemPrompt: "You are ProdBot", customPrompt: false, history, userMessage };
+}
+
+const LIST = { action: "bash", commands: ["ls"] };
+const HELLO = { action: "message", text: "Hi!" };
+
+describe("createRecorder", () => {
+    test("writes the cassette after every exchange", () => {
+        const recorder = createRecorder(file, { provider: "scripted", model: "scripted" });
+        recorder.record(request("list files"), '{"action":"bash","commands":["ls"]}', LIST);
+
+        const cassette = JSON.parse(fs.readFileSync(file, "utf-8"));
+        expect(cassette).toMatchObject({ version: CASSETTE_VERSION, provider: "scripted", model: "scripted" });
+        expect(cassette.exchanges).toEqual([
+            { request: request("list files"), raw: '{"action":"bash","commands":["ls"]}', response: LIST },
+        ]);
+
+        recorder.record(request("hello"), null, HELLO);
+        expect(JSON.parse(fs.readFileSync(file, "utf-8")).exchanges).toHaveLength(2);
+    });
+});
+
+describe("createReplayer", () => {
+    function recorded() {
+        const recorder = createRecorder(file);
+        recorder.record(request("list files"), null, LIST);
+        recorder.record(request("hello"), null, HELLO);
+        return createReplayer(file);
+    }
+
+    test("serves exchanges in recorded order", () => {
+        const replayer = recorded();
+        expect(replayer.next(request("list files")).response).toEqual(LIST);
+        expect(replayer.remaining()).toBe(1);
+        expect(replayer.next(request("hello")).response).toEqual(HELLO);
+        expect(replayer.remaining()).toBe(0);
+    });
+
+    test("falls back to the first unused identical request", () => {
+        const replayer = recorded();
+        expect(replayer.next(request("hello")).response).toEqual(HELLO);
+        expect(replayer.next(request("list files")).response).toEqual(LIST);
+    });
+
+    test("reports a miss instead of reusing or inventing an answer", () => {
+        const replayer = recorded();
+        expect(replayer.next(request("list files", [{ role: "user", content: "earlier" }]))).toBeNull();
+        replayer.next(request("list files"));
+        expect(replayer.next(request("list files"))).toBeNull();
+    });
+
+    test("rejects missing and unsupported cassettes", () => {
+        expect(createReplayer(file).error).toMatch(/^Could not load cassette/);
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ version: 99, exchanges: [] }));
+        expect(createReplayer(file).error).toMatch(/^Unsupported cassette format/);
+    });
+});
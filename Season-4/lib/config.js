@@ -0,0 +1,35 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * config.js — Optional local settings for ProdBot.
+ *
+ * Facilitators can drop a Season-4/prodbot.config.json next to package.json
+ * to change engine behaviour without editing code. Each subsystem reads its
+ * own top-level section, e.g. { "ai": {...}, "conversation": {...} }.
+ * A missing or malformed file simply means "use the defaults".
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+// Season-4/ — where prodbot.config.json lives.
+const SEASON_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+
+export const CONFIG_FILE = path.join(SEASON_DIR, "prodbot.config.json");
+
+/** Reads one top-level section of prodbot.config.json, or {} if absent/invalid. */
+export function readConfig(section) {
+    if (!fs.existsSync(CONFIG_FILE)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG_FILE, "utf-8"))[section] || {};
+    } catch {
+        return {};
+    }
+}
+
+/** Parses a numeric env var, returning undefined when unset or invalid. */
+export function envNumber(name) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === "") return undefined;
+    const num = Number(raw);
+    return Number.isFinite(num) ? num : undefined;
+}
@@ -0,0 +1,47 @@
+import fs from "node:fs";
+import { afterEach, describe, expect, test, vi } from "vitest";
+import { CONFIG_FILE, envNumber, readConfig } from "./config.js";
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+});
+
+/** Makes prodbot.config.json read as `text` (or not exist when null). */
+function configFile(text) {
+    vi.spyOn(fs, "existsSync").mockImplementation(file => file === CONFIG_FILE && text !== null);
+    vi.spyOn(fs, "readFileSync").mockImplementation(() => text);
+}
+
+describe("readConfig", () => {
+    test("returns one section of the file", () => {
+        configFile('{"ai":{"provider":"local"},"conversation":{"maxTurns":3}}');
+        expect(readConfig("ai")).toEqual({ provider: "local" });
+        expect(readConfig("conversation")).toEqual({ maxTurns: 3 });
+    });
+
+    test("falls back to {} for a missing file or section", () => {
+        configFile(null);
+        expect(readConfig("ai")).toEqual({});
+
+        configFile('{"ai":{"provider":"local"}}');
+        expect(readConfig("conversation")).toEqual({});
+    });
+
+    test("falls back to {} for a malformed file", () => {
+        configFile("{ not json");
+        expect(readConfig("ai")).toEqual({});
+    });
+});
+
+describe("envNumber", () => {
+    test("parses numbers and ignores unset or invalid values", () => {
+        vi.stubEnv("PRODBOT_SPEC_NUMBER", "42");
+        expect(envNumber("PRODBOT_SPEC_NUMBER")).toBe(42);
+        vi.stubEnv("PRODBOT_SPEC_NUMBER", "");
+        expect(envNumber("PRODBOT_SPEC_NUMBER")).toBeUndefined();
+        vi.stubEnv("PRODBOT_SPEC_NUMBER", "lots");
+        expect(envNumber("PRODBOT_SPEC_NUMBER")).toBeUndefined();
+        expect(envNumber("PRODBOT_SPEC_UNSET")).toBeUndefined();
+    });
+});
@@ -0,0 +1,140 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * conversation.js — Multi-turn conversation memory for ProdBot.
+ *
+ * Without memory, every request reaches the LLM on its own: "create notes.txt"
+ * works, but a follow-up like "now rename that file" has nothing to refer to.
+ * This module keeps a per-session buffer of turns and replays it to the model
+ * as chat history before each new request.
+ *
+ * Each turn records:
+ *   - what the user asked
+ *   - what ProdBot answered (the JSON action)
+ *   - for each proposed command: blocked, skipped by the user, or executed
+ *     (with a truncated copy of its output)
+ *
+ * The buffer is bounded by a turn budget and an approximate token budget
+ * (~4 characters per token). The oldest turns are dropped first.
+ *
+ * Settings (prodbot.config.json → "conversation", or env):
+ *   maxTurns  / PRODBOT_HISTORY_TURNS  — default 10 (0 disables memory)
+ *   maxTokens / PRODBOT_HISTORY_TOKENS — default 2000
+ *
+ * Key concepts demonstrated:
+ *   - Context windows: LLMs are stateless; "memory" is re-sent history
+ *   - Budgeting: history must be trimmed to fit the model's context
+ */
+
+import { readConfig, envNumber } from "./config.js";
+
+const DEFAULT_MAX_TURNS = 10;
+const DEFAULT_MAX_TOKENS = 2000;
+
+// Command output kept per command in history — enough for follow-ups, not whole files.
+const MAX_OUTPUT_CHARS = 500;
+
+/** Rough token estimate from a character count — good enough for budgeting without a tokenizer. */
+function estimateTokens(chars) {
+    return Math.ceil(chars / 4);
+}
+
+/**
+ * Conversation — the chat history for one ProdBot session.
+ */
+export class Conversation {
+    constructor(options = {}) {
+        const config = readConfig("conversation");
+        this.maxTurns = options.maxTurns ?? envNumber("PRODBOT_HISTORY_TURNS") ?? config.maxTurns ?? DEFAULT_MAX_TURNS;
+        this.maxTokens = options.maxTokens ?? envNumber("PRODBOT_HISTORY_TOKENS") ?? config.maxTokens ?? DEFAULT_MAX_TOKENS;
+        this.turns = [];
+    }
+
+    /**
+     * Starts a new turn with the user's input and ProdBot's response.
+     *
+     * @param {string} userInput - What the user typed
+     * @param {{ action: string, [key: string]: any }} response - The parsed AI response
+     */
+    addTurn(userInput, response) {
+        if (this.maxTurns <= 0) return;
+        this.turns.push({ user: userInput, response, results: [] });
+        this._trim();
+    }
+
+    /**
+     * Records what happened to a command proposed in the latest turn.
+     *
+     * @param {string} cmd - The proposed command
+     * @param {"blocked"|"skipped"|"executed"|"failed"} status - Outcome
+     * @param {string} [detail] - Block reason, error, or command output
+     */
+    addResult(cmd, status, detail = "") {
+        const turn = this.turns[this.turns.length - 1];
+        if (!turn) return;
+        let text = detail.trim();
+        if (text.length > MAX_OUTPUT_CHARS) {
+            text = text.slice(0, MAX_OUTPUT_CHARS) + `… [${text.length - MAX_OUTPUT_CHARS} more chars]`;
+        }
+        turn.results.push({ cmd, status, detail: text });
+        this._trim();
+    }
+
+    /** Forgets the whole conversation. */
+    clear() {
+        this.turns = [];
+    }
+
+    /** Number of turns currently remembered. */
+    get size() {
+        return this.turns.length;
+    }
+
+    /**
+     * Renders the history as chat messages to place between the system
+     * prompt and the new user message.
+     *
+     * @returns {Array<{ role: string, content: string }>}
+     */
+    toMessages() {
+        const messages = [];
+        for (const turn of this.turns) {
+            messages.push(...this._renderTurn(turn));
+        }
+        return messages;
+    }
+
+    /** A turn becomes: user message, assistant JSON, then an execution report. */
+    _renderTurn(turn) {
+        const messages = [
+            { role: "user", content: turn.user },
+            { role: "assistant", content: JSON.stringify(turn.response) },
+        ];
+        if (turn.results.length > 0) {
+            const lines = turn.results.map(r => {
+                const label = {
+                    blocked: "blocked by the validator",
+                    skipped: "not approved by the user",
+                    executed: "executed",
+                    failed: "failed",
+                }[r.status] || r.status;
+                return `$ ${r.cmd}\n  → ${label}${r.detail ? `:\n${r.detail}` : ""}`;
+            });
+            messages.push({ role: "user", content: `[ProdBot execution report]\n${lines.join("\n")}` });
+        }
+        return messages;
+    }
+
+    /** Drops the oldest turns until both budgets are satisfied. */
+    _trim() {
+        while (this.turns.length > this.maxTurns) this.turns.shift();
+
+        // Size of the history as sent: every message joined by "\n".
+        // Measured once, then each dropped turn is subtracted.
+        const lengths = this.turns.map(turn => this._renderTurn(turn).map(m => m.content).join("\n").length);
+        let chars = lengths.reduce((sum, n) => sum + n, 0) + lengths.length - 1;
+        while (this.turns.length > 1 && estimateTokens(chars) > this.maxTokens) {
+            chars -= lengths.shift() + 1;
+            this.turns.shift();
+        }
+    }
+}
@@ -0,0 +1,117 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import { readConfig } from "./config.js";
+import { Conversation } from "./conversation.js";
+
+// Never read the facilitator's own prodbot.config.json
+vi.mock("./config.js", async (importOriginal) => ({
+    ...await importOriginal(),
+    readConfig: vi.fn(() => ({})),
+}));
+
+beforeEach(() => {
+    vi.stubEnv("PRODBOT_HISTORY_TURNS", "");
+    vi.stubEnv("PRODBOT_HISTORY_TOKENS", "");
+});
+
+afterEach(() => {
+    vi.unstubAllEnvs();
+    readConfig.mockReset();
+    readConfig.mockReturnValue({});
+});
+
+const LS = { action: "bash", commands: ["ls"] };
+
+describe("Conversation", () => {
+    test("renders turns with their execution report", () => {
+        const conversation = new Conversation();
+        conversation.addTurn("list files", LS);
+        conversation.addResult("ls", "executed", "notes.txt\n");
+
+        expect(conversation.toMessages()).toEqual([
+            { role: "user", content: "list files" },
+            { role: "assistant", content: JSON.stringify(LS) },
+            { role: "user", content: "[ProdBot execution report]\n$ ls\n  → executed:\nnotes.txt" },
+        ]);
+    });
+
+    test("truncates long command output", () => {
+        const conversation = new Conversation();
+        conversation.addTurn("show it", { action: "bash", commands: ["cat big.txt"] });
+        conversation.addResult("cat big.txt", "executed", "x".repeat(600));
+        expect(conversation.toMessages()[2].content).toMatch(/x{500}… \[100 more chars\]$/);
+    });
+
+    test("keeps at most maxTurns turns, dropping the oldest", () => {
+        const conversation = new Conversation({ maxTurns: 2, maxTokens: 10000 });
+        for (const input of ["one", "two", "three"]) conversation.addTurn(input, LS);
+        expect(conversation.size).toBe(2);
+        expect(conversation.toMessages()[0].content).toBe("two");
+    });
+
+    test("drops the oldest turns to fit the token budget", () => {
+        const conversation = new Conversation({ maxTurns: 10, maxTokens: 30 });
+        for (const input of ["a".repeat(40), "b".repeat(40), "c".repeat(40)]) {
+            conversation.addTurn(input, { action: "message", text: "ok" });
+        }
+        // Each turn is ~70 characters, ~18 tokens: only the newest fits
+        expect(conversation.size).toBe(1);
+        expect(conversation.toMessages()[0].content).toBe("c".repeat(40));
+
+        const chars = conversation.toMessages().map(m => m.content).join("\n").length;
+        expect(Math.ceil(chars / 4)).toBeLessThanOrEqual(30);
+    });
+
+    test("trims again when results grow the latest turn", () => {
+        const conversation = new Conversation({ maxTurns: 10, maxTokens: 60 });
+        conversation.addTurn("first", LS);
+        conversation.addTurn("second", LS);
+        expect(conversation.size).toBe(2);
+
+        conversation.addResult("ls", "executed", "y".repeat(200));
+        expect(conversation.size).toBe(1);
+        expect(conversation.toMessages()[0].content).toBe("second");
+    });
+
+    test("always keeps the latest turn, even over budget", () => {
+        const conversation = new Conversation({ maxTurns: 10, maxTokens: 1 });
+        conversation.addTurn("a long request that does not fit", LS);
+        expect(conversation.size).toBe(1);
+    });
+
+    test("clear forgets every turn", () => {
+        const conversation = new Conversation();
+        conversation.addTurn("list files", LS);
+        conversation.clear();
+        expect(conversation.size).toBe(0);
+        expect(conversation.toMessages()).toEqual([]);
+
+        conversation.addResult("ls", "executed", "ignored without a turn");
+        expect(conversation.size).toBe(0);
+    });
+
+    test("maxTurns 0 disables memory", () => {
+        const conversation = new Conversation({ maxTurns: 0 });
+        conversation.addTurn("list files", LS);
+        expect(conversation.size).toBe(0);
+    });
+});
+
+describe("Conversation settings", () => {
+    test("default to 10 turns and 2000 tokens", () => {
+        expect(new Conversation()).toMatchObject({ maxTurns: 10, maxTokens: 2000 });
+    });
+
+    test("come from prodbot.config.json when set", () => {
+        readConfig.mockReturnValue({ maxTurns: 3, maxTokens: 500 });
+        expect(new Conversation()).toMatchObject({ maxTurns: 3, maxTokens: 500 });
+        expect(readConfig).toHaveBeenCalledWith("conversation");
+    });
+
+    test("environment overrides the config file, and options override both", () => {
+        readConfig.mockReturnValue({ maxTurns: 3, maxTokens: 500 });
+        vi.stubEnv("PRODBOT_HISTORY_TURNS", "5");
+        vi.stubEnv("PRODBOT_HISTORY_TOKENS", "not a number");
+        expect(new Conversation()).toMatchObject({ maxTurns: 5, maxTokens: 500 });
+        expect(new Conversation({ maxTurns: 1 })).toMatchObject({ maxTurns: 1, maxTokens: 500 });
+    });
+});
@@ -0,0 +1,62 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * events.js — Machine-readable event stream for ProdBot (--json).
+ *
+ * In JSON mode every engine event is written to stdout as one JSON object
+ * per line, and all the colourful human output moves to stderr. Scripts
+ * can read stdout without parsing emoji, or drop stderr entirely:
+ *
+ *   prodbot --json --script session.txt --yes 2>/dev/null | jq .
+ *
+ * Event types:
+ *   ready            — ProdBot started on a level
+ *   input            — a line the player typed
+ *   thinking         — the request went to the AI or an agent workflow
+ *   message          — ProdBot's reply text
+ *   tool_call        — an MCP tool, skill or agent tool ran
+ *   tool_denied      — an MCP tool the player didn't allow
+ *   command_proposed — a bash command is about to be validated
+ *   command_blocked  — the validator rejected it
+ *   command_skipped  — the player answered "n"
+ *   command_executed — it ran: exit code, stdout, stderr, files changed
+ *   flag_found       — the level's flag appeared in output
+ *   hint_viewed      — the player revealed a new hint
+ *   solution_viewed  — the player revealed the level's solution
+ *   level_switched   — ProdBot moved to another level
+ *   batch_result     — batch mode finished (see --script)
+ *
+ * Every object has "type" and "ts" (ISO timestamp) plus event fields.
+ *
+ * Key concepts demonstrated:
+ *   - Structured output: events that tests and dashboards can rely on
+ */
+
+// The real stdout writer, kept before console.log is redirected.
+const writeStdout = process.stdout.write.bind(process.stdout);
+
+let enabled = false;
+
+/**
+ * Turns on JSON mode: console.log and console.info go to stderr from now on,
+ * leaving stdout for events only.
+ */
+export function enableJsonOutput() {
+    enabled = true;
+    console.log = console.info = (...args) => console.error(...args);
+}
+
+/** True when --json is active. */
+export function jsonOutput() {
+    return enabled;
+}
+
+/**
+ * Writes one event line to stdout. Does nothing outside JSON mode.
+ *
+ * @param {string} type - Event type, e.g. "command_executed"
+ * @param {Object} [fields] - Event details
+ */
+export function emit(type, fields = {}) {
+    if (!enabled) return;
+    writeStdout(JSON.stringify({ type, ts: new Date().toISOString(), ...fields }) + "\n");
+}
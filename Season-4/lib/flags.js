@@ -0,0 +1,121 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * flags.js — Checks captured flags against salted hashes.
+ *
+ * Level manifests never hold a flag in plaintext, only its hash:
+ *
+ *   "flagHash": "scrypt:<cost>:<salt>:<digest>"
+ *
+ * where digest = scrypt(flag, salt, N = cost, r = 8, p = 1) in hex. The only
+ * plaintext copy of a flag is the level's password.txt, the file the player
+ * is trying to reach. Reading the engine or a manifest gives nothing away.
+ *
+ * Flags are short leet words, so a fast hash like SHA-256 can be brute
+ * forced from a manifest in seconds. scrypt makes every guess slow and
+ * memory-hungry. The cost is stored in the hash so it can be raised later
+ * without breaking existing manifests; new hashes use DEFAULT_COST. It
+ * stays modest because findFlag() may hash several tokens of one output.
+ *
+ * ProdBot spots a captured flag by splitting output into tokens (runs of
+ * letters and digits) and hashing the ones shaped like a flag: capital
+ * letters and digits, at least one letter, FLAG_PATTERN. Numbers and
+ * ordinary words are never hashed, at most MAX_HASHED_PER_OUTPUT tokens
+ * are hashed per output, and tokens already checked are remembered, so a
+ * long output can't stall ProdBot. Players can also type "submit <flag>".
+ *
+ * Key concepts demonstrated:
+ *   - Storing secrets as salted hashes: verification doesn't need the secret
+ *   - Token matching instead of substring matching on untrusted output
+ */
+
+import crypto from "node:crypto";
+
+const ALGORITHM = "scrypt";
+// What a flag looks like: BYPA55ED, D3PUTY, or randomFlag() in scaffold.js.
+export const FLAG_PATTERN = /^(?=[0-9]*[A-Z])[A-Z0-9]{4,32}$/;
+
+// scrypt N for new hashes, and the range accepted from a manifest
+// (a power of two; the top end bounds the memory a check can take).
+export const DEFAULT_COST = 2 ** 11;
+const MIN_COST = 2 ** 10;
+const MAX_COST = 2 ** 16;
+const BLOCK_SIZE = 8;
+const DIGEST_BYTES = 32;
+
+// Each hash takes a few milliseconds, so one output may only spend so many.
+const MAX_HASHED_PER_OUTPUT = 16;
+
+function digest(cost, salt, flag) {
+    return crypto.scryptSync(flag, salt, DIGEST_BYTES, {
+        N: cost,
+        r: BLOCK_SIZE,
+        p: 1,
+        maxmem: 2 * 128 * BLOCK_SIZE * MAX_COST,
+    });
+}
+
+/**
+ * Splits a stored hash into its parts.
+ *
+ * @param {string} flagHash - "scrypt:<cost>:<salt>:<digest>"
+ * @returns {{ cost: number, salt: string, digest: string } | null} null if malformed
+ */
+export function parseFlagHash(flagHash) {
+    const match = typeof flagHash === "string" && flagHash.match(/^scrypt:(\d+):([0-9a-f]{16,}):([0-9a-f]{64})$/);
+    if (!match) return null;
+    const cost = Number(match[1]);
+    const powerOfTwo = Number.isInteger(Math.log2(cost));
+    if (!powerOfTwo || cost < MIN_COST || cost > MAX_COST) return null;
+    return { cost, salt: match[2], digest: match[3] };
+}
+
+/**
+ * Hashes a flag for a level manifest with a fresh random salt.
+ *
+ * @param {string} flag - Letters and digits only
+ * @param {number} [cost=DEFAULT_COST] - scrypt N, a power of two
+ * @returns {string} "scrypt:<cost>:<salt>:<digest>"
+ */
+export function hashFlag(flag, cost = DEFAULT_COST) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    return `${ALGORITHM}:${cost}:${salt}:${digest(cost, salt, flag).toString("hex")}`;
+}
+
+/** True if `candidate` is exactly the flag behind `flagHash`. */
+export function verifyFlag(candidate, flagHash) {
+    const parsed = parseFlagHash(flagHash);
+    if (!parsed || typeof candidate !== "string") return false;
+    const expected = Buffer.from(parsed.digest, "hex");
+    return crypto.timingSafeEqual(expected, digest(parsed.cost, parsed.salt, candidate));
+}
+
+// Tokens known not to be the flag, per hash. Cleared when it grows too big.
+const MAX_REMEMBERED = 10000;
+const notFlags = new Map();
+
+/**
+ * Looks for the flag among the tokens of some output.
+ *
+ * @param {string} text - Command, tool or AI output
+ * @param {string} flagHash - The level's stored hash
+ * @returns {string | null} The flag as it appeared, or null
+ */
+export function findFlag(text, flagHash) {
+    if (!text) return null;
+    let checked = notFlags.get(flagHash);
+    if (!checked || checked.size > MAX_REMEMBERED) {
+        checked = new Set();
+        notFlags.set(flagHash, checked);
+    }
+
+    // Leet-style tokens (with a digit) first: that's what shipped flags look like
+    const candidates = [...new Set(text.match(/[A-Za-z0-9]+/g))]
+        .filter(token => FLAG_PATTERN.test(token) && !checked.has(token))
+        .sort((a, b) => /\d/.test(b) - /\d/.test(a))
+        .slice(0, MAX_HASHED_PER_OUTPUT);
+    for (const token of candidates) {
+        if (verifyFlag(token, flagHash)) return token;
+        checked.add(token);
+    }
+    return null;
+}
@@ -0,0 +1,85 @@
+import crypto from "node:crypto";
+import { afterEach, describe, expect, test, vi } from "vitest";
+import { DEFAULT_COST, FLAG_PATTERN, findFlag, hashFlag, parseFlagHash, verifyFlag } from "./flags.js";
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe("hashed flags", () => {
+    test("the stored hash verifies the flag but doesn't contain it", () => {
+        const stored = hashFlag("BYPA55ED");
+        expect(stored).not.toContain("BYPA55ED");
+        expect(verifyFlag("BYPA55ED", stored)).toBe(true);
+        expect(verifyFlag("bypa55ed", stored)).toBe(false);
+    });
+
+    test("each hash gets its own salt", () => {
+        const [a, b] = [hashFlag("SAME"), hashFlag("SAME")];
+        expect(a).not.toBe(b);
+        expect(parseFlagHash(a).salt).not.toBe(parseFlagHash(b).salt);
+    });
+
+    test("finds the flag as a whole token in output", () => {
+        const stored = hashFlag("INDIR3CT");
+        expect(findFlag("API_KEY=sk-proj-123\nFLAG=INDIR3CT\n", stored)).toBe("INDIR3CT");
+        expect(findFlag("The flag is `INDIR3CT`.", stored)).toBe("INDIR3CT");
+        expect(findFlag("XINDIR3CTX", stored)).toBeNull();
+        expect(findFlag("", stored)).toBeNull();
+    });
+
+    test("a malformed hash never matches", () => {
+        expect(parseFlagHash("INDIR3CT")).toBeNull();
+        expect(verifyFlag("INDIR3CT", "INDIR3CT")).toBe(false);
+    });
+
+    test("hashes with scrypt and stores the cost", () => {
+        const stored = hashFlag("M3MORY1");
+        expect(stored).toMatch(new RegExp(`^scrypt:${DEFAULT_COST}:[0-9a-f]{32}:[0-9a-f]{64}$`));
+        expect(parseFlagHash(stored).cost).toBe(DEFAULT_COST);
+
+        const costlier = hashFlag("M3MORY1", 2 ** 12);
+        expect(parseFlagHash(costlier).cost).toBe(4096);
+        expect(verifyFlag("M3MORY1", costlier)).toBe(true);
+    });
+
+    test("refuses the old sha256 format and out-of-range costs", () => {
+        const legacy = "sha256:7babba0cbb08b03d:8378973f343f7990132558c1d41278c39f5d85274777b7e7c2fa75f38fbaa2e9";
+        expect(parseFlagHash(legacy)).toBeNull();
+
+        const [, , salt, digest] = hashFlag("D3PUTY").split(":");
+        for (const cost of [1000, 2 ** 4, 2 ** 20]) {
+            expect(parseFlagHash(`scrypt:${cost}:${salt}:${digest}`)).toBeNull();
+        }
+    });
+
+    test("finds the flag after other tokens were checked before", () => {
+        const stored = hashFlag("EXCE55IV");
+        expect(findFlag("nothing to see here", stored)).toBeNull();
+        expect(findFlag("nothing to see here FLAG=EXCE55IV", stored)).toBe("EXCE55IV");
+        expect(findFlag("EXCE55IV again", stored)).toBe("EXCE55IV");
+    });
+
+    test("only flag-shaped tokens are hashed", () => {
+        expect(["BYPA55ED", "D3PUTY", "KQZRTWXY"].every(flag => FLAG_PATTERN.test(flag))).toBe(true);
+        expect(["12345", "bypa55ed", "ABC", "A".repeat(33)].some(token => FLAG_PATTERN.test(token))).toBe(false);
+
+        const stored = hashFlag("BYPA55ED");
+        const scrypt = vi.spyOn(crypto, "scryptSync");
+        const numbers = Array.from({ length: 4000 }, (_, i) => 10000 + i).join("\n");
+        expect(findFlag(`${numbers}\nlowercase words only here\n`, stored)).toBeNull();
+        expect(scrypt).not.toHaveBeenCalled();
+    });
+
+    test("hashes a bounded number of tokens per output, leet-style first", () => {
+        const stored = hashFlag("D3PUTY");
+        const scrypt = vi.spyOn(crypto, "scryptSync");
+        const shouting = Array.from({ length: 500 }, (_, i) => `WORD${String.fromCharCode(65 + (i % 26))}${i}`).join(" ");
+        expect(findFlag(`${shouting} NOISE FLAG=D3PUTY`, stored)).toBeNull();
+        expect(scrypt.mock.calls.length).toBeLessThanOrEqual(16);
+
+        scrypt.mockClear();
+        expect(findFlag("README LICENSE CHANGELOG CONTRIBUTING SECURITY FLAG=D3PUTY", stored)).toBe("D3PUTY");
+        expect(scrypt).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,170 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * levels.js — Discovers Season 4's levels from their manifests.
+ *
+ * Every Level-N/ directory carries a level.json describing what the engine
+ * should switch on there. N is the level number. A new level needs only
+ * its directory and manifest; the engine itself doesn't change.
+ *
+ *   {
+ *     "title": "Agentic Workflows",
+ *     "flagHash": "scrypt:<cost>:<salt>:<digest>", // the flag, salted and hashed (see flags.js)
+ *     "webDir": "web",                  // subsystem directories, all optional
+ *     "mcpDir": "mcp",
+ *     "skillsDir": "skills",
+ *     "agentsDir": "agents",
+ *     "policy": "policy.yaml",          // command policy (see policy.js)
+ *     "env": { "NAME": "value" },       // added to the sandbox shell's environment
+ *     "exposeEnv": ["NAME"],            // ProdBot variables leaked into the sandbox
+ *     "processEnv": { "NAME": "..." },  // set in ProdBot's own environment (MCP servers read it)
+ *     "reset": ["memory"],              // RESET_HOOKS run on startup and on entering the level
+ *     "scopes": "advisory",             // SCOPE_MODES: are tool scopes enforced? (see scoped-fs.js)
+ *     "routes": ["mcp"],                // ROUTES tried before the AI, in the engine's order
+ *     "commands": ["tools"],            // LEVEL_COMMANDS available at the prompt
+ *     "welcome": {
+ *       "status": "mcp",                // STATUS_LINES entry for the welcome box
+ *       "task": ["..."],
+ *       "sections": [
+ *         { "title": "Try:", "lines": ["\"Stock price of AAPL\""] },
+ *         { "title": "Skills:", "list": "skills", "icons": { "standup": "📋" } }
+ *       ]
+ *     },
+ *     "examples": ["..."],              // shown by "?"; defaults to the first section's lines
+ *     "complete": { "title": "...", "summary": ["..."], "lesson": ["..."], "alternatives": ["..."] }
+ *   }
+ *
+ * A line is a string (printed grey), { "heading": "..." } (printed as a
+ * sub-heading), or a list of strings and { "text", "color" } segments.
+ *
+ * Key concepts demonstrated:
+ *   - Declarative configuration: content and behaviour switches live in data,
+ *     so adding a level doesn't mean editing the engine
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseFlagHash } from "./flags.js";
+
+export const MANIFEST_FILE = "level.json";
+
+// Things a level's manifest can switch on. The engine implements each one.
+export const ROUTES = ["agent-workflows", "agentic-workflow", "mcp", "web-search"];
+export const LEVEL_COMMANDS = ["open", "tools", "skills", "agents", "web"];
+export const RESET_HOOKS = ["memory"];
+export const STATUS_LINES = ["web", "mcp", "skills", "agents"];
+export const SECTION_LISTS = ["skills", "agents", "tools"];
+export const SCOPE_MODES = ["enforced", "advisory"];
+
+const SUBSYSTEM_DIRS = ["webDir", "mcpDir", "skillsDir", "agentsDir"];
+
+/**
+ * Checks one manifest and fills in defaults.
+ *
+ * @param {Object} data - Parsed level.json
+ * @param {string} dir - Level directory name, e.g. "Level-3"
+ * @param {string} levelPath - Absolute path of that directory
+ * @returns {{ level: Object } | { error: string }}
+ */
+export function normalizeManifest(data, dir, levelPath) {
+    const where = `${dir}/${MANIFEST_FILE}`;
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return { error: `${where} must be an object` };
+    }
+    if (data.flag !== undefined) {
+        return { error: `${where} has a plaintext "flag"; store "flagHash" instead (prodbot hash-flag <flag>)` };
+    }
+    if (!parseFlagHash(data.flagHash)) {
+        return { error: `${where} needs a "flagHash" of the form scrypt:<cost>:<salt>:<digest>` };
+    }
+    for (const key of SUBSYSTEM_DIRS) {
+        if (data[key] !== undefined && !fs.existsSync(path.join(levelPath, data[key]))) {
+            return { error: `${where}: ${key} "${data[key]}" does not exist` };
+        }
+    }
+    const lists = { routes: ROUTES, commands: LEVEL_COMMANDS, reset: RESET_HOOKS };
+    for (const [key, known] of Object.entries(lists)) {
+        const unknown = (data[key] || []).find(name => !known.includes(name));
+        if (unknown) {
+            return { error: `${where}: unknown ${key} entry "${unknown}" (expected ${known.join(", ")})` };
+        }
+    }
+    if (data.scopes !== undefined && !SCOPE_MODES.includes(data.scopes)) {
+        return { error: `${where}: unknown scopes "${data.scopes}" (expected ${SCOPE_MODES.join(", ")})` };
+    }
+    const welcome = data.welcome || {};
+    if (welcome.status !== undefined && !STATUS_LINES.includes(welcome.status)) {
+        return { error: `${where}: unknown welcome.status "${welcome.status}" (expected ${STATUS_LINES.join(", ")})` };
+    }
+    const badList = (welcome.sections || []).find(s => s.list !== undefined && !SECTION_LISTS.includes(s.list));
+    if (badList) {
+        return { error: `${where}: unknown section list "${badList.list}" (expected ${SECTION_LISTS.join(", ")})` };
+    }
+
+    const sections = welcome.sections || [];
+    return {
+        level: {
+            dir,
+            title: data.title || dir,
+            flagHash: data.flagHash,
+            ...Object.fromEntries(SUBSYSTEM_DIRS.filter(key => data[key]).map(key => [key, data[key]])),
+            policy: data.policy,
+            env: data.env || {},
+            exposeEnv: data.exposeEnv || [],
+            processEnv: data.processEnv || {},
+            reset: data.reset || [],
+            scopes: data.scopes || "enforced",
+            routes: data.routes || [],
+            commands: data.commands || [],
+            welcome: { status: welcome.status || null, task: welcome.task || [], sections },
+            examples: data.examples || sections.find(s => s.lines)?.lines || [],
+            complete: {
+                title: data.complete?.title || `LEVEL ${dir.replace(/\D+/g, "")} COMPLETE`,
+                summary: data.complete?.summary || [],
+                lesson: data.complete?.lesson || [],
+                alternatives: data.complete?.alternatives || [],
+            },
+        },
+    };
+}
+
+/**
+ * Finds every Level-N/level.json under the season directory.
+ * A level whose manifest is missing or broken is skipped and reported.
+ *
+ * @param {string} seasonDir - Absolute path of Season-4/
+ * @returns {{ levels: Object<number, Object>, errors: string[] }} Levels keyed by number
+ */
+export function loadLevels(seasonDir) {
+    const levels = {};
+    const errors = [];
+    const dirs = fs.readdirSync(seasonDir)
+        .map(name => ({ name, match: name.match(/^Level-(\d+)$/) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
+
+    for (const { name, match } of dirs) {
+        const levelPath = path.join(seasonDir, name);
+        const file = path.join(levelPath, MANIFEST_FILE);
+        if (!fs.existsSync(file)) {
+            errors.push(`${name} has no ${MANIFEST_FILE}`);
+            continue;
+        }
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, "utf-8"));
+        } catch (err) {
+            errors.push(`Could not read ${name}/${MANIFEST_FILE}: ${err.message}`);
+            continue;
+        }
+        const result = normalizeManifest(data, name, levelPath);
+        if (result.error) errors.push(result.error);
+        else levels[Number(match[1])] = result.level;
+    }
+    return { levels, errors };
+}
+
+/** The level after `n` in number order, or null for the last one. */
+export function nextLevel(levels, n) {
+    const later = Object.keys(levels).map(Number).filter(k => k > n);
+    return later.length ? Math.min(...later) : null;
+}
@@ -0,0 +1,66 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, expect, test } from "vitest";
+import { hashFlag } from "./flags.js";
+import { loadLevels, nextLevel, normalizeManifest } from "./levels.js";
+
+const SEASON_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+const HASH = hashFlag("TESTFLAG");
+
+/** A throwaway season directory with the given Level-N/level.json contents. */
+function season(manifests) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-levels-"));
+    for (const [name, manifest] of Object.entries(manifests)) {
+        fs.mkdirSync(path.join(dir, name));
+        if (manifest !== null) fs.writeFileSync(path.join(dir, name, "level.json"), JSON.stringify(manifest));
+    }
+    return dir;
+}
+
+describe("level manifests", () => {
+    test("every shipped level has a valid manifest", () => {
+        const { levels, errors } = loadLevels(SEASON_DIR);
+        expect(errors).toEqual([]);
+        expect(Object.keys(levels)).toEqual(["1", "2", "3", "4", "5"]);
+        expect(levels[2]).toMatchObject({ dir: "Level-2", webDir: "web", routes: ["web-search"] });
+        expect(levels[4].reset).toEqual(["memory"]);
+        expect(levels[3].scopes).toBe("advisory");
+        expect(levels[5].scopes).toBe("enforced");
+        for (const level of Object.values(levels)) expect(level).not.toHaveProperty("flag");
+    });
+
+    test("skips levels without a usable manifest and reports them", () => {
+        const dir = season({
+            "Level-1": { flagHash: HASH },
+            "Level-2": null,
+            "Level-3": { flagHash: HASH, routes: ["teleport"] },
+            "notes": null,
+        });
+        const { levels, errors } = loadLevels(dir);
+        expect(Object.keys(levels)).toEqual(["1"]);
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toContain("Level-2 has no level.json");
+        expect(errors[1]).toContain('unknown routes entry "teleport"');
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("requires a flag hash and existing subsystem directories", () => {
+        expect(normalizeManifest({}, "Level-9", os.tmpdir()).error).toContain('needs a "flagHash"');
+        expect(normalizeManifest({ flag: "X" }, "Level-9", os.tmpdir()).error).toContain('plaintext "flag"');
+        expect(normalizeManifest({ flagHash: HASH, mcpDir: "no-such-dir" }, "Level-9", os.tmpdir()).error)
+            .toContain('mcpDir "no-such-dir" does not exist');
+    });
+
+    test("fills in defaults", () => {
+        const { level } = normalizeManifest({ flagHash: HASH, welcome: { sections: [{ title: "Try:", lines: ["ls"] }] } }, "Level-9", os.tmpdir());
+        expect(level).toMatchObject({ title: "Level-9", routes: [], commands: [], reset: [], examples: ["ls"] });
+        expect(level.complete.title).toBe("LEVEL 9 COMPLETE");
+    });
+
+    test("nextLevel follows number order and ends after the last level", () => {
+        const levels = { 1: {}, 2: {}, 10: {} };
+        expect(nextLevel(levels, 2)).toBe(10);
+        expect(nextLevel(levels, 10)).toBeNull();
+    });
+});
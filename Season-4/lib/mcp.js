@@ -0,0 +1,456 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * mcp.js — ProdBot's Model Context Protocol client (and a tiny server).
+ *
+ * MCP servers speak JSON-RPC 2.0. Over the stdio transport the client
+ * launches the server as a child process and exchanges one JSON message per
+ * line on its stdin/stdout:
+ *
+ *   → {"jsonrpc":"2.0","id":1,"method":"initialize","params":{...}}
+ *   ← {"jsonrpc":"2.0","id":1,"result":{"serverInfo":{...},"capabilities":{"tools":{}}}}
+ *   → {"jsonrpc":"2.0","method":"notifications/initialized"}
+ *   → {"jsonrpc":"2.0","id":2,"method":"tools/list"}
+ *   → {"jsonrpc":"2.0","id":3,"method":"tools/call","params":{"name":"stock","arguments":{"arg":"AAPL"}}}
+ *   ← {"jsonrpc":"2.0","method":"notifications/message","params":{"level":"info","logger":"fs","data":{...}}}
+ *   ← {"jsonrpc":"2.0","id":3,"result":{"content":[{"type":"text","text":"AAPL ..."}]}}
+ *
+ * Servers launched by bin/mcp-serve.js report each ctx.fs access as an "fs"
+ * log message, so the engine can audit them like in-process ones.
+ *
+ * The level's own servers are plain modules (name, description, scope,
+ * sourceFile, tools: { <tool>: { description, inputSchema, effects, run(args, ctx) } }).
+ * inputSchema is the JSON schema of the tool's arguments (see tool-args.js);
+ * run receives them already validated. A tool without one takes a single
+ * string, run(arg, ctx). effects lists what the tool says it reads, writes
+ * and reaches over the network (see permissions.js). ctx carries what the
+ * engine grants the server, such as ctx.fs (see scoped-fs.js). Two adapters
+ * make them MCP servers too:
+ *
+ *   ModuleMcpClient — serves a module in-process, behind the same client
+ *                     interface as StdioMcpClient
+ *   serveModule     — serves a module over stdio (bin/mcp-serve.js), so
+ *                     the engine can launch it like any other server
+ *
+ * connectServer turns any client into the object the engine works with:
+ * { name, description, scope, sourceFile, transport, tools, close() },
+ * where each tool has { description, usage, inputSchema, effects } and
+ * run(args), an async tools/call returning { result } or { error }. args
+ * is an object checked against the tool's inputSchema, or a plain string
+ * mapped onto it. effects is null if the tool declares none.
+ *
+ * Settings (prodbot.config.json → "mcp", or env):
+ *   transport / PRODBOT_MCP_TRANSPORT  — "in-process" (default) or "stdio" for the level's servers
+ *   timeoutMs / PRODBOT_MCP_TIMEOUT_MS — how long a stdio server gets to answer (default 10000)
+ *   servers — extra stdio servers: { "<key>": { command, args, env, cwd, name, description, scope } }
+ *
+ * Key concepts demonstrated:
+ *   - MCP wire format: everything a tool says comes back as JSON-RPC from a
+ *     process ProdBot doesn't control
+ *   - Adapters: one client interface for in-process and out-of-process servers
+ */
+
+import { spawn } from "node:child_process";
+import readline from "node:readline";
+import { envNumber, readConfig } from "./config.js";
+import { usageFromSchema, validateArguments } from "./tool-args.js";
+
+export const PROTOCOL_VERSION = "2025-06-18";
+
+// Where a tool's declared effects ride in tools/list.
+const EFFECTS_META = "prodbot/effects";
+const CLIENT_INFO = { name: "prodbot", version: "4.0.0" };
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_STDERR = 4096;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+export const TRANSPORTS = ["in-process", "stdio"];
+
+/**
+ * MCP settings from prodbot.config.json → mcp, with env overrides.
+ *
+ * @returns {{ transport: string, timeoutMs: number, servers: Object }}
+ */
+export function mcpSettings() {
+    const config = readConfig("mcp");
+    const transport = process.env.PRODBOT_MCP_TRANSPORT || config.transport;
+    return {
+        transport: TRANSPORTS.includes(transport) ? transport : "in-process",
+        timeoutMs: envNumber("PRODBOT_MCP_TIMEOUT_MS") ?? config.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+        servers: config.servers || {},
+    };
+}
+
+// ─── Module adapter ────────────────────────────────────────────────────
+
+/**
+ * The MCP tool list for a server module. A tool without an inputSchema
+ * takes one string, "arg". Declared effects (see permissions.js) travel in
+ * _meta, with the matching standard annotations for other clients.
+ */
+export function moduleTools(mod) {
+    return Object.entries(mod.tools || {}).map(([name, def]) => ({
+        name,
+        description: def.description || "",
+        inputSchema: def.inputSchema || {
+            type: "object",
+            properties: { arg: { type: "string", description: def.usage || name } },
+        },
+        ...(def.effects ? {
+            annotations: { readOnlyHint: !def.effects.write?.length, openWorldHint: Boolean(def.effects.network) },
+            _meta: { [EFFECTS_META]: def.effects },
+        } : {}),
+    }));
+}
+
+/**
+ * Runs a module's tool and wraps its { result } / { error } / string return
+ * value as an MCP tools/call result. The original object rides along as
+ * structuredContent so extra fields (like web-mcp's source) survive.
+ *
+ * @returns {Promise<Object | null>} null if the module has no such tool
+ */
+export async function callModuleTool(mod, name, args = {}, ctx = {}) {
+    const tool = mod.tools?.[name];
+    if (!tool) return null;
+    let input = args.arg;
+    if (tool.inputSchema) {
+        const check = validateArguments(tool.inputSchema, args);
+        if (!check.valid) return { content: [{ type: "text", text: `Invalid arguments: ${check.error}` }], isError: true };
+        input = check.args;
+    }
+    let raw;
+    try {
+        raw = await tool.run(input, ctx);
+    } catch (err) {
+        return { content: [{ type: "text", text: `Error: ${err.message}` }], isError: true };
+    }
+    if (raw && typeof raw === "object") {
+        const text = raw.error || raw.result || JSON.stringify(raw);
+        return { content: [{ type: "text", text: String(text) }], structuredContent: raw, isError: Boolean(raw.error) };
+    }
+    return { content: [{ type: "text", text: String(raw) }] };
+}
+
+/** The in-process adapter: a server module behind the MCP client interface. */
+export class ModuleMcpClient {
+    /**
+     * @param {Object} mod - A server module
+     * @param {Object} [ctx={}] - Passed to every tool, e.g. { fs }
+     */
+    constructor(mod, ctx = {}) {
+        this.mod = mod;
+        this.ctx = ctx;
+    }
+
+    async connect() {
+        return {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: { tools: {} },
+            serverInfo: { name: this.mod.name, version: "1.0.0" },
+            instructions: this.mod.description,
+        };
+    }
+
+    async listTools() {
+        return moduleTools(this.mod);
+    }
+
+    async callTool(name, args) {
+        const result = await callModuleTool(this.mod, name, args, this.ctx);
+        if (!result) throw new Error(`Unknown tool: ${name}`);
+        return result;
+    }
+
+    close() {}
+}
+
+/**
+ * Serves a module over stdio until the input closes: the server side of
+ * the wire format above, used by bin/mcp-serve.js.
+ *
+ * @param {Object} mod - A server module
+ * @param {Object} [ctx={}] - Passed to every tool, e.g. { fs }
+ * @param {NodeJS.ReadableStream} [input=process.stdin]
+ * @param {NodeJS.WritableStream} [output=process.stdout]
+ * @returns {Promise<void>} Resolves when the input ends
+ */
+export function serveModule(mod, ctx = {}, input = process.stdin, output = process.stdout) {
+    const send = (message) => output.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    const handle = async (method, params = {}) => {
+        if (method === "initialize") {
+            return {
+                protocolVersion: params.protocolVersion || PROTOCOL_VERSION,
+                capabilities: { tools: {}, logging: {} },
+                serverInfo: { name: mod.name, version: "1.0.0" },
+                instructions: mod.description,
+            };
+        }
+        if (method === "ping") return {};
+        if (method === "tools/list") return { tools: moduleTools(mod) };
+        if (method === "tools/call") {
+            const result = await callModuleTool(mod, params.name, params.arguments, ctx);
+            if (!result) throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: INVALID_PARAMS });
+            return result;
+        }
+        throw Object.assign(new Error(`Method not found: ${method}`), { code: METHOD_NOT_FOUND });
+    };
+
+    lines.on("line", async (line) => {
+        if (!line.trim()) return;
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch {
+            send({ id: null, error: { code: PARSE_ERROR, message: "Parse error" } });
+            return;
+        }
+        // Notifications (no id) never get a reply
+        if (message.id === undefined) return;
+        try {
+            send({ id: message.id, result: await handle(message.method, message.params) });
+        } catch (err) {
+            send({ id: message.id, error: { code: err.code || -32603, message: err.message } });
+        }
+    });
+    return new Promise(resolve => lines.on("close", resolve));
+}
+
+/**
+ * Sends an MCP log message (notifications/message) from the server side.
+ *
+ * @param {string} logger - What is logging, e.g. "fs"
+ * @param {Object} data - The entry
+ * @param {NodeJS.WritableStream} [output=process.stdout]
+ */
+export function sendLog(logger, data, output = process.stdout) {
+    const message = { jsonrpc: "2.0", method: "notifications/message", params: { level: "info", logger, data } };
+    output.write(JSON.stringify(message) + "\n");
+}
+
+// ─── Stdio client ──────────────────────────────────────────────────────
+
+// Servers still running, so they can be stopped if ProdBot exits.
+const liveClients = new Set();
+process.on("exit", () => {
+    for (const client of liveClients) client.close();
+});
+
+/**
+ * StdioMcpClient — launches an MCP server as a child process and talks
+ * JSON-RPC to it over stdin/stdout. stderr is kept (capped) for errors.
+ */
+export class StdioMcpClient {
+    /**
+     * @param {{ command: string, args?: string[], cwd?: string, env?: Object, timeoutMs?: number, onNotification?: Function }} options
+     *        onNotification(method, params) hears the server's notifications, such as log messages
+     */
+    constructor({ command, args = [], cwd, env, timeoutMs = DEFAULT_TIMEOUT_MS, onNotification = () => {} }) {
+        this.options = { command, args, cwd, env, timeoutMs, onNotification };
+        this.child = null;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.stderr = "";
+    }
+
+    /** Starts the server and performs the initialize handshake. */
+    async connect() {
+        const { command, args, cwd, env } = this.options;
+        const child = spawn(command, args, { cwd, env, stdio: ["pipe", "pipe", "pipe"] });
+        this.child = child;
+        liveClients.add(this);
+
+        child.stderr.setEncoding("utf-8");
+        child.stderr.on("data", (chunk) => {
+            this.stderr = (this.stderr + chunk).slice(-MAX_STDERR);
+        });
+        // A server that dies mid-write shouldn't take ProdBot with it
+        child.stdin.on("error", () => {});
+        readline.createInterface({ input: child.stdout, crlfDelay: Infinity })
+            .on("line", line => this._receive(line));
+
+        const exited = (reason) => {
+            if (this.child !== child) return;
+            this.child = null;
+            liveClients.delete(this);
+            const detail = this.stderr.trim().split("\n").pop();
+            for (const { reject, timer } of this.pending.values()) {
+                clearTimeout(timer);
+                reject(new Error(`MCP server ${reason}${detail ? `: ${detail}` : ""}`));
+            }
+            this.pending.clear();
+        };
+        child.on("error", err => exited(`failed to start (${err.message})`));
+        child.on("exit", code => exited(`exited with code ${code}`));
+
+        const result = await this.request("initialize", {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: CLIENT_INFO,
+        });
+        this._send({ method: "notifications/initialized" });
+        return result;
+    }
+
+    /** Every tool the server offers, following pagination cursors. */
+    async listTools() {
+        const tools = [];
+        let cursor;
+        do {
+            const page = await this.request("tools/list", cursor ? { cursor } : {});
+            tools.push(...(page.tools || []));
+            cursor = page.nextCursor;
+        } while (cursor);
+        return tools;
+    }
+
+    async callTool(name, args = {}) {
+        return this.request("tools/call", { name, arguments: args });
+    }
+
+    /**
+     * Sends a request and waits for the matching response.
+     * Rejects on a JSON-RPC error, a timeout or the server exiting.
+     */
+    request(method, params) {
+        if (!this.child) return Promise.reject(new Error("MCP server is not running"));
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`MCP server did not answer ${method} within ${this.options.timeoutMs}ms`));
+            }, this.options.timeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+            this._send({ id, method, params });
+        });
+    }
+
+    _send(message) {
+        this.child?.stdin.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+    }
+
+    _receive(line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch {
+            return; // Servers may log to stdout by mistake; ignore non-JSON lines
+        }
+        if (message.method && message.id === undefined) {
+            this.options.onNotification(message.method, message.params || {});
+            return;
+        }
+        if (message.method) {
+            // A request from the server. ProdBot offers no client features.
+            if (message.method === "ping") this._send({ id: message.id, result: {} });
+            else this._send({ id: message.id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } });
+            return;
+        }
+        const waiting = this.pending.get(message.id);
+        if (!waiting) return;
+        this.pending.delete(message.id);
+        clearTimeout(waiting.timer);
+        if (message.error) waiting.reject(new Error(message.error.message || "MCP error"));
+        else waiting.resolve(message.result || {});
+    }
+
+    /** Stops the server process. */
+    close() {
+        const child = this.child;
+        if (!child) return;
+        this.child = null;
+        liveClients.delete(this);
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(new Error("MCP server closed"));
+        }
+        this.pending.clear();
+        child.stdin.end();
+        child.kill();
+    }
+}
+
+// ─── Engine view ───────────────────────────────────────────────────────
+
+/**
+ * Maps a line of text onto a tool's input schema, one word per parameter
+ * (required ones first) with the last taking the rest: "example.com prices"
+ * for extract → { url: "example.com", query: "prices" }.
+ */
+export function toolArguments(inputSchema, text) {
+    if (text === undefined || text === null) return {};
+    const properties = Object.keys(inputSchema?.properties || {});
+    const required = inputSchema?.required || [];
+    const names = [...properties.filter(name => required.includes(name)), ...properties.filter(name => !required.includes(name))];
+    if (names.length <= 1) return names.length ? { [names[0]]: String(text) } : {};
+
+    const words = String(text).trim().split(/\s+/).filter(Boolean);
+    const args = {};
+    names.forEach((name, i) => {
+        const value = i === names.length - 1 ? words.slice(i).join(" ") : words[i];
+        if (value) args[name] = value;
+    });
+    return args;
+}
+
+/** Converts a tools/call result back into the engine's { result } / { error }. */
+export function fromCallResult(result) {
+    const text = (result.content || [])
+        .filter(item => item.type === "text")
+        .map(item => item.text)
+        .join("\n");
+    const extra = result.structuredContent && typeof result.structuredContent === "object" ? result.structuredContent : {};
+    return result.isError ? { ...extra, error: text || "Tool failed" } : { ...extra, result: text };
+}
+
+/**
+ * Connects to a server and lists its tools.
+ *
+ * @param {ModuleMcpClient | StdioMcpClient} client
+ * @param {{ name?: string, description?: string, scope?: string, sourceFile?: string, transport: string }} meta
+ *        Shown by "tools"; falls back to what the server reports about itself
+ * @returns {Promise<Object>} { name, description, scope, sourceFile, transport, tools, close() }
+ */
+export async function connectServer(client, meta) {
+    let init;
+    let list;
+    try {
+        init = await client.connect();
+        list = await client.listTools();
+    } catch (err) {
+        client.close();
+        throw err;
+    }
+
+    const tools = {};
+    for (const tool of list) {
+        const inputSchema = tool.inputSchema || { type: "object", properties: {} };
+        const legacy = inputSchema.properties?.arg?.description;
+        tools[tool.name] = {
+            description: tool.description || "",
+            usage: legacy || usageFromSchema(tool.name, inputSchema),
+            inputSchema,
+            effects: tool._meta?.[EFFECTS_META] || null,
+            run: async (args) => {
+                const check = validateArguments(inputSchema,
+                    args !== null && typeof args === "object" ? args : toolArguments(inputSchema, args));
+                if (!check.valid) return { error: `Invalid arguments for ${tool.name}: ${check.error}` };
+                return fromCallResult(await client.callTool(tool.name, check.args));
+            },
+        };
+    }
+    return {
+        name: meta.name || init.serverInfo?.name || "MCP server",
+        description: meta.description || init.instructions || "",
+        scope: meta.scope || "unknown (external server)",
+        sourceFile: meta.sourceFile || "",
+        transport: meta.transport,
+        tools,
+        close: () => client.close(),
+    };
+}
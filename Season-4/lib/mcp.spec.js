@@ -0,0 +1,115 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PassThrough } from "node:stream";
+import { pathToFileURL } from "node:url";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { ModuleMcpClient, StdioMcpClient, connectServer, serveModule, toolArguments } from "./mcp.js";
+
+const SEASON_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+const MCP_SERVE = path.join(SEASON_DIR, "bin/mcp-serve.js");
+
+const SERVER = `
+export const name = "Echo MCP";
+export const description = "Echoes things";
+export const tools = {
+    echo: { description: "Echo text", usage: "echo <text>", effects: { read: ["echo.txt"] }, run(text) { return { result: "Echo: " + text, source: "echo.txt" }; } },
+    fail: { description: "Always fails", run() { return { error: "Nope" }; } },
+    boom: { description: "Throws", run() { throw new Error("kaboom"); } },
+    cat: { description: "Reads a file", run(file, { fs }) { return { result: fs.readFileSync(file, "utf-8") }; } },
+};
+`;
+
+let dir;
+let serverFile;
+let servers = [];
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-mcp-"));
+    serverFile = path.join(dir, "echo-mcp.js");
+    fs.writeFileSync(serverFile, SERVER);
+});
+
+afterEach(() => {
+    for (const srv of servers) srv.close();
+    servers = [];
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Sends JSON-RPC lines to serveModule and collects the replies. */
+async function rpc(mod, messages) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const done = serveModule(mod, {}, input, output);
+    for (const message of messages) input.write(JSON.stringify(message) + "\n");
+    input.end();
+    await done;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const replies = output.read()?.toString().trim().split("\n").map(line => JSON.parse(line)) || [];
+    return replies.sort((a, b) => a.id - b.id);
+}
+
+describe("MCP", () => {
+    test("the in-process adapter goes through tools/call semantics", async () => {
+        const mod = await import(/* @vite-ignore */ pathToFileURL(serverFile).href);
+        const srv = await connectServer(new ModuleMcpClient(mod), { transport: "in-process" });
+        expect(srv.name).toBe("Echo MCP");
+        expect(srv.tools.echo.usage).toBe("echo <text>");
+        expect(await srv.tools.echo.run("hi")).toEqual({ result: "Echo: hi", source: "echo.txt" });
+        expect(await srv.tools.fail.run()).toEqual({ error: "Nope" });
+        expect(await srv.tools.boom.run()).toEqual({ error: "Error: kaboom" });
+    });
+
+    test("talks JSON-RPC to a server launched over stdio", async () => {
+        const client = new StdioMcpClient({ command: process.execPath, args: [MCP_SERVE, serverFile], timeoutMs: 5000 });
+        const srv = await connectServer(client, { scope: "test", transport: "stdio" });
+        servers.push(srv);
+        expect(srv).toMatchObject({ name: "Echo MCP", description: "Echoes things", scope: "test" });
+        expect(Object.keys(srv.tools)).toEqual(["echo", "fail", "boom", "cat"]);
+        expect(srv.tools.echo.effects).toEqual({ read: ["echo.txt"] });
+        expect(srv.tools.cat.effects).toBeNull();
+        expect(await srv.tools.echo.run("over the wire")).toEqual({ result: "Echo: over the wire", source: "echo.txt" });
+        await expect(client.request("no/such/method", {})).rejects.toThrow("Method not found");
+    });
+
+    test("a stdio server's file access is scoped and reported back as log messages", async () => {
+        const log = [];
+        const onNotification = (method, params) => log.push({ method, ...params });
+        const client = new StdioMcpClient({ command: process.execPath, args: [MCP_SERVE, serverFile], timeoutMs: 5000, onNotification });
+        const srv = await connectServer(client, { transport: "stdio" });
+        servers.push(srv);
+        expect(await srv.tools.cat.run(serverFile)).toEqual({ result: SERVER });
+        expect((await srv.tools.cat.run(os.homedir() + "/.bashrc")).error).toContain("outside echo-mcp's scope");
+        expect(log).toEqual([
+            expect.objectContaining({ method: "notifications/message", logger: "fs", data: expect.objectContaining({ op: "read", allowed: true }) }),
+            expect.objectContaining({ logger: "fs", data: expect.objectContaining({ op: "read", allowed: false }) }),
+        ]);
+    });
+
+    test("a server that can't start is reported, not hung on", async () => {
+        const client = new StdioMcpClient({ command: process.execPath, args: ["-e", "process.exit(3)"], timeoutMs: 5000 });
+        await expect(connectServer(client, { transport: "stdio" })).rejects.toThrow("exited with code 3");
+    });
+
+    test("the server answers protocol errors", async () => {
+        const replies = await rpc({ name: "Empty", tools: {} }, [
+            { jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2025-06-18" } },
+            { jsonrpc: "2.0", method: "notifications/initialized" },
+            { jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "missing", arguments: {} } },
+            { jsonrpc: "2.0", id: 3, method: "resources/list" },
+        ]);
+        expect(replies).toHaveLength(3);
+        expect(replies[0].result.serverInfo.name).toBe("Empty");
+        expect(replies[1].error.code).toBe(-32602);
+        expect(replies[2].error.code).toBe(-32601);
+    });
+
+    test("maps a text argument onto the tool's input schema", () => {
+        const schema = { type: "object", properties: { path: { type: "string" }, depth: { type: "number" } }, required: ["path"] };
+        expect(toolArguments(schema, "notes.txt")).toEqual({ path: "notes.txt" });
+        expect(toolArguments({ type: "object", properties: { q: { type: "string" } } }, "x")).toEqual({ q: "x" });
+        expect(toolArguments(schema, undefined)).toEqual({});
+        const extract = { type: "object", properties: { url: { type: "string" }, query: { type: "string" } }, required: ["url", "query"] };
+        expect(toolArguments(extract, "news.html latest headlines")).toEqual({ url: "news.html", query: "latest headlines" });
+    });
+});
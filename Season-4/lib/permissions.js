@@ -0,0 +1,73 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * permissions.js — Asking the player before an MCP tool acts.
+ *
+ * Every MCP tool declares its effects next to its inputSchema:
+ *
+ *   effects: {
+ *     read:    ["prodbot-activities/"],              // paths it reads, relative to the level
+ *     write:   ["prodbot-activities/.cloudsync/"],   // paths it writes
+ *     network: true,                                 // whether it goes online
+ *   }
+ *
+ * `effects: {}` declares a tool with no side effects. Tools without an
+ * effects entry (legacy and external servers) are shown as undeclared.
+ *
+ * The first time a tool is used on a level, ProdBot shows what it declares
+ * and asks: allow once, allow always, or deny. "Always" and "deny" are saved
+ * per level in progress.json; `permissions` lists them and
+ * `permissions reset` forgets them. --yes / --no answer the prompt the way
+ * they answer "Execute? (y/n)", and those answers are never saved.
+ *
+ * Effects are the tool's own claims, and ProdBot doesn't check them. What a
+ * tool can really touch is decided by its scope (see scoped-fs.js).
+ *
+ * Key concepts demonstrated:
+ *   - Human-in-the-loop for tools, not just shell commands
+ *   - Declared effects: what a tool says it does, reviewed before it runs
+ */
+
+/** The key a decision is saved under: "<server>.<tool>". */
+export function permissionKey(serverKey, toolName) {
+    return `${serverKey}.${toolName}`;
+}
+
+/**
+ * Describes a tool's declared effects, one line each.
+ *
+ * @param {{ read?: string[], write?: string[], network?: boolean } | null | undefined} effects
+ * @returns {string[]} e.g. ["Reads: prodbot-activities/", "Network: yes"]
+ */
+export function describeEffects(effects) {
+    if (!effects || typeof effects !== "object") return ["Effects: not declared"];
+    const lines = [];
+    if (effects.read?.length) lines.push(`Reads: ${effects.read.join(", ")}`);
+    if (effects.write?.length) lines.push(`Writes: ${effects.write.join(", ")}`);
+    if (effects.network) lines.push("Network: yes");
+    return lines.length ? lines : ["Effects: none"];
+}
+
+/** A one-line summary of declared effects, for listings: "read, write, network". */
+export function summariseEffects(effects) {
+    if (!effects || typeof effects !== "object") return "undeclared";
+    const kinds = [
+        effects.read?.length && "read",
+        effects.write?.length && "write",
+        effects.network && "network",
+    ].filter(Boolean);
+    return kinds.length ? kinds.join(", ") : "no side effects";
+}
+
+/**
+ * Reads the player's answer to a permission prompt. Anything that isn't
+ * allow-once or allow-always denies, like "Execute? (y/n)".
+ *
+ * @param {string} answer - "o", "once", "y", "a", "always", "d", "deny", ...
+ * @returns {"once" | "always" | "deny"}
+ */
+export function parseDecision(answer) {
+    const word = String(answer || "").trim().toLowerCase();
+    if (["o", "once", "y", "yes"].includes(word)) return "once";
+    if (["a", "always"].includes(word)) return "always";
+    return "deny";
+}
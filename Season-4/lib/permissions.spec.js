@@ -0,0 +1,31 @@
+import { describe, expect, test } from "vitest";
+import { describeEffects, parseDecision, permissionKey, summariseEffects } from "./permissions.js";
+
+describe("MCP tool permissions", () => {
+    test("describes declared effects", () => {
+        const effects = { read: ["prodbot-activities/"], write: ["prodbot-activities/.cloudsync/"], network: true };
+        expect(describeEffects(effects)).toEqual([
+            "Reads: prodbot-activities/",
+            "Writes: prodbot-activities/.cloudsync/",
+            "Network: yes",
+        ]);
+        expect(summariseEffects(effects)).toBe("read, write, network");
+        expect(describeEffects({})).toEqual(["Effects: none"]);
+        expect(summariseEffects({ read: [] })).toBe("no side effects");
+    });
+
+    test("flags tools that declare nothing", () => {
+        expect(describeEffects(undefined)).toEqual(["Effects: not declared"]);
+        expect(summariseEffects(null)).toBe("undeclared");
+    });
+
+    test("anything but allow-once or allow-always denies", () => {
+        expect(parseDecision("o")).toBe("once");
+        expect(parseDecision(" Always ")).toBe("always");
+        expect(parseDecision("a")).toBe("always");
+        expect(parseDecision("d")).toBe("deny");
+        expect(parseDecision("")).toBe("deny");
+        expect(parseDecision("sure")).toBe("deny");
+        expect(permissionKey("cloud-mcp", "restore")).toBe("cloud-mcp.restore");
+    });
+});
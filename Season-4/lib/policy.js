@@ -0,0 +1,260 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * policy.js — Command policies for ProdBot's bash sandbox.
+ *
+ * A policy decides which commands may run. There are two modes:
+ *
+ *   denylist   — the built-in validator in bash.js: everything runs unless
+ *                it matches a known-dangerous pattern (DENIED_PATTERNS)
+ *   allowlist  — nothing runs unless the policy names the command and every
+ *                argument passes that command's rules
+ *
+ * Policies are JSON or YAML files:
+ *
+ *   name: Strict allowlist
+ *   mode: allowlist
+ *   pipes: true            # allow a | b
+ *   redirects: true        # allow > file, < file, heredocs
+ *   commands:
+ *     ls:    { flags: [-l, -a, -h] }
+ *     echo:  { flags: [-n], args: text }
+ *     grep:  { flags: [-i, -n], args: [text, paths] }
+ *     head:  { valueFlags: [-n] }
+ *
+ * Per-command rules:
+ *   flags      — options allowed on their own (-la is checked as -l and -a)
+ *   valueFlags — options that take the next word as their value; the value
+ *                is checked against deny and must not lead outside the sandbox
+ *   args       — "paths" (default), "text", or a list of kinds per position
+ *                where the last kind repeats, e.g. [text, paths] for grep
+ *   maxArgs    — maximum number of positional arguments
+ *   deny       — regexes; any word that matches is rejected
+ *
+ * Every "paths" argument and redirect target is resolved against the
+ * sandbox and must stay inside it. Words must be static: variables,
+ * substitutions and assignments are not allowed in allowlist mode.
+ *
+ * Policies are opt-in: no shipped level sets one, because each level
+ * teaches a bypass of the denylist. A facilitator applies one with
+ * --policy, PRODBOT_POLICY, a level's "policy" or prodbot.config.json.
+ *
+ * Key concepts demonstrated:
+ *   - Allowlist vs denylist: default-deny beats enumerating bad patterns
+ *   - Resolved-path checks: validating where a path leads, not how it looks
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import YAML from "yaml";
+import { parseShell, expandWord, itemsText, wordText } from "./shell-parser.js";
+
+export const POLICY_MODES = ["denylist", "allowlist"];
+
+/**
+ * Loads and checks a policy file (.json, .yaml or .yml).
+ *
+ * @param {string} file - Absolute path to the policy file
+ * @returns {{ policy: Object } | { error: string }}
+ */
+export function loadPolicy(file) {
+    let data;
+    try {
+        const text = fs.readFileSync(file, "utf-8");
+        data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (err) {
+        return { error: `Could not load policy ${file}: ${err.message}` };
+    }
+
+    if (!data || typeof data !== "object") {
+        return { error: `Policy ${file} must be an object` };
+    }
+    const mode = data.mode || "denylist";
+    if (!POLICY_MODES.includes(mode)) {
+        return { error: `Policy ${file} has unknown mode "${mode}" (expected ${POLICY_MODES.join(" or ")})` };
+    }
+    if (mode === "allowlist" && (!data.commands || typeof data.commands !== "object")) {
+        return { error: `Allowlist policy ${file} needs a "commands" map` };
+    }
+
+    const commands = {};
+    for (const [name, rule] of Object.entries(data.commands || {})) {
+        try {
+            commands[name] = {
+                flags: rule?.flags || [],
+                valueFlags: rule?.valueFlags || [],
+                args: rule?.args || "paths",
+                maxArgs: rule?.maxArgs ?? Infinity,
+                deny: (rule?.deny || []).map(pattern => new RegExp(pattern)),
+            };
+        } catch (err) {
+            return { error: `Policy ${file}: bad rule for "${name}": ${err.message}` };
+        }
+    }
+
+    return {
+        policy: {
+            name: data.name || path.basename(file),
+            file,
+            mode,
+            pipes: data.pipes !== false,
+            redirects: data.redirects !== false,
+            commands,
+        },
+    };
+}
+
+/**
+ * Validates a command against an allowlist policy.
+ *
+ * @param {string} cmd - The trimmed command
+ * @param {string} sandboxDir - Absolute sandbox path that every path must stay in
+ * @param {Object} policy - A policy from loadPolicy()
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function validateAllowlist(cmd, sandboxDir, policy) {
+    const parsed = parseShell(cmd);
+    if (parsed.error) {
+        return { valid: false, reason: `Could not parse command: ${parsed.error}` };
+    }
+
+    let reason;
+    try {
+        reason = checkScript(parsed.script, sandboxDir, policy);
+    } catch (err) {
+        reason = `Could not expand command: ${err.message}`;
+    }
+    return reason ? { valid: false, reason: `${reason} (policy: ${policy.name})` } : { valid: true };
+}
+
+function checkScript(script, sandboxDir, policy) {
+    for (const andor of script.items) {
+        for (const pipeline of andor.pipelines) {
+            if (pipeline.commands.length > 1 && !policy.pipes) return "Pipes are not allowed";
+            for (const command of pipeline.commands) {
+                const reason = command.type === "subshell"
+                    ? checkScript(command.body, sandboxDir, policy) || checkRedirects(command.redirects, sandboxDir, policy)
+                    : checkCommand(command, sandboxDir, policy);
+                if (reason) return reason;
+            }
+        }
+    }
+    return null;
+}
+
+function checkCommand(command, sandboxDir, policy) {
+    if (command.assignments.length) return "Variable assignments are not allowed";
+    if (command.words.length === 0) return checkRedirects(command.redirects, sandboxDir, policy);
+
+    for (const word of command.words) {
+        const dynamic = word.parts.find(p => p.type !== "text");
+        if (dynamic) return `Expansions like ${dynamic.raw} are not allowed`;
+    }
+
+    const name = wordText(command.words[0]);
+    const rule = Object.hasOwn(policy.commands, name) ? policy.commands[name] : null;
+    if (!rule) return `'${name}' is not on the allowlist`;
+
+    // Expand braces so {a,b} is checked as two arguments
+    const words = command.words.slice(1).flatMap(w => expandWord(w));
+    const kinds = Array.isArray(rule.args) ? rule.args : [rule.args];
+    let positional = 0;
+    let endOfOptions = false;
+
+    for (let i = 0; i < words.length; i++) {
+        const text = itemsText(words[i]);
+        const reason = checkDeny(name, text, rule);
+        if (reason) return reason;
+
+        if (!endOfOptions && text === "--") {
+            endOfOptions = true;
+            continue;
+        }
+        if (!endOfOptions && text.startsWith("-") && text !== "-") {
+            if (rule.valueFlags.includes(text)) {
+                i++;
+                if (i >= words.length) return `Option ${text} for '${name}' needs a value`;
+                const reason = checkDeny(name, itemsText(words[i]), rule) || checkPath(words[i], sandboxDir);
+                if (reason) return reason;
+                continue;
+            }
+            // Short value flags may be attached: -n5
+            const attached = rule.valueFlags.find(f => /^-[a-zA-Z]$/.test(f) && text.startsWith(f));
+            if (attached) {
+                const reason = checkPath(words[i].slice(attached.length), sandboxDir);
+                if (reason) return reason;
+                continue;
+            }
+            const reason = checkFlag(name, text, rule);
+            if (reason) return reason;
+            continue;
+        }
+
+        positional++;
+        if (positional > rule.maxArgs) return `'${name}' accepts at most ${rule.maxArgs} argument(s)`;
+        const kind = kinds[Math.min(positional - 1, kinds.length - 1)];
+        if (kind === "paths") {
+            const reason = checkPath(words[i], sandboxDir);
+            if (reason) return reason;
+        }
+    }
+
+    return checkRedirects(command.redirects, sandboxDir, policy);
+}
+
+/** Rejects a word that matches one of the rule's deny patterns. */
+function checkDeny(name, text, rule) {
+    for (const pattern of rule.deny) {
+        if (pattern.test(text)) return `'${name} ${text}' is denied by the policy`;
+    }
+    return null;
+}
+
+/** A flag is allowed as written, or as a group of allowed single-letter flags. */
+function checkFlag(name, text, rule) {
+    if (rule.flags.includes(text)) return null;
+    if (/^-[a-zA-Z]{2,}$/.test(text) && [...text.slice(1)].every(ch => rule.flags.includes(`-${ch}`))) {
+        return null;
+    }
+    return `Option ${text} is not allowed for '${name}'`;
+}
+
+function checkRedirects(redirects, sandboxDir, policy) {
+    for (const { op, target, heredoc } of redirects) {
+        if (!policy.redirects) return "Redirects are not allowed";
+        if (heredoc) {
+            if (heredoc.parts.some(p => p.type !== "text")) return "Expansions in heredocs are not allowed";
+            continue;
+        }
+        if (target.parts.some(p => p.type !== "text")) return `Expansions like ${target.raw} are not allowed`;
+        const text = wordText(target);
+        if ((op === ">&" || op === "<&") && /^(\d+-?|-)$/.test(text)) continue;
+        if (op === "<<<" || text === "/dev/null") continue;
+        const reason = checkPath(expandWord(target, { braces: false })[0], sandboxDir);
+        if (reason) return reason;
+    }
+    return null;
+}
+
+/**
+ * A path argument must resolve inside the sandbox. Tildes and wildcards
+ * that could match ".." are rejected before resolving.
+ */
+function checkPath(items, sandboxDir) {
+    const text = itemsText(items);
+    if (items[0]?.ch === "~" && !items[0].quoted) return "Home directory references (~) are not allowed";
+
+    // ".*" or ".?" can expand to ".." — a wildcard may not follow a run of dots
+    let segment = "";
+    for (const item of items) {
+        if (!item.quoted && "*?[".includes(item.ch) && /^\.+$/.test(segment)) {
+            return `Wildcard in ${text} could match ".."`;
+        }
+        segment = item.ch === "/" ? "" : segment + item.ch;
+    }
+
+    const resolved = path.resolve(sandboxDir, text);
+    if (resolved !== sandboxDir && !resolved.startsWith(sandboxDir + path.sep)) {
+        return `${text} resolves outside the sandbox`;
+    }
+    return null;
+}
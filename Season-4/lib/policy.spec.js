@@ -0,0 +1,83 @@
+import path from "node:path";
+import { describe, expect, test } from "vitest";
+import { validateCommand } from "./bash.js";
+import { loadPolicy } from "./policy.js";
+
+const SANDBOX = "/tmp/prodbot-sandbox";
+const POLICIES_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "../policies");
+const { policy } = loadPolicy(path.join(POLICIES_DIR, "allowlist.yaml"));
+
+describe("validateCommand — allowlist policy", () => {
+    test("the Level 1 solution passes the denylist but not the allowlist", () => {
+        const cmd = "D=.. && cat $D/password.txt";
+        expect(validateCommand(cmd, SANDBOX, 1).valid).toBe(true);
+        expect(validateCommand(cmd, SANDBOX, 1, {}, policy).valid).toBe(false);
+    });
+
+    test.each([
+        ["D=.. && cat $D/password.txt", "Variable assignments are not allowed"],
+        ["echo Li4vcGFzc3dvcmQudHh0 | base64 -d | xargs cat", "'base64' is not on the allowlist"],
+        ["cat $(echo ..)/password.txt", "Expansions like $(echo ..) are not allowed"],
+        ["cat ../password.txt", "resolves outside the sandbox"],
+        ["cat '..'/password.txt", "resolves outside the sandbox"],
+        ["cat .{.,}/password.txt", "resolves outside the sandbox"],
+        ["cat .?/password.txt", "could match \"..\""],
+        ["cat ~/.bashrc", "Home directory references"],
+        ["cat < /etc/passwd", "resolves outside the sandbox"],
+        ["echo x > ../escape.txt", "resolves outside the sandbox"],
+        ["ls -la --color=always", "Option --color=always is not allowed for 'ls'"],
+        ["cp a b c", "'cp' accepts at most 2 argument(s)"],
+        ["sudo ls", "'sudo' is not on the allowlist"],
+        ["head -n ../password.txt", "../password.txt resolves outside the sandbox"],
+        ["tail -n ~/.bashrc", "Home directory references"],
+        ["head -n../password.txt", "../password.txt resolves outside the sandbox"],
+        ["head -n", "Option -n for 'head' needs a value"],
+    ])("blocks %j", (cmd, reason) => {
+        const result = validateCommand(cmd, SANDBOX, 1, {}, policy);
+        expect(result.valid).toBe(false);
+        expect(result.reason).toContain(reason);
+        expect(result.reason).toContain("(policy: Strict allowlist)");
+    });
+
+    test.each([
+        'echo "Hello World" > hello.txt',
+        "ls -la",
+        "mkdir -p src && touch src/app.js",
+        "cat > notes.md << 'EOF'\n# Notes\nEOF",
+        'grep -rn "../x" .',
+        "head -n5 notes.md | wc -l",
+        "head -n 5 notes.md",
+        "tail -n +2 notes.md",
+        "cat *.txt 2>/dev/null",
+        "cp -r src backup",
+        "cat -- -notes.md",
+    ])("allows %j", (cmd) => {
+        expect(validateCommand(cmd, SANDBOX, 1, {}, policy)).toEqual({ valid: true });
+    });
+
+    test("checks a value flag's value against deny patterns", () => {
+        const head = { ...policy.commands.head, deny: [/^\+/] };
+        const strict = { ...policy, commands: { ...policy.commands, head } };
+        expect(validateCommand("head -n +2 notes.md", SANDBOX, 1, {}, strict).reason).toMatch(/^'head \+2' is denied/);
+    });
+
+    test("switching pipes and redirects off", () => {
+        const strict = { ...policy, pipes: false, redirects: false };
+        expect(validateCommand("ls | wc -l", SANDBOX, 1, {}, strict).reason).toMatch(/^Pipes are not allowed/);
+        expect(validateCommand("echo hi > a.txt", SANDBOX, 1, {}, strict).reason).toMatch(/^Redirects are not allowed/);
+    });
+});
+
+describe("loadPolicy", () => {
+    test("loads the shipped JSON and YAML policies", () => {
+        for (const file of ["allowlist.yaml", "read-only.json"]) {
+            const loaded = loadPolicy(path.join(POLICIES_DIR, file));
+            expect(loaded.error).toBeUndefined();
+            expect(loaded.policy.mode).toBe("allowlist");
+        }
+    });
+
+    test("reports missing files", () => {
+        expect(loadPolicy(path.join(POLICIES_DIR, "missing.json")).error).toMatch(/^Could not load policy/);
+    });
+});
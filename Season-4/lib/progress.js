@@ -0,0 +1,183 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * progress.js — The player's progress through Season 4, saved between sessions.
+ *
+ * Progress lives in Season-4/progress.json (or PRODBOT_PROGRESS_FILE):
+ *
+ *   {
+ *     "currentLevel": 2,
+ *     "levels": {
+ *       "1": { "startedAt": "...", "completedAt": "...", "attempts": 4, "hintsViewed": 1, "solutionViewed": false, "score": 80 },
+ *       "2": { "startedAt": "...", "completedAt": null, "attempts": 1, "hintsViewed": 0, "solutionViewed": false },
+ *       "3": { ..., "permissions": { "cloud-mcp.backup": "always", "web-mcp.browse": "deny" } }
+ *     }
+ *   }
+ *
+ * An attempt is one request that ProdBot worked on (anything that reached
+ * "Thinking..."), not REPL commands like `memory` or `?`.
+ *
+ * A level's score is fixed when it is first completed: 100, minus 20 for
+ * each hint viewed and 50 for the solution, never below 10. Hints read after
+ * completing a level don't change its score.
+ *
+ * permissions holds the player's saved MCP tool decisions for the level
+ * (see permissions.js).
+ *
+ * Batch runs (--script) read progress, so locked levels still apply, but
+ * never write it.
+ *
+ * In locked mode (prodbot.config.json → progress.lockedLevels, or
+ * PRODBOT_LOCKED_LEVELS=1) a level only opens once the one before it is
+ * completed. The default lets players jump anywhere with `level <n>`.
+ *
+ * Key concepts demonstrated:
+ *   - Durable state: writing to a temp file and renaming so a crash never
+ *     leaves half-written JSON
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { readConfig } from "./config.js";
+
+// Season-4/ — where progress.json lives.
+const SEASON_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+
+export const PROGRESS_FILE = path.join(SEASON_DIR, "progress.json");
+
+export const SCORING = { max: 100, perHint: 20, solution: 50, min: 10 };
+
+/**
+ * Scores a level from its hint usage.
+ *
+ * @param {{ hintsViewed: number, solutionViewed: boolean }} record
+ * @returns {number}
+ */
+export function scoreLevel({ hintsViewed, solutionViewed }) {
+    const score = SCORING.max - hintsViewed * SCORING.perHint - (solutionViewed ? SCORING.solution : 0);
+    return Math.max(SCORING.min, score);
+}
+
+/** Locked mode: PRODBOT_LOCKED_LEVELS, then prodbot.config.json → progress.lockedLevels. */
+export function lockedLevels() {
+    const env = process.env["PRODBOT_LOCKED_LEVELS"];
+    if (env !== undefined && env !== "") return ["1", "true", "on"].includes(env.toLowerCase());
+    return readConfig("progress").lockedLevels === true;
+}
+
+/**
+ * Progress — completed levels, attempts and hint usage for one player.
+ */
+export class Progress {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.file] - Where to save; defaults to PRODBOT_PROGRESS_FILE or Season-4/progress.json
+     * @param {boolean} [options.readOnly=false] - Load saved progress but never write it (batch runs)
+     */
+    constructor({ file, readOnly = false } = {}) {
+        this.file = file || process.env["PRODBOT_PROGRESS_FILE"] || PROGRESS_FILE;
+        this.readOnly = readOnly;
+        this.data = { currentLevel: 1, levels: {} };
+        this._load();
+    }
+
+    _load() {
+        if (!fs.existsSync(this.file)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.file, "utf-8"));
+            if (saved && typeof saved === "object" && saved.levels) this.data = saved;
+        } catch {
+            // Unreadable progress starts over rather than blocking the game
+        }
+    }
+
+    /** Writes progress atomically: temp file, then rename. */
+    save() {
+        if (this.readOnly) return;
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2) + "\n");
+        fs.renameSync(tmp, this.file);
+    }
+
+    /** The saved record for a level, created on first use. */
+    level(n) {
+        if (!this.data.levels[n]) {
+            this.data.levels[n] = { startedAt: null, completedAt: null, attempts: 0, hintsViewed: 0, solutionViewed: false, score: null };
+        }
+        return this.data.levels[n];
+    }
+
+    /** The level the player was last on. */
+    get currentLevel() {
+        return this.data.currentLevel;
+    }
+
+    isCompleted(n) {
+        return Boolean(this.data.levels[n]?.completedAt);
+    }
+
+    /** Level 1 is always open; every other level opens when the one before it is completed. */
+    isUnlocked(n) {
+        return n === 1 || this.isCompleted(n - 1);
+    }
+
+    /** Records that the player is now on a level. */
+    recordVisit(n) {
+        this.data.currentLevel = n;
+        const record = this.level(n);
+        if (!record.startedAt) record.startedAt = new Date().toISOString();
+        this.save();
+    }
+
+    /** Counts one request worked on at a level. */
+    recordAttempt(n) {
+        this.level(n).attempts++;
+        this.save();
+    }
+
+    /** Records that hint `index` (1-based) was shown; hintsViewed is the highest one seen. */
+    recordHint(n, index) {
+        const record = this.level(n);
+        record.hintsViewed = Math.max(record.hintsViewed, index);
+        this.save();
+    }
+
+    /** Records that the solution was shown. */
+    recordSolution(n) {
+        this.level(n).solutionViewed = true;
+        this.save();
+    }
+
+    /** Saved MCP tool decisions for a level: { "<server>.<tool>": "always" | "deny" }. */
+    permissions(n) {
+        return this.data.levels[n]?.permissions || {};
+    }
+
+    /** Saves an "always" or "deny" decision for a tool on a level. */
+    recordPermission(n, key, decision) {
+        const record = this.level(n);
+        record.permissions = { ...record.permissions, [key]: decision };
+        this.save();
+    }
+
+    /** Forgets a level's saved decisions, so every tool asks again. */
+    clearPermissions(n) {
+        delete this.level(n).permissions;
+        this.save();
+    }
+
+    /**
+     * Marks a level completed and scores it. The first completion time and
+     * score are kept.
+     *
+     * @returns {number} The level's score
+     */
+    recordCompletion(n) {
+        const record = this.level(n);
+        if (!record.completedAt) {
+            record.completedAt = new Date().toISOString();
+            record.score = scoreLevel(record);
+        }
+        this.save();
+        return record.score;
+    }
+}
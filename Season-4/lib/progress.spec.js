@@ -0,0 +1,102 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { Progress, lockedLevels, scoreLevel } from "./progress.js";
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-progress-"));
+    file = path.join(dir, "progress.json");
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.PRODBOT_LOCKED_LEVELS;
+});
+
+describe("progress", () => {
+    test("survives a restart", () => {
+        const first = new Progress({ file });
+        first.recordVisit(1);
+        first.recordAttempt(1);
+        first.recordAttempt(1);
+        first.recordCompletion(1);
+        first.recordVisit(2);
+
+        const second = new Progress({ file });
+        expect(second.currentLevel).toBe(2);
+        expect(second.level(1)).toMatchObject({ attempts: 2, hintsViewed: 0 });
+        expect(second.isCompleted(1)).toBe(true);
+        expect(second.isCompleted(2)).toBe(false);
+    });
+
+    test("keeps the first completion time", () => {
+        const progress = new Progress({ file });
+        progress.recordCompletion(1);
+        const first = progress.level(1).completedAt;
+        progress.recordCompletion(1);
+        expect(progress.level(1).completedAt).toBe(first);
+    });
+
+    test("unlocks a level once the one before it is completed", () => {
+        const progress = new Progress({ file });
+        expect(progress.isUnlocked(1)).toBe(true);
+        expect(progress.isUnlocked(2)).toBe(false);
+        progress.recordCompletion(1);
+        expect(progress.isUnlocked(2)).toBe(true);
+        expect(progress.isUnlocked(3)).toBe(false);
+    });
+
+    test("scores a level by the hints used before completing it", () => {
+        const progress = new Progress({ file });
+        progress.recordHint(1, 1);
+        progress.recordHint(1, 2);
+        expect(progress.recordCompletion(1)).toBe(60);
+
+        // Hints read afterwards don't change the score
+        progress.recordHint(1, 3);
+        progress.recordSolution(1);
+        expect(progress.recordCompletion(1)).toBe(60);
+        expect(progress.level(1).hintsViewed).toBe(3);
+    });
+
+    test("scores never drop below the minimum", () => {
+        expect(scoreLevel({ hintsViewed: 0, solutionViewed: false })).toBe(100);
+        expect(scoreLevel({ hintsViewed: 0, solutionViewed: true })).toBe(50);
+        expect(scoreLevel({ hintsViewed: 3, solutionViewed: true })).toBe(10);
+    });
+
+    test("read-only progress loads but never writes", () => {
+        new Progress({ file }).recordCompletion(1);
+        const batch = new Progress({ file, readOnly: true });
+        expect(batch.isCompleted(1)).toBe(true);
+        batch.recordCompletion(2);
+        expect(new Progress({ file }).isCompleted(2)).toBe(false);
+    });
+
+    test("keeps MCP tool decisions per level", () => {
+        const progress = new Progress({ file });
+        progress.recordPermission(3, "cloud-mcp.backup", "always");
+        progress.recordPermission(3, "web-mcp.browse", "deny");
+        expect(new Progress({ file }).permissions(3)).toEqual({ "cloud-mcp.backup": "always", "web-mcp.browse": "deny" });
+        expect(progress.permissions(5)).toEqual({});
+
+        progress.clearPermissions(3);
+        expect(new Progress({ file }).permissions(3)).toEqual({});
+    });
+
+    test("a corrupt file starts over", () => {
+        fs.writeFileSync(file, "{not json");
+        expect(new Progress({ file }).currentLevel).toBe(1);
+    });
+
+    test("PRODBOT_LOCKED_LEVELS turns on locked mode", () => {
+        process.env.PRODBOT_LOCKED_LEVELS = "1";
+        expect(lockedLevels()).toBe(true);
+        process.env.PRODBOT_LOCKED_LEVELS = "off";
+        expect(lockedLevels()).toBe(false);
+    });
+});
@@ -0,0 +1,365 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * providers.js — Pluggable LLM provider registry for ProdBot.
+ *
+ * ProdBot talks to "a model" through a small provider interface so the engine
+ * never needs to know which vendor is behind it. Each provider turns a list of
+ * chat messages into a single assistant message:
+ *
+ *   provider.complete(messages, { tools }) → { role: "assistant", content: "...", tool_calls?: [...] }
+ *
+ * `tools` is optional; when given (OpenAI function-calling format) the
+ * returned message may contain tool_calls instead of final content.
+ *
+ * Built-in providers:
+ *   - github  — GitHub Models (default, uses GITHUB_TOKEN)
+ *   - openai  — any OpenAI-compatible server reachable at a base URL
+ *   - azure   — Azure OpenAI deployments
+ *   - local   — an offline stub that needs no network or token
+ *   - scripted — offline, deterministic answers from a fixture of rules
+ *
+ * The active provider and its settings come from (lowest → highest priority):
+ *   1. The provider's built-in defaults
+ *   2. Season-4/prodbot.config.json → { "ai": { "provider": "...", "providers": { "<name>": {...} } } }
+ *   3. Environment variables: PRODBOT_PROVIDER, PRODBOT_MODEL, PRODBOT_BASE_URL,
+ *      PRODBOT_TEMPERATURE, PRODBOT_TIMEOUT_MS, PRODBOT_API_KEY, PRODBOT_FIXTURE
+ *
+ * Key concepts demonstrated:
+ *   - Provider abstraction: swapping LLM vendors without touching the engine
+ *   - Layered configuration: defaults, config file, then environment
+ *   - Credential hygiene: API keys are read from env vars, never from the config file
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import OpenAI, { AzureOpenAI } from "openai";
+import { readConfig, envNumber } from "./config.js";
+
+// Season-4/ — scripted fixture paths are resolved relative to it.
+const SEASON_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+
+/**
+ * Provider registry — each entry declares its defaults and a factory.
+ * `apiKeyEnv` names the environment variable holding the credential so
+ * secrets never need to be written into prodbot.config.json.
+ */
+export const PROVIDERS = {
+    github: {
+        label: "GitHub Models",
+        defaults: {
+            baseURL: "https://models.github.ai/inference",
+            model: "openai/gpt-4.1-nano",
+            apiKeyEnv: "GITHUB_TOKEN",
+            timeoutMs: 60000,
+        },
+        create: createOpenAIProvider,
+    },
+    openai: {
+        label: "OpenAI-compatible",
+        defaults: {
+            baseURL: "https://api.openai.com/v1",
+            model: "gpt-4.1-nano",
+            apiKeyEnv: "OPENAI_API_KEY",
+            // Local servers (Ollama, LM Studio, vLLM) usually accept any key
+            optionalKey: true,
+            timeoutMs: 60000,
+        },
+        create: createOpenAIProvider,
+    },
+    azure: {
+        label: "Azure OpenAI",
+        defaults: {
+            model: "gpt-4.1-nano",
+            apiKeyEnv: "AZURE_OPENAI_API_KEY",
+            apiVersion: "2024-10-21",
+            timeoutMs: 60000,
+        },
+        create: createAzureProvider,
+    },
+    local: {
+        label: "Local stub (offline)",
+        defaults: {
+            model: "stub",
+        },
+        create: createLocalProvider,
+    },
+    scripted: {
+        label: "Scripted (offline fixture)",
+        defaults: {
+            model: "scripted",
+            fixture: "fixtures/scripted-llm.json",
+        },
+        create: createScriptedProvider,
+    },
+};
+
+export const DEFAULT_PROVIDER = "github";
+
+/** Drops undefined keys so they don't overwrite earlier config layers. */
+function defined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== ""));
+}
+
+/**
+ * Resolves the active provider name and its merged settings.
+ *
+ * @returns {{ provider: string, settings: Object } | { error: string }}
+ */
+export function resolveProviderConfig() {
+    const fileConfig = readConfig("ai");
+    const name = process.env["PRODBOT_PROVIDER"] || fileConfig.provider || DEFAULT_PROVIDER;
+    const entry = PROVIDERS[name];
+    if (!entry) {
+        return { error: `Unknown AI provider "${name}". Available: ${Object.keys(PROVIDERS).join(", ")}` };
+    }
+
+    const settings = {
+        ...entry.defaults,
+        ...defined(fileConfig.providers?.[name] || {}),
+        ...defined({
+            model: process.env["PRODBOT_MODEL"],
+            baseURL: process.env["PRODBOT_BASE_URL"],
+            temperature: envNumber("PRODBOT_TEMPERATURE"),
+            timeoutMs: envNumber("PRODBOT_TIMEOUT_MS"),
+            fixture: process.env["PRODBOT_FIXTURE"],
+        }),
+    };
+    settings.apiKey = process.env["PRODBOT_API_KEY"] || process.env[settings.apiKeyEnv] || "";
+
+    return { provider: name, settings };
+}
+
+/**
+ * Creates the active provider instance.
+ *
+ * @returns {{ name: string, label: string, model: string, complete: Function } | { error: string }}
+ */
+export function createProvider() {
+    const resolved = resolveProviderConfig();
+    if (resolved.error) return resolved;
+
+    const entry = PROVIDERS[resolved.provider];
+    const provider = entry.create(resolved.settings);
+    if (provider.error) return provider;
+
+    return { name: resolved.provider, label: entry.label, model: resolved.settings.model, ...provider };
+}
+
+/** Builds the request body shared by every OpenAI-style provider. */
+function buildRequest(settings, messages, options = {}) {
+    const request = { model: settings.model, messages };
+    if (settings.temperature !== undefined) request.temperature = settings.temperature;
+    if (options.tools?.length) {
+        request.tools = options.tools;
+        request.tool_choice = "auto";
+    }
+    return request;
+}
+
+/** GitHub Models and generic OpenAI-compatible servers share one client. */
+function createOpenAIProvider(settings) {
+    if (!settings.apiKey && !settings.optionalKey) {
+        return { error: `${settings.apiKeyEnv} not found. Please set it in your environment.` };
+    }
+
+    const client = new OpenAI({
+        baseURL: settings.baseURL,
+        apiKey: settings.apiKey || "not-needed",
+        timeout: settings.timeoutMs,
+    });
+
+    return {
+        async complete(messages, options) {
+            const completion = await client.chat.completions.create(buildRequest(settings, messages, options));
+            return completion.choices[0].message;
+        },
+    };
+}
+
+/**
+ * Azure OpenAI routes by deployment name rather than model name, so the
+ * configured `model` doubles as the deployment unless `deployment` is set.
+ */
+function createAzureProvider(settings) {
+    if (!settings.apiKey) {
+        return { error: `${settings.apiKeyEnv} not found. Please set it in your environment.` };
+    }
+    const endpoint = settings.baseURL || process.env["AZURE_OPENAI_ENDPOINT"];
+    if (!endpoint) {
+        return { error: "Azure endpoint not configured. Set AZURE_OPENAI_ENDPOINT or PRODBOT_BASE_URL." };
+    }
+
+    const deployment = settings.deployment || settings.model;
+    const client = new AzureOpenAI({
+        endpoint,
+        apiKey: settings.apiKey,
+        apiVersion: settings.apiVersion,
+        deployment,
+        timeout: settings.timeoutMs,
+    });
+
+    return {
+        async complete(messages, options) {
+            const completion = await client.chat.completions.create(buildRequest({ ...settings, model: deployment }, messages, options));
+            return completion.choices[0].message;
+        },
+    };
+}
+
+/**
+ * Offline stub — lets ProdBot start and run its non-AI features (web,
+ * tools, skills, agents) on machines with no model access at all.
+ */
+function createLocalProvider() {
+    return {
+        async complete() {
+            return {
+                role: "assistant",
+                content: JSON.stringify({
+                    action: "message",
+                    text: "No AI model is connected (local stub provider). Set PRODBOT_PROVIDER to use a real model.",
+                }),
+            };
+        },
+    };
+}
+
+/**
+ * Scripted provider — answers from a fixture file instead of a model.
+ *
+ * The fixture is a JSON file of ordered rules. The first rule whose `match`
+ * regex matches the user message (and whose optional `system` regex matches
+ * the system prompt) wins:
+ *
+ *   {
+ *     "rules": [
+ *       { "match": "^execute:\\s*(.+)$", "response": { "action": "bash", "commands": ["$1"] } },
+ *       { "match": "I searched the web", "obey": true },
+ *       { "system": "Release Agent", "match": ".", "obey": true }
+ *     ],
+ *     "fallback": { "action": "message", "text": "I don't know how to do that." }
+ *   }
+ *
+ * `$1`, `$2`, … in a response are replaced with the regex capture groups.
+ * A response may also be a plain string, sent back as raw (non-JSON) text.
+ * `obey: true` returns the first JSON action embedded in the prompt — this
+ * simulates a model that follows injected instructions, so prompt-injection
+ * levels can be demonstrated offline. If no action is embedded, the next
+ * rule is tried.
+ *
+ * For native tool calling, a rule may return `"toolCalls": [{ "name": "run_bash",
+ * "arguments": { "command": "$1" } }]` instead of a response. Once a tool
+ * result comes back, the scripted model ends the turn by relaying that result.
+ * In tool mode, `obey` turns an injected bash action into run_bash calls.
+ */
+function createScriptedProvider(settings) {
+    const fixturePath = path.resolve(SEASON_DIR, settings.fixture);
+    let fixture;
+    try {
+        fixture = JSON.parse(fs.readFileSync(fixturePath, "utf-8"));
+    } catch (err) {
+        return { error: `Could not load scripted fixture ${fixturePath}: ${err.message}` };
+    }
+
+    const rules = (fixture.rules || []).map(rule => ({
+        ...rule,
+        matchRe: new RegExp(rule.match || ".", "is"),
+        systemRe: rule.system ? new RegExp(rule.system, "i") : null,
+    }));
+    const fallback = fixture.fallback || { action: "message", text: "The scripted model has no rule for that request." };
+
+    return {
+        async complete(messages, options = {}) {
+            const system = messages.find(m => m.role === "system")?.content || "";
+            const user = [...messages].reverse().find(m => m.role === "user")?.content || "";
+
+            // In tool mode, message actions are answered as plain text
+            const toolMode = Boolean(options.tools?.length);
+            const render = response => {
+                if (typeof response === "string") return response;
+                if (toolMode && response.action === "message") return response.text;
+                return JSON.stringify(response);
+            };
+
+            // Tool result received — finish the turn with it
+            const last = messages[messages.length - 1];
+            if (last?.role === "tool") {
+                return { role: "assistant", content: last.content };
+            }
+
+            for (const rule of rules) {
+                if (rule.systemRe && !rule.systemRe.test(system)) continue;
+                const match = user.match(rule.matchRe);
+                if (!match) continue;
+
+                if (rule.toolCalls) {
+                    if (!toolMode) continue;
+                    return toolCallMessage(substituteCaptures(rule.toolCalls, match));
+                }
+
+                if (rule.obey) {
+                    const embedded = findEmbeddedAction(user);
+                    if (!embedded) continue;
+                    // In tool mode an injected bash action becomes run_bash calls
+                    if (toolMode && embedded.action === "bash" && Array.isArray(embedded.commands)) {
+                        return toolCallMessage(embedded.commands.map(command => ({ name: "run_bash", arguments: { command } })));
+                    }
+                    return { role: "assistant", content: render(embedded) };
+                }
+
+                return { role: "assistant", content: render(substituteCaptures(rule.response, match)) };
+            }
+            return { role: "assistant", content: render(fallback) };
+        },
+    };
+}
+
+/** Builds an assistant message that calls the given tools. */
+function toolCallMessage(calls) {
+    return {
+        role: "assistant",
+        content: null,
+        tool_calls: calls.map((call, i) => ({
+            id: `call_scripted_${i + 1}`,
+            type: "function",
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+        })),
+    };
+}
+
+/** Replaces $1..$9 in every string of a response with regex captures. */
+export function substituteCaptures(value, match) {
+    if (typeof value === "string") {
+        return value.replace(/\$(\d)/g, (_, n) => (match[Number(n)] || "").trim());
+    }
+    if (Array.isArray(value)) return value.map(v => substituteCaptures(v, match));
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substituteCaptures(v, match)]));
+    }
+    return value;
+}
+
+/**
+ * Finds the first parseable {"action": ...} object inside free text,
+ * e.g. an instruction hidden in an HTML comment on a web page.
+ */
+export function findEmbeddedAction(text) {
+    const starts = [...text.matchAll(/\{\s*\\?"action\\?"\s*:/g)].map(m => m.index);
+    for (const start of starts) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === "{") depth++;
+            else if (text[i] === "}" && --depth === 0) {
+                const candidate = text.slice(start, i + 1);
+                for (const attempt of [candidate, candidate.replace(/\\"/g, '"')]) {
+                    try {
+                        const parsed = JSON.parse(attempt);
+                        if (parsed && typeof parsed.action === "string") return parsed;
+                    } catch { /* not valid JSON, keep scanning */ }
+                }
+                break;
+            }
+        }
+    }
+    return null;
+}
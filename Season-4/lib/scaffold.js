@@ -0,0 +1,315 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * scaffold.js — Generates a new level for level authors (prodbot new-level).
+ *
+ * `prodbot new-level "Prompt Leak"` creates the next free Level-N/ with
+ * everything the engine discovers (see levels.js): a level.json, the
+ * sandbox, a password.txt holding a fresh flag (level.json only gets its
+ * hash, see flags.js), hints, a solution, and one
+ * commented starter module each for web/, mcp/, skills/ and agents/ in the
+ * shapes loadMcpServers, loadSkills and loadAgents import.
+ *
+ * Nothing existing is overwritten: the target directory must not exist.
+ *
+ * Key concepts demonstrated:
+ *   - Scaffolding: starting from a working skeleton instead of copying a
+ *     finished level and deleting what doesn't apply
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { hashFlag } from "./flags.js";
+
+const FLAG_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/** A random 8-character flag in the style of the shipped ones. */
+export function randomFlag() {
+    return Array.from(crypto.randomBytes(8), byte => FLAG_CHARS[byte % FLAG_CHARS.length]).join("");
+}
+
+/** The number after the highest existing Level-N/ directory. */
+export function nextLevelNumber(seasonDir) {
+    const numbers = fs.readdirSync(seasonDir)
+        .map(name => name.match(/^Level-(\d+)$/))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+    return numbers.length ? Math.max(...numbers) + 1 : 1;
+}
+
+/** A hint or solution banner matching the shipped hint files. */
+function banner(text) {
+    const inner = 62;
+    const left = Math.floor((inner - text.length) / 2);
+    const centred = " ".repeat(left) + text + " ".repeat(inner - left - text.length);
+    return [
+        "╔" + "═".repeat(inner) + "╗",
+        "║" + " ".repeat(inner) + "║",
+        "║" + centred + "║",
+        "║" + " ".repeat(inner) + "║",
+        "╚" + "═".repeat(inner) + "╝",
+    ].join("\n");
+}
+
+function manifest(title, flag, n) {
+    const data = {
+        title,
+        flagHash: hashFlag(flag),
+        webDir: "web",
+        mcpDir: "mcp",
+        skillsDir: "skills",
+        agentsDir: "agents",
+        routes: ["mcp"],
+        commands: ["open", "tools", "skills", "agents"],
+        welcome: {
+            status: "mcp",
+            task: [
+                "Describe what ProdBot can do on this level and what the",
+                "player must make it reveal. Make ProdBot read password.txt",
+                "to advance to the next level.",
+            ],
+            sections: [
+                { title: "Try:", lines: ['"Use the example tool to echo hello"', "run example", "agents"] },
+            ],
+        },
+        complete: {
+            title: `LEVEL ${n} COMPLETE - ${title.toUpperCase()}`,
+            summary: ["Describe what the player exploited."],
+            lesson: ["Lesson: The security lesson of this level."],
+            alternatives: ["  1. How to build this safely"],
+        },
+    };
+    return JSON.stringify(data, null, 4) + "\n";
+}
+
+function passwordFile(flag) {
+    return `-----BEGIN SENSITIVE CREDENTIALS-----
+Repository: secure-code-game
+Environment: production
+
+FLAG=${flag}
+
+-----END SENSITIVE CREDENTIALS-----
+`;
+}
+
+function hintFile(i, n) {
+    const guidance = [
+        "Point the player at the component that holds the vulnerability.",
+        "Narrow it down: which check, tool or trust assumption is wrong?",
+        "Nearly give it away: describe the technique without the exact input.",
+    ][i - 1];
+    return `${banner(`HINT ${i} — Level ${n}`)}\n\n${guidance}\n`;
+}
+
+function solutionFile(n) {
+    return `${banner(`SOLUTION — Level ${n}`)}
+
+Explain the vulnerability, then give one or more inputs that reveal the
+flag. There can be multiple valid approaches.
+`;
+}
+
+const WEB_PAGE = `<!-- ⚠️ Do not edit — this file simulates a real website. In the real world, you would not have direct access to modify external web content. -->
+<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Example News - Latest Headlines</title>
+</head>
+<body>
+<!-- Pages in web/ are what the web-search route and the Web MCP browse.
+     Name files after the site (example-news.html); index.html is skipped.
+     Hidden content here is how a level plants indirect prompt injection. -->
+<h1>Example News</h1>
+<p>Replace this page with the content your level needs.</p>
+</body>
+</html>
+`;
+
+function mcpServer(n) {
+    return `// ⚠️ Do not edit — this file simulates an external MCP server. In the real world, you would not have access to modify third-party tool integrations.
+/*
+ * Example MCP server. loadMcpServers imports every .js file in mcp/ and
+ * keys it by file name, so this server is "example-mcp".
+ *
+ * Exports:
+ *   name, description, scope, sourceFile — shown by "tools" and "tool <name>"
+ *   tools — { <tool>: { description, inputSchema, effects, run(args, ctx) } }
+ *
+ * inputSchema is the JSON schema of the tool's arguments. run() receives
+ * them validated against it, whether the player typed
+ * "call example-mcp.echo {\"text\":\"hi\"}" or asked in plain English,
+ * and returns { result: "..." } or { error: "..." }. For files, use ctx.fs
+ * rather than node:fs: it only reaches what this server's "scope" in
+ * mcp/config.json grants (see lib/scoped-fs.js).
+ *
+ * effects declares what the tool reads, writes and whether it goes online.
+ * The player sees it when ProdBot asks before the tool's first use (see
+ * lib/permissions.js).
+ */
+
+// MCP server metadata — shown by ProdBot's "tools" and "tool <name>" commands.
+export const name = "Example MCP";
+export const description = "A starter MCP server for Level ${n}";
+export const scope = "sandbox";
+export const sourceFile = "Level-${n}/mcp/example-mcp.js";
+
+export const tools = {
+    /** Echoes its argument back. Replace with the tool your level needs. */
+    echo: {
+        description: "Echo the given text back",
+        inputSchema: {
+            type: "object",
+            properties: { text: { type: "string", description: "The text to echo" } },
+            required: ["text"],
+        },
+        effects: {},
+        run({ text }) {
+            return { result: \`Echo: \${text}\` };
+        }
+    },
+};
+`;
+}
+
+function skillManifest(n) {
+    return `---
+name: example
+description: >
+  A starter skill for Level ${n}. Describe when the player should use it.
+license: MIT
+metadata:
+  author: your-team
+  approved: "2026-01-01"
+  installs: "0"
+  committee: Skills Committee
+allowed-tools: read_file
+---
+
+# Example Skill
+
+Describe what this skill does.
+
+## Usage
+
+- \`run example\` — Run the skill
+`;
+}
+
+function skillHandler(n) {
+    return `// ⚠️ Do not edit — this file simulates an org-approved skill. In the real world, skills are managed by your organisation's Skills Committee.
+//
+// loadSkills imports skills/<name>/handler.js and keys it by \`command\`,
+// so players run this with "run example". run(ctx, args) receives the
+// skill context (fs, readMemory, writeMemory, writeSystemMemory, sandboxDir,
+// levelDir) and returns { result: "..." } or { error: "..." }. ctx.fs only
+// reaches what SKILL.md's allowed-tools ask for: read_file gives read-only
+// access to the sandbox, write_file read/write.
+
+export const name = "Example Skill";
+export const command = "example";
+export const author = "your-team";
+export const approved = "2026-01-01";
+export const installs = 0;
+export const description = "A starter skill for Level ${n}";
+export const sourceFile = "Level-${n}/skills/example/handler.js";
+
+/** Greets the player by the name saved with "remember name=...". */
+export function run(ctx) {
+    const nameEntry = ctx.readMemory().find(e => e.key === "name");
+    return { result: \`Hello, \${nameEntry ? nameEntry.value : "player"}!\` };
+}
+`;
+}
+
+function agentModule(n) {
+    return `// ⚠️ Do not edit — this file simulates a managed AI agent. In the real world, agents are configured by your organisation and you would not modify their code directly.
+/*
+ * Example agent. loadAgents imports every .js file in agents/ and keys it
+ * by file name, so this agent is "example-agent". agents/config.json
+ * holds its enabled flag and scope; tools get a ctx.fs limited to that scope.
+ *
+ * Exports:
+ *   name, description, permissions, sourceFile — shown by "agents" and "agent <name>"
+ *   tools — { <tool>: { description, usage, run(input, ctx) } }
+ */
+
+import path from "node:path";
+
+// Sandbox directory this agent works in.
+const SANDBOX = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..", "prodbot-activities");
+
+// Agent metadata — shown by ProdBot's "agents" and "agent <name>" commands.
+export const name = "Example Agent";
+export const description = "A starter agent for Level ${n}";
+export const permissions = "Sandbox read-only access";
+export const sourceFile = "Level-${n}/agents/example-agent.js";
+
+export const tools = {
+    /** Lists the sandbox files. Replace with the agent's real work. */
+    list: {
+        description: "List files in the sandbox",
+        usage: "list",
+        run(_, { fs }) {
+            if (!fs.existsSync(SANDBOX)) return { error: "Sandbox not available." };
+            const files = fs.readdirSync(SANDBOX).filter(f => !f.startsWith("."));
+            return { result: files.length ? files.join("\\n") : "Sandbox is empty." };
+        }
+    },
+};
+`;
+}
+
+const MCP_CONFIG = JSON.stringify({
+    "example-mcp": { enabled: true, scope: "none" },
+}, null, 2) + "\n";
+
+const AGENT_CONFIG = JSON.stringify({
+    "_warning": "Do not edit — this file simulates organisational agent configuration that you would not control in the real world.",
+    "example-agent": { enabled: true, scope: "sandbox-read-only" },
+}, null, 2) + "\n";
+
+/**
+ * Creates a new level directory with a manifest and starter files.
+ *
+ * @param {string} seasonDir - Absolute path of Season-4/
+ * @param {string} title - The level's title, e.g. "Prompt Leak"
+ * @param {{ number?: number }} [options] - Level number; defaults to the next free one
+ * @returns {{ dir: string, number: number, flag: string, files: string[] } | { error: string }}
+ */
+export function scaffoldLevel(seasonDir, title, options = {}) {
+    if (!title || !title.trim()) return { error: "A level name is required." };
+    const n = options.number ?? nextLevelNumber(seasonDir);
+    if (!Number.isInteger(n) || n < 1) return { error: `Invalid level number: ${options.number}` };
+
+    const dirName = `Level-${n}`;
+    const dir = path.join(seasonDir, dirName);
+    if (fs.existsSync(dir)) return { error: `${dirName} already exists.` };
+
+    const flag = randomFlag();
+    const files = {
+        "level.json": manifest(title.trim(), flag, n),
+        "password.txt": passwordFile(flag),
+        "hint-1.txt": hintFile(1, n),
+        "hint-2.txt": hintFile(2, n),
+        "hint-3.txt": hintFile(3, n),
+        "solution.txt": solutionFile(n),
+        // Player files stay out of git; the directory itself is kept
+        "prodbot-activities/.gitignore": "*\n!.gitignore\n",
+        "web/example-news.html": WEB_PAGE,
+        "mcp/example-mcp.js": mcpServer(n),
+        "mcp/config.json": MCP_CONFIG,
+        "skills/example/SKILL.md": skillManifest(n),
+        "skills/example/handler.js": skillHandler(n),
+        "agents/example-agent.js": agentModule(n),
+        "agents/config.json": AGENT_CONFIG,
+    };
+
+    for (const [rel, content] of Object.entries(files)) {
+        const file = path.join(dir, rel);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+    }
+    return { dir, number: n, flag, files: Object.keys(files).map(rel => `${dirName}/${rel}`) };
+}
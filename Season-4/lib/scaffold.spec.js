@@ -0,0 +1,61 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { verifyFlag } from "./flags.js";
+import { loadLevels } from "./levels.js";
+import { nextLevelNumber, scaffoldLevel } from "./scaffold.js";
+import { createScopedFs } from "./scoped-fs.js";
+
+let seasonDir;
+
+/** Imports a generated module the way the engine's loaders do. */
+const load = (file) => import(/* @vite-ignore */ pathToFileURL(file).href);
+
+beforeEach(() => {
+    seasonDir = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-scaffold-"));
+    fs.mkdirSync(path.join(seasonDir, "Level-1"));
+    fs.mkdirSync(path.join(seasonDir, "Level-2"));
+});
+
+afterEach(() => {
+    fs.rmSync(seasonDir, { recursive: true, force: true });
+});
+
+describe("new-level scaffold", () => {
+    test("creates the next level with a manifest the engine accepts", () => {
+        expect(nextLevelNumber(seasonDir)).toBe(3);
+        const result = scaffoldLevel(seasonDir, "Prompt Leak");
+        expect(result.number).toBe(3);
+
+        const { levels } = loadLevels(seasonDir);
+        expect(levels[3]).toMatchObject({ title: "Prompt Leak", mcpDir: "mcp", agentsDir: "agents" });
+        expect(verifyFlag(result.flag, levels[3].flagHash)).toBe(true);
+        expect(fs.readFileSync(path.join(result.dir, "level.json"), "utf-8")).not.toContain(result.flag);
+        expect(fs.readFileSync(path.join(result.dir, "password.txt"), "utf-8")).toContain(`FLAG=${result.flag}`);
+        expect(fs.existsSync(path.join(result.dir, "prodbot-activities"))).toBe(true);
+    });
+
+    test("starter modules have the shapes the loaders import", async () => {
+        const { dir } = scaffoldLevel(seasonDir, "Shapes");
+        const mcp = await load(path.join(dir, "mcp/example-mcp.js"));
+        expect(mcp.tools.echo.inputSchema.required).toEqual(["text"]);
+        expect(mcp.tools.echo.effects).toEqual({});
+        expect(mcp.tools.echo.run({ text: "hi" })).toEqual({ result: "Echo: hi" });
+
+        const skill = await load(path.join(dir, "skills/example/handler.js"));
+        expect(skill.command).toBe("example");
+        expect(skill.run({ readMemory: () => [] })).toEqual({ result: "Hello, player!" });
+
+        const agent = await load(path.join(dir, "agents/example-agent.js"));
+        expect(agent.permissions).toBeTruthy();
+        const ctx = { fs: createScopedFs([{ path: path.join(dir, "prodbot-activities"), mode: "ro" }]) };
+        expect(agent.tools.list.run(undefined, ctx)).toEqual({ result: "Sandbox is empty." });
+    });
+
+    test("never overwrites an existing level", () => {
+        expect(scaffoldLevel(seasonDir, "Clash", { number: 2 })).toEqual({ error: "Level-2 already exists." });
+        expect(scaffoldLevel(seasonDir, "  ").error).toContain("name is required");
+    });
+});
@@ -0,0 +1,161 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * schema.js — Validation and repair of ProdBot's AI responses.
+ *
+ * The system prompt asks for exactly one of:
+ *   { "action": "bash", "commands": ["cmd1", "cmd2"] }
+ *   { "action": "message", "text": "..." }
+ *
+ * Small models often get close but not quite: they wrap the JSON in
+ * ```json fences, add a sentence before it, send "commands": "ls" as a
+ * string, or spell the action "Bash". This module turns a raw model reply
+ * into a valid action when the intent is unambiguous, and reports a clear
+ * error when it is not, so the caller can re-prompt the model once.
+ *
+ * Repairs applied:
+ *   - strip markdown code fences and text around the JSON object
+ *   - normalise the action name ("Bash", " shell ", "command" → "bash")
+ *   - infer a missing action from "commands" / "text"
+ *   - "commands": "ls"  or  "command": "ls"  → "commands": ["ls"]
+ *   - drop empty or non-string commands (a bash action left with none is rejected)
+ *   - "message": "..." → "text": "..."
+ *
+ * Plain text with no JSON object in it is still treated as a message reply,
+ * as before — only JSON that can't be made valid is rejected.
+ *
+ * Key concepts demonstrated:
+ *   - Output validation: never trust the model to follow the format
+ *   - Repair vs reject: fix what's unambiguous, ask again for the rest
+ */
+
+/** Actions the engine knows how to handle. */
+const ACTIONS = ["bash", "message"];
+
+// Common alternative spellings of the known actions.
+const ACTION_ALIASES = {
+    shell: "bash",
+    command: "bash",
+    commands: "bash",
+    run: "bash",
+    reply: "message",
+    text: "message",
+    say: "message",
+};
+
+/**
+ * Pulls the JSON object out of a raw reply: strips code fences and any text
+ * around the outermost { ... }. Returns null when there is no object at all.
+ */
+function extractJson(raw) {
+    let text = raw.trim();
+    const fenced = text.match(/^```[a-zA-Z]*\s*\n?([\s\S]*?)\n?```$/);
+    if (fenced) text = fenced[1].trim();
+
+    // Prose that merely contains a brace is not an attempt at JSON
+    const start = text.indexOf("{");
+    if (start === -1 || (start > 0 && !/"action"\s*:/.test(text))) return null;
+    const end = text.lastIndexOf("}");
+    return end > start ? text.slice(start, end + 1) : text.slice(start);
+}
+
+/**
+ * Validates (and where possible repairs) a raw model reply.
+ *
+ * @param {string} raw - The model's text reply
+ * @returns {{ valid: true, response: Object, repairs: string[] } | { valid: false, error: string }}
+ */
+export function validateResponse(raw) {
+    const text = typeof raw === "string" ? raw : "";
+    const json = extractJson(text);
+
+    // No JSON at all: the model answered in prose — treat it as a message
+    if (json === null) {
+        if (!text.trim()) return { valid: false, error: "The response was empty." };
+        return { valid: true, response: { action: "message", text: text.trim() }, repairs: [] };
+    }
+
+    const repairs = [];
+    if (/^\s*```/.test(text)) repairs.push("removed code fences");
+    else if (json !== text.trim()) repairs.push("removed text around the JSON object");
+
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (err) {
+        return { valid: false, error: `The response was not valid JSON (${err.message}).` };
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        return { valid: false, error: "The response must be a JSON object with an \"action\" field." };
+    }
+
+    return normaliseAction(parsed, repairs);
+}
+
+/** Checks and repairs a parsed action object; see validateResponse(). */
+function normaliseAction(parsed, repairs = []) {
+    const response = { ...parsed };
+
+    // Action name: normalise case/aliases, or infer it from the fields present
+    if (typeof response.action === "string") {
+        const name = response.action.trim().toLowerCase();
+        const action = ACTION_ALIASES[name] || name;
+        if (action !== response.action) repairs.push(`action "${response.action}" → "${action}"`);
+        response.action = action;
+    } else if (response.action === undefined) {
+        if (response.commands !== undefined || response.command !== undefined) {
+            response.action = "bash";
+            repairs.push("added missing action \"bash\"");
+        } else if (response.text !== undefined || response.message !== undefined) {
+            response.action = "message";
+            repairs.push("added missing action \"message\"");
+        }
+    }
+
+    if (!ACTIONS.includes(response.action)) {
+        const got = response.action === undefined ? "no action" : `action ${JSON.stringify(response.action)}`;
+        return {
+            valid: false,
+            error: `Unknown ${got} — expected "action" to be one of ${ACTIONS.map(a => `"${a}"`).join(", ")}.`,
+        };
+    }
+
+    if (response.action === "bash") {
+        if (response.commands === undefined && response.command !== undefined) {
+            response.commands = response.command;
+            delete response.command;
+            repairs.push("renamed \"command\" to \"commands\"");
+        }
+        if (typeof response.commands === "string") {
+            response.commands = [response.commands];
+            repairs.push("wrapped \"commands\" string in an array");
+        }
+        if (!Array.isArray(response.commands)) {
+            return { valid: false, error: "A \"bash\" action needs \"commands\": an array of command strings." };
+        }
+        const commands = response.commands.filter(c => typeof c === "string" && c.trim());
+        if (commands.length !== response.commands.length) {
+            repairs.push("dropped empty or non-string commands");
+        }
+        if (commands.length === 0) {
+            return { valid: false, error: "A \"bash\" action needs at least one non-empty command string." };
+        }
+        response.commands = commands;
+    }
+
+    if (response.action === "message") {
+        if (response.text === undefined && response.message !== undefined) {
+            response.text = response.message;
+            delete response.message;
+            repairs.push("renamed \"message\" to \"text\"");
+        }
+        if (response.text === undefined || response.text === null) {
+            return { valid: false, error: "A \"message\" action needs a \"text\" string." };
+        }
+        if (typeof response.text !== "string") {
+            response.text = typeof response.text === "object" ? JSON.stringify(response.text) : String(response.text);
+            repairs.push("converted \"text\" to a string");
+        }
+    }
+
+    return { valid: true, response, repairs };
+}
@@ -0,0 +1,59 @@
+import { describe, expect, test } from "vitest";
+import { validateResponse } from "./schema.js";
+
+describe("validateResponse", () => {
+    test("accepts a well-formed action unchanged", () => {
+        expect(validateResponse('{"action":"bash","commands":["ls","pwd"]}')).toEqual({
+            valid: true,
+            response: { action: "bash", commands: ["ls", "pwd"] },
+            repairs: [],
+        });
+    });
+
+    test("treats prose without JSON as a message", () => {
+        expect(validateResponse("Hello there!")).toMatchObject({
+            valid: true,
+            response: { action: "message", text: "Hello there!" },
+        });
+    });
+
+    test.each([
+        ['```json\n{"action":"bash","commands":["ls"]}\n```', { action: "bash", commands: ["ls"] }, "removed code fences"],
+        ['Sure: {"action":"bash","commands":["ls"]}', { action: "bash", commands: ["ls"] }, "removed text around the JSON object"],
+        ['{"action":" Shell ","commands":["ls"]}', { action: "bash", commands: ["ls"] }, 'action " Shell " → "bash"'],
+        ['{"commands":["ls"]}', { action: "bash", commands: ["ls"] }, 'added missing action "bash"'],
+        ['{"action":"bash","command":"ls"}', { action: "bash", commands: ["ls"] }, 'renamed "command" to "commands"'],
+        ['{"action":"bash","commands":"ls"}', { action: "bash", commands: ["ls"] }, 'wrapped "commands" string in an array'],
+        ['{"action":"bash","commands":["ls",""," ",3]}', { action: "bash", commands: ["ls"] }, "dropped empty or non-string commands"],
+        ['{"action":"message","message":"hi"}', { action: "message", text: "hi" }, 'renamed "message" to "text"'],
+        ['{"action":"message","text":42}', { action: "message", text: "42" }, 'converted "text" to a string'],
+    ])("repairs %s", (raw, response, repair) => {
+        const result = validateResponse(raw);
+        expect(result.valid).toBe(true);
+        expect(result.response).toEqual(response);
+        expect(result.repairs).toContain(repair);
+    });
+
+    test.each([
+        ["", "The response was empty."],
+        ['{"action":"bash","commands":[', "The response was not valid JSON"],
+        ['{"action":"delete"}', 'Unknown action "delete"'],
+        ['{"action":"bash","commands":{"cmd":"ls"}}', 'A "bash" action needs "commands"'],
+        ['{"action":"message"}', 'A "message" action needs a "text" string.'],
+    ])("rejects %j", (raw, error) => {
+        const result = validateResponse(raw);
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain(error);
+    });
+
+    test.each([
+        '{"action":"bash","commands":[]}',
+        '{"action":"bash","commands":[""," ",null]}',
+        '{"action":"bash","commands":"  "}',
+    ])("rejects a bash action with no commands left: %s", (raw) => {
+        expect(validateResponse(raw)).toEqual({
+            valid: false,
+            error: 'A "bash" action needs at least one non-empty command string.',
+        });
+    });
+});
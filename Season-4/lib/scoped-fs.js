@@ -0,0 +1,152 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * scoped-fs.js — A filesystem API limited to the roots a scope grants.
+ *
+ * Instead of importing node:fs, MCP tools, skills and agents use the ctx.fs
+ * the engine hands them. It has the same sync methods as node:fs
+ * (existsSync, readFileSync, writeFileSync, readdirSync, mkdirSync,
+ * statSync), but every path must fall inside one of the granted roots,
+ * and writes need a read-write root. Anything else throws EACCES.
+ *
+ * Paths are checked twice: as written (after ".." is resolved) and where
+ * they really lead once symlinks are followed. A link in the sandbox that
+ * points at ../password.txt is outside the sandbox, even if the file it
+ * points at doesn't exist yet.
+ *
+ * A scope name (from mcp/config.json, agents/config.json, or a skill's
+ * allowed-tools) decides the roots. Every caller can also read its own
+ * install directory, for bundled data such as templates.
+ *
+ *   none               — nothing beyond its own directory
+ *   web-read-only      — the level's web/ pages, read-only
+ *   sandbox-read-only  — prodbot-activities/, read-only
+ *   sandbox            — prodbot-activities/, read-write
+ *   read-only-metadata — list and stat the level directory, no file contents
+ *   workspace          — the whole level directory, read-write
+ *
+ * Every access, allowed or not, is reported to the onAccess callback; the
+ * engine writes it to the audit log as "fs_access".
+ *
+ * A level can make scopes advisory (level.json "scopes": "advisory"): the
+ * same API, with no checks, but accesses are still logged. That's how
+ * Level 3 keeps its over-permissioned Cloud Backup MCP.
+ *
+ * Key concepts demonstrated:
+ *   - Capabilities: a tool can only touch what it was handed
+ *   - Declared scope vs. enforced scope
+ *   - Symlink escapes: check where a path leads, not how it's spelled
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export const SCOPES = {
+    "none":               () => [],
+    "web-read-only":      (dirs) => dirs.web ? [{ path: dirs.web, mode: "ro" }] : [],
+    "sandbox-read-only":  (dirs) => [{ path: dirs.sandbox, mode: "ro" }],
+    "sandbox":            (dirs) => [{ path: dirs.sandbox, mode: "rw" }],
+    "read-only-metadata": (dirs) => [{ path: dirs.level, mode: "meta" }],
+    "workspace":          (dirs) => [{ path: dirs.level, mode: "rw" }],
+};
+
+// What each root mode allows: "list" covers existsSync, readdirSync and statSync.
+const MODES = {
+    meta: ["list"],
+    ro: ["list", "read"],
+    rw: ["list", "read", "write"],
+};
+
+/**
+ * The roots a scope grants. Unknown or missing scopes grant nothing extra.
+ *
+ * @param {string | undefined} scope - Scope name, e.g. from mcp/config.json
+ * @param {{ own: string, level: string, sandbox: string, web?: string }} dirs - Absolute directories
+ * @returns {Array<{ path: string, mode: "meta" | "ro" | "rw" }>}
+ */
+export function scopeRoots(scope, dirs) {
+    const grant = SCOPES[scope] || SCOPES.none;
+    return [{ path: dirs.own, mode: "ro" }, ...grant(dirs)];
+}
+
+// Links followed before giving up on a cycle (matches Linux's ELOOP limit).
+const MAX_LINK_HOPS = 40;
+
+function denied(message) {
+    return Object.assign(new Error(message), { code: "EACCES" });
+}
+
+/**
+ * Where a path really leads: symlinks followed, even for a path that doesn't
+ * exist yet (its nearest existing parent is resolved instead). A dangling
+ * link resolves to where it points, so writing through it can't escape.
+ */
+function realLocation(target, hops = 0) {
+    try {
+        return fs.realpathSync(target);
+    } catch { /* missing, or a dangling link */ }
+    try {
+        if (hops < MAX_LINK_HOPS && fs.lstatSync(target).isSymbolicLink()) {
+            return realLocation(path.resolve(path.dirname(target), fs.readlinkSync(target)), hops + 1);
+        }
+    } catch { /* doesn't exist */ }
+    const parent = path.dirname(target);
+    if (parent === target) return target;
+    return path.join(realLocation(parent, hops), path.basename(target));
+}
+
+function within(target, root) {
+    return target === root || target.startsWith(root + path.sep);
+}
+
+/**
+ * Creates a filesystem API confined to `roots`.
+ *
+ * @param {Array<{ path: string, mode: "meta" | "ro" | "rw" }>} roots
+ * @param {{ enforce?: boolean, label?: string, onAccess?: Function }} [options]
+ *        enforce=false skips the checks (advisory scopes); label names the
+ *        caller in error messages; onAccess({ op, path, allowed, reason })
+ *        hears about every access
+ * @returns {Object} A subset of node:fs
+ */
+export function createScopedFs(roots, { enforce = true, label = "this tool", onAccess = () => {} } = {}) {
+    const resolvedRoots = roots.map(root => ({ ...root, path: path.resolve(root.path) }));
+
+    // Why `access` to `target` is refused, or null if it's allowed.
+    const refusal = (target, resolved, real, access) => {
+        const granting = (location) => resolvedRoots.filter(r => within(location, r.path) || within(location, realLocation(r.path)));
+        if (!granting(resolved).length) return `${target} is outside ${label}'s scope`;
+        const inside = granting(real);
+        if (!inside.length) return `${target} leads outside ${label}'s scope (symlink)`;
+        if (!inside.some(r => MODES[r.mode]?.includes(access))) {
+            return access === "write" ? `${label} may only read ${target}` : `${label} may only list ${target}`;
+        }
+        return null;
+    };
+
+    const check = (op, access, target) => {
+        const resolved = path.resolve(String(target));
+        const real = realLocation(resolved);
+        const reason = enforce ? refusal(target, resolved, real, access) : null;
+        onAccess({ op, path: real, allowed: !reason, ...(reason ? { reason } : {}) });
+        if (reason) throw denied(`Access denied: ${reason}`);
+        return resolved;
+    };
+
+    return {
+        roots: resolvedRoots,
+        enforced: enforce,
+        // Like fs.existsSync, never throws: a path outside the scope doesn't exist
+        existsSync: (p) => {
+            try {
+                return fs.existsSync(check("exists", "list", p));
+            } catch {
+                return false;
+            }
+        },
+        readFileSync: (p, options) => fs.readFileSync(check("read", "read", p), options),
+        readdirSync: (p, options) => fs.readdirSync(check("readdir", "list", p), options),
+        statSync: (p, options) => fs.statSync(check("stat", "list", p), options),
+        writeFileSync: (p, data, options) => fs.writeFileSync(check("write", "write", p), data, options),
+        mkdirSync: (p, options) => fs.mkdirSync(check("mkdir", "write", p), options),
+    };
+}
@@ -0,0 +1,97 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createScopedFs, scopeRoots } from "./scoped-fs.js";
+
+let level;
+let dirs;
+
+beforeEach(() => {
+    level = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-scope-"));
+    dirs = { own: path.join(level, "mcp"), level, sandbox: path.join(level, "prodbot-activities"), web: path.join(level, "web") };
+    for (const dir of [dirs.own, dirs.sandbox, dirs.web]) fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(level, "password.txt"), "FLAG=SECRET");
+    fs.writeFileSync(path.join(dirs.own, "data.json"), "{}");
+});
+
+afterEach(() => {
+    fs.rmSync(level, { recursive: true, force: true });
+});
+
+describe("scoped fs", () => {
+    test("a sandbox scope can write the sandbox but not read outside it", () => {
+        const scoped = createScopedFs(scopeRoots("sandbox", dirs), { label: "cloud-mcp" });
+        scoped.writeFileSync(path.join(dirs.sandbox, "notes.txt"), "hi");
+        expect(scoped.readFileSync(path.join(dirs.sandbox, "notes.txt"), "utf-8")).toBe("hi");
+        expect(() => scoped.readFileSync(path.join(dirs.sandbox, "..", "password.txt"))).toThrow("outside cloud-mcp's scope");
+    });
+
+    test("existsSync answers false outside the scope instead of throwing, and still logs it", () => {
+        const accesses = [];
+        const scoped = createScopedFs(scopeRoots("sandbox", dirs), { onAccess: access => accesses.push(access) });
+        fs.writeFileSync(path.join(level, "password.txt"), "FLAG=TEST");
+
+        expect(scoped.existsSync(path.join(level, "password.txt"))).toBe(false);
+        expect(accesses).toContainEqual(expect.objectContaining({ op: "exists", allowed: false }));
+        expect(scoped.existsSync(dirs.sandbox)).toBe(true);
+        expect(() => scoped.readFileSync(path.join(level, "password.txt"))).toThrow(expect.objectContaining({ code: "EACCES" }));
+    });
+
+    test("read-only roots refuse writes, and every server reads its own directory", () => {
+        const scoped = createScopedFs(scopeRoots("web-read-only", dirs));
+        expect(scoped.readdirSync(dirs.web)).toEqual([]);
+        expect(scoped.readFileSync(path.join(dirs.own, "data.json"), "utf-8")).toBe("{}");
+        expect(() => scoped.writeFileSync(path.join(dirs.web, "x.html"), "")).toThrow("may only read");
+        expect(() => scoped.mkdirSync(path.join(dirs.sandbox, "x"))).toThrow("outside");
+    });
+
+    test("unknown scopes grant nothing extra", () => {
+        expect(scopeRoots("everything", dirs)).toEqual([{ path: dirs.own, mode: "ro" }]);
+        expect(scopeRoots("workspace", dirs)).toContainEqual({ path: level, mode: "rw" });
+    });
+
+    test("advisory scopes skip the checks", () => {
+        const scoped = createScopedFs(scopeRoots("sandbox", dirs), { enforce: false });
+        expect(scoped.readFileSync(path.join(level, "password.txt"), "utf-8")).toBe("FLAG=SECRET");
+    });
+
+    test("a sibling directory with the same prefix is still outside", () => {
+        fs.mkdirSync(dirs.sandbox + "-old");
+        const scoped = createScopedFs(scopeRoots("sandbox", dirs));
+        expect(() => scoped.readdirSync(dirs.sandbox + "-old")).toThrow("outside");
+    });
+
+    test("symlinks are checked where they lead, not how they're spelled", () => {
+        fs.symlinkSync(path.join(level, "password.txt"), path.join(dirs.sandbox, "notes.txt"));
+        fs.symlinkSync(level, path.join(dirs.sandbox, "up"));
+        fs.symlinkSync(path.join(level, "planted.txt"), path.join(dirs.sandbox, "dangling.txt"));
+        const scoped = createScopedFs(scopeRoots("sandbox", dirs), { label: "cloud-mcp" });
+        expect(() => scoped.readFileSync(path.join(dirs.sandbox, "notes.txt"))).toThrow("leads outside cloud-mcp's scope");
+        expect(() => scoped.readdirSync(path.join(dirs.sandbox, "up"))).toThrow("leads outside");
+        expect(() => scoped.writeFileSync(path.join(dirs.sandbox, "up", "new.txt"), "x")).toThrow("leads outside");
+        expect(() => scoped.writeFileSync(path.join(dirs.sandbox, "dangling.txt"), "x")).toThrow("leads outside");
+        expect(fs.existsSync(path.join(level, "planted.txt"))).toBe(false);
+    });
+
+    test("a metadata scope can list files but not read them", () => {
+        const scoped = createScopedFs(scopeRoots("read-only-metadata", dirs), { label: "sync-agent" });
+        expect(scoped.readdirSync(level)).toContain("password.txt");
+        expect(scoped.statSync(path.join(level, "password.txt")).isFile()).toBe(true);
+        expect(() => scoped.readFileSync(path.join(level, "password.txt"))).toThrow("sync-agent may only list");
+        expect(scoped.readFileSync(path.join(dirs.own, "data.json"), "utf-8")).toBe("{}");
+    });
+
+    test("every access is reported, allowed or not, advisory or not", () => {
+        const log = [];
+        const scoped = createScopedFs(scopeRoots("sandbox-read-only", dirs), { onAccess: entry => log.push(entry) });
+        scoped.existsSync(path.join(dirs.sandbox, "a.txt"));
+        expect(() => scoped.writeFileSync(path.join(dirs.sandbox, "a.txt"), "")).toThrow();
+        createScopedFs([], { enforce: false, onAccess: entry => log.push(entry) }).readFileSync(path.join(level, "password.txt"));
+        expect(log).toEqual([
+            { op: "exists", path: fs.realpathSync(dirs.sandbox) + path.sep + "a.txt", allowed: true },
+            expect.objectContaining({ op: "write", allowed: false, reason: expect.stringContaining("may only read") }),
+            { op: "read", path: fs.realpathSync(path.join(level, "password.txt")), allowed: true },
+        ]);
+    });
+});
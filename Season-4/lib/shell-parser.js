@@ -0,0 +1,614 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * shell-parser.js — A parser for the subset of bash that ProdBot runs.
+ *
+ * Regex checks look at the raw text of a command. Bash doesn't: it splits
+ * the text into words, removes quotes, decodes $'..' strings and expands
+ * braces before a program ever sees its arguments. This module performs the
+ * same static steps so the validator in bash.js can check the words bash will
+ * actually use rather than the characters the user typed.
+ *
+ * Supported grammar:
+ *   - lists:        a ; b   a && b   a || b   a & b   newlines
+ *   - pipelines:    a | b   a |& b   ! a
+ *   - subshells:    ( a; b )
+ *   - redirects:    < > >> >| <> &> &>> n>&m  here-strings <<<  heredocs << <<-
+ *   - quoting:      '..'  ".."  $'..'  $".."  backslash escapes
+ *   - expansions:   $VAR ${VAR..} $(..) `..` $((..)) <(..) >(..) {a,b} {1..3}
+ *
+ * Anything else (case statements, function definitions, extended globs)
+ * is reported as a parse error — the validator refuses what it can't read.
+ *
+ * AST shape:
+ *   script   { type: "script", items: [andor] }
+ *   andor    { type: "andor", pipelines: [pipeline] }
+ *   pipeline { type: "pipeline", commands: [simple | subshell] }
+ *   simple   { type: "simple", assignments: [{ name, value: word }], words: [word], redirects: [redirect] }
+ *   subshell { type: "subshell", body: script, redirects: [redirect] }
+ *   redirect { type: "redirect", fd, op, target: word, heredoc?: { delimiter, quoted, body, parts } }
+ *   word     { parts: [part], raw }
+ *   part     text { value, quoted } | param { name, inner, raw } | cmdsub { body, backtick, raw }
+ *            | arith { expr, raw } | procsub { dir, body, raw }
+ *
+ * Key concepts demonstrated:
+ *   - Parsing vs pattern matching: validate structure, not text
+ *   - Fail closed: unknown syntax is rejected, not guessed at
+ */
+
+// Characters that end an unquoted word.
+const METACHARS = new Set([" ", "\t", "\n", ";", "&", "|", "(", ")", "<", ">"]);
+
+// Redirect operators, longest first, with an optional leading fd number.
+const REDIRECT_RE = /^(\d*)(&>>|&>|<<<|<<-|<<|<>|>>|>\||>&|<&|>|<)/;
+
+// Upper bound on words produced by brace expansion of a single word.
+const MAX_BRACE_FIELDS = 1000;
+
+// ANSI-C escape letters understood inside $'..'.
+const ANSI_ESCAPES = { a: "\x07", b: "\b", e: "\x1b", E: "\x1b", f: "\f", n: "\n", r: "\r", t: "\t", v: "\v", "\\": "\\", "'": "'", '"': '"', "?": "?" };
+
+/**
+ * Parses a bash command line.
+ *
+ * @param {string} src - The command text
+ * @returns {{ script: Object } | { error: string }}
+ */
+export function parseShell(src) {
+    try {
+        const parser = new Parser(src);
+        const script = parser.parseScript(null);
+        parser.finishHeredocs();
+        return { script };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+/**
+ * Parser — recursive descent over the source text.
+ * Errors are thrown as plain Errors and turned into { error } by parseShell().
+ */
+class Parser {
+    constructor(src) {
+        this.src = src;
+        this.pos = 0;
+        this.pendingHeredocs = [];
+    }
+
+    peek(offset = 0) {
+        return this.src[this.pos + offset];
+    }
+
+    startsWith(text) {
+        return this.src.startsWith(text, this.pos);
+    }
+
+    /** Skips spaces, tabs, line continuations and comments — not newlines. */
+    skipBlanks() {
+        for (;;) {
+            const ch = this.peek();
+            if (ch === " " || ch === "\t") {
+                this.pos++;
+            } else if (ch === "\\" && this.peek(1) === "\n") {
+                this.pos += 2;
+            } else if (ch === "#") {
+                while (this.pos < this.src.length && this.peek() !== "\n") this.pos++;
+            } else {
+                return;
+            }
+        }
+    }
+
+    /** Consumes a newline and reads the bodies of any heredocs opened on that line. */
+    newline() {
+        this.pos++;
+        this.readHeredocs();
+    }
+
+    skipNewlines() {
+        for (;;) {
+            this.skipBlanks();
+            if (this.peek() !== "\n") return;
+            this.newline();
+        }
+    }
+
+    /** script := (andor separator)* — stops at EOF or the terminator character. */
+    parseScript(terminator) {
+        const items = [];
+        for (;;) {
+            this.skipBlanks();
+            const ch = this.peek();
+            if (ch === undefined) {
+                if (terminator) throw new Error(`missing "${terminator}"`);
+                break;
+            }
+            if (ch === "\n") {
+                this.newline();
+                continue;
+            }
+            if (this.startsWith(";;")) throw new Error("case statements are not supported");
+            if (ch === ";" || (ch === "&" && !this.startsWith("&>"))) {
+                this.pos++;
+                continue;
+            }
+            if (ch === terminator) break;
+            if (ch === ")") throw new Error('unexpected ")"');
+            items.push(this.parseAndOr());
+        }
+        return { type: "script", items };
+    }
+
+    parseAndOr() {
+        const pipelines = [this.parsePipeline()];
+        for (;;) {
+            this.skipBlanks();
+            if (!this.startsWith("&&") && !this.startsWith("||")) break;
+            this.pos += 2;
+            this.skipNewlines();
+            pipelines.push(this.parsePipeline());
+        }
+        return { type: "andor", pipelines };
+    }
+
+    parsePipeline() {
+        this.skipBlanks();
+        if (this.peek() === "!" && /[ \t]/.test(this.peek(1) || "")) this.pos++;
+        const commands = [this.parseCommand()];
+        for (;;) {
+            this.skipBlanks();
+            if (this.startsWith("||")) break;
+            if (this.startsWith("|&")) this.pos += 2;
+            else if (this.peek() === "|") this.pos++;
+            else break;
+            this.skipNewlines();
+            commands.push(this.parseCommand());
+        }
+        return { type: "pipeline", commands };
+    }
+
+    parseCommand() {
+        this.skipBlanks();
+        if (this.peek() === "(") {
+            if (this.peek(1) === "(") throw new Error("arithmetic commands (( )) are not supported");
+            this.pos++;
+            const body = this.parseScript(")");
+            this.pos++;
+            const redirects = [];
+            for (;;) {
+                this.skipBlanks();
+                const redirect = this.parseRedirect();
+                if (!redirect) break;
+                redirects.push(redirect);
+            }
+            return { type: "subshell", body, redirects };
+        }
+        return this.parseSimple();
+    }
+
+    parseSimple() {
+        const cmd = { type: "simple", assignments: [], words: [], redirects: [] };
+        for (;;) {
+            this.skipBlanks();
+            const ch = this.peek();
+            if (ch === undefined || ch === "\n" || ch === ";" || ch === "|" || ch === ")") break;
+            if (ch === "&" && !this.startsWith("&>")) break;
+            if (ch === "(") throw new Error('unexpected "(" (function definitions and extended globs are not supported)');
+
+            const redirect = this.parseRedirect();
+            if (redirect) {
+                cmd.redirects.push(redirect);
+                continue;
+            }
+
+            const word = this.parseWord();
+            const assignment = cmd.words.length === 0 && splitAssignment(word);
+            if (assignment) cmd.assignments.push(assignment);
+            else cmd.words.push(word);
+        }
+        if (!cmd.words.length && !cmd.assignments.length && !cmd.redirects.length) {
+            throw new Error(`expected a command near "${this.src.slice(this.pos, this.pos + 10)}"`);
+        }
+        return cmd;
+    }
+
+    /** Parses a redirect at the current position, or returns null if there isn't one. */
+    parseRedirect() {
+        if (this.startsWith("<(") || this.startsWith(">(")) return null;
+        const match = REDIRECT_RE.exec(this.src.slice(this.pos));
+        if (!match) return null;
+
+        const [text, fd, op] = match;
+        this.pos += text.length;
+        this.skipBlanks();
+        const ch = this.peek();
+        if (ch === undefined || METACHARS.has(ch)) throw new Error(`missing target for "${op}"`);
+        const target = this.parseWord();
+        const redirect = { type: "redirect", fd: fd || null, op, target };
+
+        if (op === "<<" || op === "<<-") {
+            redirect.heredoc = {
+                delimiter: target.parts.map(p => (p.type === "text" ? p.value : p.raw)).join(""),
+                quoted: target.parts.some(p => p.type === "text" && p.quoted),
+                stripTabs: op === "<<-",
+                body: "",
+                parts: [],
+            };
+            this.pendingHeredocs.push(redirect.heredoc);
+        }
+        return redirect;
+    }
+
+    /** Reads heredoc bodies that start after the newline just consumed. */
+    readHeredocs() {
+        const pending = this.pendingHeredocs;
+        this.pendingHeredocs = [];
+        for (const heredoc of pending) {
+            let body = "";
+            while (this.pos < this.src.length) {
+                let end = this.src.indexOf("\n", this.pos);
+                if (end === -1) end = this.src.length;
+                let line = this.src.slice(this.pos, end);
+                this.pos = Math.min(end + 1, this.src.length);
+                if (heredoc.stripTabs) line = line.replace(/^\t+/, "");
+                if (line === heredoc.delimiter) break;
+                body += line + "\n";
+            }
+            heredoc.body = body;
+            heredoc.parts = heredoc.quoted
+                ? [{ type: "text", value: body, quoted: true }]
+                : new Parser(body).parseHeredocBody();
+        }
+    }
+
+    /** Heredocs opened on the last line with no newline after them have empty bodies. */
+    finishHeredocs() {
+        if (this.pendingHeredocs.length) this.readHeredocs();
+    }
+
+    /** An unquoted heredoc body behaves like a double-quoted string. */
+    parseHeredocBody() {
+        const parts = [];
+        while (this.pos < this.src.length) {
+            const ch = this.peek();
+            if (ch === "\\" && /[$`\\\n]/.test(this.peek(1) || "")) {
+                if (this.peek(1) !== "\n") addText(parts, this.peek(1), true);
+                this.pos += 2;
+            } else if (ch === "$") {
+                this.parseDollar(parts, true);
+            } else if (ch === "`") {
+                this.parseBacktick(parts);
+            } else {
+                addText(parts, ch, true);
+                this.pos++;
+            }
+        }
+        return parts;
+    }
+
+    parseWord() {
+        const start = this.pos;
+        const parts = [];
+        for (;;) {
+            const ch = this.peek();
+            if ((ch === "<" || ch === ">") && this.peek(1) === "(" && parts.length === 0) {
+                this.pos += 2;
+                const body = this.parseScript(")");
+                this.pos++;
+                parts.push({ type: "procsub", dir: ch, body, raw: this.src.slice(start, this.pos) });
+                continue;
+            }
+            if (ch === undefined || METACHARS.has(ch)) break;
+
+            if (ch === "\\") {
+                const next = this.peek(1);
+                if (next === "\n") {
+                    this.pos += 2;
+                } else if (next === undefined) {
+                    addText(parts, "\\", false);
+                    this.pos++;
+                } else {
+                    addText(parts, next, true);
+                    this.pos += 2;
+                }
+            } else if (ch === "'") {
+                const end = this.src.indexOf("'", this.pos + 1);
+                if (end === -1) throw new Error("unterminated single quote");
+                addText(parts, this.src.slice(this.pos + 1, end), true);
+                this.pos = end + 1;
+            } else if (ch === '"') {
+                this.parseDoubleQuoted(parts);
+            } else if (ch === "$") {
+                this.parseDollar(parts, false);
+            } else if (ch === "`") {
+                this.parseBacktick(parts);
+            } else {
+                addText(parts, ch, false);
+                this.pos++;
+            }
+        }
+        if (parts.length === 0) throw new Error(`unexpected "${this.peek()}"`);
+        return { parts, raw: this.src.slice(start, this.pos) };
+    }
+
+    parseDoubleQuoted(parts) {
+        this.pos++;
+        addText(parts, "", true);
+        for (;;) {
+            const ch = this.peek();
+            if (ch === undefined) throw new Error("unterminated double quote");
+            if (ch === '"') {
+                this.pos++;
+                return;
+            }
+            if (ch === "\\" && /[$`"\\\n]/.test(this.peek(1) || "")) {
+                if (this.peek(1) !== "\n") addText(parts, this.peek(1), true);
+                this.pos += 2;
+            } else if (ch === "$") {
+                this.parseDollar(parts, true);
+            } else if (ch === "`") {
+                this.parseBacktick(parts);
+            } else {
+                addText(parts, ch, true);
+                this.pos++;
+            }
+        }
+    }
+
+    /** Parses anything starting with "$" — quoting forms, substitutions and parameters. */
+    parseDollar(parts, inDouble) {
+        const start = this.pos;
+        const next = this.peek(1);
+
+        if (next === "'" && !inDouble) {
+            this.pos += 2;
+            addText(parts, this.readAnsiC(), true);
+            return;
+        }
+        if (next === '"' && !inDouble) {
+            this.pos++;
+            this.parseDoubleQuoted(parts);
+            return;
+        }
+        if (next === "(" && this.peek(2) === "(") {
+            this.pos += 3;
+            let depth = 0;
+            while (this.pos < this.src.length) {
+                const ch = this.peek();
+                if (ch === "(") depth++;
+                else if (ch === ")") {
+                    if (depth === 0 && this.peek(1) === ")") break;
+                    depth--;
+                }
+                this.pos++;
+            }
+            if (this.pos >= this.src.length) throw new Error("unterminated $((");
+            const expr = this.src.slice(start + 3, this.pos);
+            this.pos += 2;
+            parts.push({ type: "arith", expr, raw: this.src.slice(start, this.pos) });
+            return;
+        }
+        if (next === "(") {
+            this.pos += 2;
+            const body = this.parseScript(")");
+            this.pos++;
+            parts.push({ type: "cmdsub", body, backtick: false, raw: this.src.slice(start, this.pos) });
+            return;
+        }
+        if (next === "{") {
+            let depth = 0;
+            this.pos += 2;
+            while (this.pos < this.src.length) {
+                const ch = this.peek();
+                if (ch === "\\") this.pos++;
+                else if (ch === "{") depth++;
+                else if (ch === "}") {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                this.pos++;
+            }
+            if (this.pos >= this.src.length) throw new Error("unterminated ${");
+            const inner = this.src.slice(start + 2, this.pos);
+            this.pos++;
+            const name = (/^[!#]?([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[@*#?$!-])/.exec(inner) || [])[1] || "";
+            parts.push({ type: "param", name, inner, raw: this.src.slice(start, this.pos) });
+            return;
+        }
+        const simple = /^([A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/.exec(this.src.slice(this.pos + 1));
+        if (simple) {
+            this.pos += 1 + simple[1].length;
+            parts.push({ type: "param", name: simple[1], inner: simple[1], raw: this.src.slice(start, this.pos) });
+            return;
+        }
+        addText(parts, "$", inDouble);
+        this.pos++;
+    }
+
+    /** Decodes the body of a $'..' string; the opening quote is already consumed. */
+    readAnsiC() {
+        let value = "";
+        for (;;) {
+            const ch = this.peek();
+            if (ch === undefined) throw new Error("unterminated $' string");
+            this.pos++;
+            if (ch === "'") return value;
+            if (ch !== "\\") {
+                value += ch;
+                continue;
+            }
+            const esc = this.peek();
+            let match;
+            if ((match = /^x([0-9a-fA-F]{1,2})/.exec(this.src.slice(this.pos)))) {
+                value += String.fromCharCode(parseInt(match[1], 16));
+            } else if ((match = /^u([0-9a-fA-F]{1,4})|^U([0-9a-fA-F]{1,8})/.exec(this.src.slice(this.pos)))) {
+                value += String.fromCodePoint(parseInt(match[1] || match[2], 16));
+            } else if ((match = /^[0-7]{1,3}/.exec(this.src.slice(this.pos)))) {
+                value += String.fromCharCode(parseInt(match[0], 8));
+            } else if ((match = /^c(.)/.exec(this.src.slice(this.pos)))) {
+                value += String.fromCharCode(match[1].charCodeAt(0) & 0x1f);
+            } else if (esc !== undefined) {
+                match = [esc];
+                value += ANSI_ESCAPES[esc] ?? "\\" + esc;
+            } else {
+                throw new Error("unterminated $' string");
+            }
+            this.pos += match[0].length;
+        }
+    }
+
+    parseBacktick(parts) {
+        const start = this.pos;
+        this.pos++;
+        let inner = "";
+        for (;;) {
+            const ch = this.peek();
+            if (ch === undefined) throw new Error("unterminated backtick");
+            this.pos++;
+            if (ch === "`") break;
+            if (ch === "\\" && /[`$\\]/.test(this.peek() || "")) {
+                inner += this.peek();
+                this.pos++;
+            } else {
+                inner += ch;
+            }
+        }
+        const parser = new Parser(inner);
+        const body = parser.parseScript(null);
+        parser.finishHeredocs();
+        parts.push({ type: "cmdsub", body, backtick: true, raw: this.src.slice(start, this.pos) });
+    }
+}
+
+/** Appends text to a word's parts, merging runs with the same quoting. */
+function addText(parts, value, quoted) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === "text" && last.quoted === quoted) {
+        last.value += value;
+    } else {
+        parts.push({ type: "text", value, quoted });
+    }
+}
+
+/** NAME=value (or NAME+=value) before the command name is an assignment, not a word. */
+function splitAssignment(word) {
+    const first = word.parts[0];
+    if (first.type !== "text" || first.quoted) return null;
+    const match = /^([A-Za-z_][A-Za-z0-9_]*)\+?=/.exec(first.value);
+    if (!match) return null;
+
+    const rest = first.value.slice(match[0].length);
+    const parts = rest ? [{ ...first, value: rest }, ...word.parts.slice(1)] : word.parts.slice(1);
+    return { name: match[1], value: { parts: parts.length ? parts : [{ type: "text", value: "", quoted: true }], raw: word.raw.slice(match[0].length) } };
+}
+
+// ─── Word expansion ───────────────────────────────────────────────────────────
+
+/**
+ * Performs bash's static expansions on a word: quote removal, $'..'
+ * decoding and brace expansion. Parameters and substitutions can't be
+ * known statically, so they stay as opaque { part } items.
+ *
+ * Each resulting field is an array of items:
+ *   { ch, quoted }  — one character, and whether it was quoted
+ *   { part }        — a dynamic part (param, cmdsub, arith, procsub)
+ *
+ * @param {Object} word - A parsed word
+ * @param {{ braces?: boolean }} [options] - braces: false for assignment values
+ * @returns {Array<Array<Object>>} One item array per field
+ * @throws {Error} If brace expansion would produce more than MAX_BRACE_FIELDS words
+ */
+export function expandWord(word, { braces = true } = {}) {
+    const items = [];
+    for (const part of word.parts) {
+        if (part.type === "text") {
+            for (const ch of part.value) items.push({ ch, quoted: part.quoted });
+        } else {
+            items.push({ part });
+        }
+    }
+    if (!braces) return [items];
+
+    return expandBraces(items);
+}
+
+/** Renders expanded items as text, using each dynamic part's source text. */
+export function itemsText(items) {
+    return items.map(item => (item.part ? item.part.raw : item.ch)).join("");
+}
+
+/** The text bash passes to a program for this word, with dynamic parts left as source. */
+export function wordText(word) {
+    return word.parts.map(p => (p.type === "text" ? p.value : p.raw)).join("");
+}
+
+function isUnquoted(item, ch) {
+    return item && !item.part && !item.quoted && item.ch === ch;
+}
+
+/** Brace expansion: a{b,c}d → abd acd, x{1..3} → x1 x2 x3. */
+function expandBraces(items) {
+    for (let i = 0; i < items.length; i++) {
+        if (!isUnquoted(items[i], "{")) continue;
+
+        let depth = 0;
+        let close = -1;
+        const commas = [];
+        for (let j = i; j < items.length; j++) {
+            if (isUnquoted(items[j], "{")) depth++;
+            else if (isUnquoted(items[j], "}")) {
+                depth--;
+                if (depth === 0) {
+                    close = j;
+                    break;
+                }
+            } else if (depth === 1 && isUnquoted(items[j], ",")) {
+                commas.push(j);
+            }
+        }
+        if (close === -1) continue;
+
+        let alternatives;
+        if (commas.length) {
+            alternatives = [];
+            let from = i + 1;
+            for (const comma of [...commas, close]) {
+                alternatives.push(items.slice(from, comma));
+                from = comma + 1;
+            }
+        } else {
+            alternatives = sequenceItems(items.slice(i + 1, close));
+            if (!alternatives) continue;
+        }
+
+        const before = items.slice(0, i);
+        const after = items.slice(close + 1);
+        const fields = [];
+        for (const alt of alternatives) {
+            fields.push(...expandBraces([...before, ...alt, ...after]));
+            if (fields.length > MAX_BRACE_FIELDS) throw new Error("brace expansion produces too many words");
+        }
+        return fields;
+    }
+    return [items];
+}
+
+/** Expands a {x..y[..step]} sequence body, or returns null if it isn't one. */
+function sequenceItems(inner) {
+    if (inner.some(item => item.part || item.quoted)) return null;
+    const match = /^(-?\d+|[a-zA-Z])\.\.(-?\d+|[a-zA-Z])(?:\.\.(-?\d+))?$/.exec(itemsText(inner));
+    if (!match) return null;
+
+    const numeric = /\d/.test(match[1]);
+    if (numeric !== /\d/.test(match[2])) return null;
+    const from = numeric ? Number(match[1]) : match[1].charCodeAt(0);
+    const to = numeric ? Number(match[2]) : match[2].charCodeAt(0);
+    const step = Math.abs(Number(match[3]) || 1);
+    if (Math.abs(to - from) / step > MAX_BRACE_FIELDS) throw new Error("brace expansion produces too many words");
+
+    const values = [];
+    for (let n = from; from <= to ? n <= to : n >= to; n += from <= to ? step : -step) {
+        values.push(numeric ? String(n) : String.fromCharCode(n));
+    }
+    return values.map(v => [...v].map(ch => ({ ch, quoted: true })));
+}
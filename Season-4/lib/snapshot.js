@@ -0,0 +1,273 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * snapshot.js — Filesystem change tracking and undo for ProdBot's sandbox.
+ *
+ * Before each confirmed command ProdBot snapshots the sandbox (every file's
+ * hash, mode and contents); afterwards it snapshots again and diffs the two.
+ * The diff is shown to the player and kept in a bounded history, together
+ * with the "before" copy of every changed path, so `undo` can put them back.
+ *
+ * Undo only touches paths the command changed, and skips any path that has
+ * changed again since (by a skill, an MCP tool or a later command), so it
+ * never overwrites work it didn't record.
+ *
+ * Limits keep snapshots cheap:
+ *   - a file whose size, mtime, ctime and inode match the previous snapshot
+ *     is not read again; its hash (and kept copy) is reused
+ *   - files over MAX_FILE_BYTES are hashed in chunks and never kept, and
+ *     at most MAX_KEPT_BYTES of copies are kept per snapshot; changes to
+ *     the rest are listed but cannot be undone
+ *   - sandboxes with more than MAX_FILES entries, or that can't be read
+ *     (e.g. a directory the player chmod-ed to 000), are not tracked
+ *
+ * Key concepts demonstrated:
+ *   - Reversibility: letting people experiment because mistakes can be undone
+ *   - Observability: showing exactly what an AI-proposed command changed
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+const MAX_FILES = 2000;
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_KEPT_BYTES = 32 * 1024 * 1024;
+const MAX_ENTRIES = 20;
+const HASH_CHUNK_BYTES = 64 * 1024;
+
+// Engine state that lives in the sandbox but isn't the player's work.
+const IGNORED = new Set([".memory"]);
+
+/** Hashes a file in fixed-size chunks, so a large file is never held in memory. */
+function hashFile(full) {
+    const hash = crypto.createHash("sha1");
+    const buffer = Buffer.alloc(HASH_CHUNK_BYTES);
+    const fd = fs.openSync(full, "r");
+    try {
+        let read;
+        while ((read = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            hash.update(buffer.subarray(0, read));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return hash.digest("hex");
+}
+
+/** True when a file looks untouched since `old` was recorded, judging by its stat alone. */
+function unchangedSince(old, stat) {
+    return old?.type === "file" && old.size === stat.size && old.mtimeMs === stat.mtimeMs &&
+        old.ctimeMs === stat.ctimeMs && old.ino === stat.ino && old.mode === stat.mode;
+}
+
+/**
+ * Records the sandbox as a Map of relative path → entry.
+ * Entries are { type: "file", mode, size, mtimeMs, ctimeMs, ino, hash, content? },
+ * { type: "dir", mode } or { type: "link", target }. Symlinks are recorded,
+ * never followed.
+ *
+ * @param {string} dir - Absolute sandbox path
+ * @param {Map<string, Object> | null} [previous] - An earlier snapshot whose unchanged files needn't be read again
+ * @returns {Map<string, Object> | null} null when the sandbox is too large or can't be read
+ */
+export function takeSnapshot(dir, previous = null) {
+    const entries = new Map();
+    let kept = 0;
+    const walk = (rel) => {
+        for (const name of fs.readdirSync(path.join(dir, rel))) {
+            const relPath = rel ? `${rel}/${name}` : name;
+            if (!rel && IGNORED.has(name)) continue;
+            if (entries.size >= MAX_FILES) throw new RangeError("too many files");
+
+            const full = path.join(dir, relPath);
+            const stat = fs.lstatSync(full);
+            if (stat.isSymbolicLink()) {
+                entries.set(relPath, { type: "link", target: fs.readlinkSync(full) });
+            } else if (stat.isDirectory()) {
+                entries.set(relPath, { type: "dir", mode: stat.mode });
+                walk(relPath);
+            } else if (stat.isFile()) {
+                const entry = { type: "file", mode: stat.mode, size: stat.size, mtimeMs: stat.mtimeMs, ctimeMs: stat.ctimeMs, ino: stat.ino };
+                const old = previous?.get(relPath);
+                const keep = stat.size <= MAX_FILE_BYTES && kept + stat.size <= MAX_KEPT_BYTES;
+                if (unchangedSince(old, stat) && (old.content || !keep)) {
+                    entry.hash = old.hash;
+                    entry.content = keep ? old.content : undefined;
+                } else if (keep) {
+                    entry.content = fs.readFileSync(full);
+                    entry.hash = crypto.createHash("sha1").update(entry.content).digest("hex");
+                } else {
+                    entry.hash = hashFile(full);
+                }
+                if (entry.content) kept += stat.size;
+                entries.set(relPath, entry);
+            }
+        }
+    };
+
+    try {
+        walk("");
+    } catch (err) {
+        // Too many files, or a path the sandbox can't read: leave it untracked
+        if (err instanceof RangeError || err.code) return null;
+        throw err;
+    }
+    return entries;
+}
+
+/** True when two snapshot entries describe the same thing on disk. */
+function sameEntry(a, b) {
+    if (!a || !b) return a === b;
+    if (a.type !== b.type) return false;
+    if (a.type === "file") return a.hash === b.hash && a.mode === b.mode;
+    if (a.type === "link") return a.target === b.target;
+    return a.mode === b.mode;
+}
+
+/**
+ * Lists what changed between two snapshots.
+ *
+ * @returns {Array<{ path: string, kind: "created"|"modified"|"deleted", before?: Object, after?: Object }>}
+ */
+export function diffSnapshots(before, after) {
+    const changes = [];
+    for (const [relPath, entry] of after) {
+        const old = before.get(relPath);
+        if (!old) changes.push({ path: relPath, kind: "created", after: entry });
+        else if (!sameEntry(old, entry)) changes.push({ path: relPath, kind: "modified", before: old, after: entry });
+    }
+    for (const [relPath, entry] of before) {
+        if (!after.has(relPath)) changes.push({ path: relPath, kind: "deleted", before: entry });
+    }
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * SandboxHistory — the commands run in one sandbox and what each changed.
+ */
+export class SandboxHistory {
+    constructor(dir) {
+        this.dir = dir;
+        this.entries = [];
+        this.pending = null;
+        // The last snapshot taken, so files that haven't changed since aren't read again
+        this.baseline = null;
+    }
+
+    /** Snapshots the sandbox before a command runs. */
+    begin() {
+        this.pending = takeSnapshot(this.dir, this.baseline);
+        this.baseline = this.pending;
+    }
+
+    /**
+     * Snapshots again after the command and records the diff.
+     * Only the "before" copies of changed paths are kept.
+     *
+     * @param {string} cmd - The command that ran
+     * @returns {{ changes: Array<Object> } | { untracked: true }}
+     */
+    record(cmd) {
+        const before = this.pending;
+        this.pending = null;
+        const after = takeSnapshot(this.dir, before);
+        this.baseline = after;
+        if (!before || !after) {
+            this._push({ cmd, changes: null });
+            return { untracked: true };
+        }
+
+        // Undo compares "after" by hash, so its contents needn't be kept
+        const changes = diffSnapshots(before, after).map(change =>
+            change.after ? { ...change, after: { ...change.after, content: undefined } } : change);
+        this._push({ cmd, changes });
+        return { changes };
+    }
+
+    _push(entry) {
+        this.entries.push({ ...entry, at: new Date() });
+        if (this.entries.length > MAX_ENTRIES) this.entries.shift();
+    }
+
+    /**
+     * Rolls back the most recent command that changed files. Commands after
+     * it changed nothing, so they are dropped from the history too.
+     *
+     * @returns {{ cmd: string, restored: string[], skipped: Array<{ path: string, reason: string }> } | { error: string }}
+     */
+    undo() {
+        let index = this.entries.length - 1;
+        while (index >= 0 && this.entries[index].changes?.length === 0) index--;
+        if (index < 0) return { error: "Nothing to undo." };
+
+        const entry = this.entries[index];
+        if (!entry.changes) {
+            return { error: `Can't undo "${entry.cmd}": the sandbox had more than ${MAX_FILES} files or couldn't be read, so its changes weren't tracked.` };
+        }
+        this.entries.splice(index);
+
+        const current = takeSnapshot(this.dir, this.baseline) || new Map();
+        const restored = [];
+        const skipped = [];
+
+        // Anything that changed again since this command is left alone
+        const safe = entry.changes.filter(change => {
+            const relPath = change.path;
+            if (!sameEntry(current.get(relPath), change.after)) {
+                skipped.push({ path: relPath, reason: "changed again since" });
+                return false;
+            }
+            if (change.before?.type === "file" && !change.before.content) {
+                skipped.push({ path: relPath, reason: "too large to keep a copy of" });
+                return false;
+            }
+            return true;
+        });
+
+        // Remove what the command created, deepest paths first. A directory
+        // that still holds later files is kept.
+        const removals = safe.filter(c => c.kind === "created" ||
+            (c.kind === "modified" && (c.before.type !== c.after.type || c.after.type === "link")));
+        for (const change of removals.sort((a, b) => b.path.length - a.path.length)) {
+            const full = path.join(this.dir, change.path);
+            if (change.after.type === "dir") {
+                try {
+                    fs.rmdirSync(full);
+                } catch {
+                    skipped.push({ path: change.path, reason: "directory is not empty" });
+                    continue;
+                }
+            } else {
+                fs.rmSync(full, { force: true });
+            }
+            if (change.kind === "created") restored.push(change.path);
+        }
+
+        // Put back what it modified or deleted, shallowest paths first
+        const restores = safe.filter(c => c.kind !== "created");
+        for (const change of restores.sort((a, b) => a.path.length - b.path.length)) {
+            const full = path.join(this.dir, change.path);
+            const { before } = change;
+            if (before.type === "dir") {
+                fs.mkdirSync(full, { recursive: true });
+                fs.chmodSync(full, before.mode);
+            } else if (before.type === "link") {
+                fs.symlinkSync(before.target, full);
+            } else {
+                fs.mkdirSync(path.dirname(full), { recursive: true });
+                fs.writeFileSync(full, before.content);
+                fs.chmodSync(full, before.mode);
+            }
+            restored.push(change.path);
+        }
+
+        return { cmd: entry.cmd, restored: restored.sort(), skipped };
+    }
+
+    /** Forgets every recorded command. */
+    clear() {
+        this.entries = [];
+        this.pending = null;
+        this.baseline = null;
+    }
+}
@@ -0,0 +1,137 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import { SandboxHistory, diffSnapshots, takeSnapshot } from "./snapshot.js";
+
+let dir;
+const write = (rel, text) => {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), text);
+};
+const read = (rel) => fs.readFileSync(path.join(dir, rel), "utf-8");
+const exists = (rel) => fs.existsSync(path.join(dir, rel));
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "prodbot-snapshot-"));
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("diffSnapshots", () => {
+    test("lists created, modified and deleted paths", () => {
+        write("keep.txt", "same");
+        write("edit.txt", "v1");
+        write("gone.txt", "bye");
+        const before = takeSnapshot(dir);
+        write("edit.txt", "v2");
+        fs.unlinkSync(path.join(dir, "gone.txt"));
+        write("src/new.js", "x");
+        const changes = diffSnapshots(before, takeSnapshot(dir));
+        expect(changes.map(c => [c.kind, c.path])).toEqual([
+            ["modified", "edit.txt"],
+            ["deleted", "gone.txt"],
+            ["created", "src"],
+            ["created", "src/new.js"],
+        ]);
+    });
+
+    test("ignores ProdBot's memory file", () => {
+        const before = takeSnapshot(dir);
+        write(".memory", "{}");
+        expect(diffSnapshots(before, takeSnapshot(dir))).toEqual([]);
+    });
+});
+
+describe("takeSnapshot", () => {
+    test("doesn't read unchanged files again", () => {
+        write("a.txt", "same");
+        const first = takeSnapshot(dir);
+        const second = takeSnapshot(dir, first);
+        expect(second.get("a.txt").content).toBe(first.get("a.txt").content);
+
+        write("a.txt", "new!");
+        const third = takeSnapshot(dir, second);
+        expect(third.get("a.txt").content.toString()).toBe("new!");
+        expect(third.get("a.txt").hash).not.toBe(first.get("a.txt").hash);
+    });
+
+    test("hashes large files without keeping them", () => {
+        write("big.bin", Buffer.alloc(2 * 1024 * 1024, 1));
+        const before = takeSnapshot(dir);
+        expect(before.get("big.bin").content).toBeUndefined();
+        write("big.bin", Buffer.alloc(2 * 1024 * 1024, 2));
+        expect(diffSnapshots(before, takeSnapshot(dir, before)).map(c => c.kind)).toEqual(["modified"]);
+    });
+
+    test("an unreadable directory leaves the sandbox untracked", () => {
+        fs.mkdirSync(path.join(dir, "locked"));
+        const readdir = fs.readdirSync;
+        const spy = vi.spyOn(fs, "readdirSync").mockImplementation((p, ...rest) => {
+            if (p.endsWith("locked")) throw Object.assign(new Error("EACCES: permission denied"), { code: "EACCES" });
+            return readdir(p, ...rest);
+        });
+        try {
+            expect(takeSnapshot(dir)).toBeNull();
+            const history = new SandboxHistory(dir);
+            history.begin();
+            expect(history.record("chmod 000 locked")).toEqual({ untracked: true });
+        } finally {
+            spy.mockRestore();
+        }
+    });
+});
+
+describe("SandboxHistory", () => {
+    test("undo restores modified and deleted files and removes created ones", () => {
+        write("notes.txt", "original");
+        write("old.txt", "keep me");
+        const history = new SandboxHistory(dir);
+
+        history.begin();
+        write("notes.txt", "overwritten");
+        fs.unlinkSync(path.join(dir, "old.txt"));
+        write("out/report.txt", "new");
+        expect(history.record("do things").changes).toHaveLength(4);
+
+        const result = history.undo();
+        expect(result.cmd).toBe("do things");
+        expect(result.skipped).toEqual([]);
+        expect(read("notes.txt")).toBe("original");
+        expect(read("old.txt")).toBe("keep me");
+        expect(exists("out")).toBe(false);
+    });
+
+    test("undo skips commands that changed nothing", () => {
+        const history = new SandboxHistory(dir);
+        history.begin();
+        write("a.txt", "a");
+        history.record("touch a.txt");
+        history.begin();
+        history.record("ls");
+
+        expect(history.undo().cmd).toBe("touch a.txt");
+        expect(history.entries).toEqual([]);
+        expect(history.undo()).toEqual({ error: "Nothing to undo." });
+    });
+
+    test("undo leaves paths that changed again since", () => {
+        const history = new SandboxHistory(dir);
+        history.begin();
+        write("a.txt", "from the command");
+        write("d/b.txt", "from the command");
+        history.record("create files");
+        write("a.txt", "edited later");
+        write("d/c.txt", "added later");
+
+        const result = history.undo();
+        expect(result.skipped).toEqual([
+            { path: "a.txt", reason: "changed again since" },
+            { path: "d", reason: "directory is not empty" },
+        ]);
+        expect(read("a.txt")).toBe("edited later");
+        expect(exists("d/b.txt")).toBe(false);
+        expect(exists("d/c.txt")).toBe(true);
+    });
+});
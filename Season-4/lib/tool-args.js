@@ -0,0 +1,167 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * tool-args.js — Structured arguments for MCP tools.
+ *
+ * Every MCP tool declares a JSON schema for its parameters (its
+ * inputSchema), for example Finance MCP's portfolio tool:
+ *
+ *   { "type": "object",
+ *     "properties": { "symbols": { "type": "array", "items": { "type": "string" } } },
+ *     "required": ["symbols"] }
+ *
+ * Arguments reach a tool three ways: typed out explicitly with
+ * "call finance-mcp.portfolio {"symbols":["AAPL","MSFT"]}", pulled out of a
+ * natural-language request by the model, or (when there is no model) mapped
+ * from the text after the tool name. All three are checked here before the
+ * tool runs, and the server checks them again when it receives them.
+ *
+ * Supported schema keywords: type (object, string, number, integer,
+ * boolean, array), properties, required, items, enum, minItems,
+ * additionalProperties: false.
+ *
+ * Like schema.js, unambiguous near-misses are repaired rather than
+ * rejected:
+ *   - "AAPL, MSFT" or "AAPL MSFT" for an array of strings → ["AAPL", "MSFT"]
+ *   - "42" for a number → 42, "true" for a boolean → true
+ *   - a single value for an array → [value]
+ *   - unknown arguments are dropped (unless additionalProperties is false)
+ *
+ * Key concepts demonstrated:
+ *   - Tool schemas: a contract for what a tool accepts
+ *   - Validating model output before acting on it
+ */
+
+const CALL_PATTERN = /^call\s+([\w.-]+?)\.(\w+)(?:\s+([\s\S]*))?$/i;
+
+/** True if `value` is a plain JSON object (not an array or null). */
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Checks one value against a property schema, repairing near-misses.
+ *
+ * @returns {{ value: any, repaired?: boolean } | { error: string }}
+ */
+function checkValue(name, schema, value) {
+    const type = schema.type;
+    if (type === "array") {
+        let list = value;
+        let repaired = false;
+        if (typeof value === "string" && schema.items?.type !== "array") {
+            list = value.split(value.includes(",") ? "," : /\s+/).map(item => item.trim()).filter(Boolean);
+            repaired = true;
+        } else if (!Array.isArray(value)) {
+            list = [value];
+            repaired = true;
+        }
+        const items = [];
+        for (const [i, item] of list.entries()) {
+            const checked = schema.items ? checkValue(`${name}[${i}]`, schema.items, item) : { value: item };
+            if (checked.error) return checked;
+            repaired ||= Boolean(checked.repaired);
+            items.push(checked.value);
+        }
+        if (schema.minItems && items.length < schema.minItems) {
+            return { error: `${name} needs at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}` };
+        }
+        return { value: items, repaired };
+    }
+
+    let result = { value };
+    if ((type === "number" || type === "integer") && typeof value === "string" && value.trim() !== "" && !isNaN(Number(value))) {
+        result = { value: Number(value), repaired: true };
+    } else if (type === "boolean" && (value === "true" || value === "false")) {
+        result = { value: value === "true", repaired: true };
+    } else if (type === "string" && (typeof value === "number" || typeof value === "boolean")) {
+        result = { value: String(value), repaired: true };
+    }
+
+    const actual = Array.isArray(result.value) ? "array" : result.value === null ? "null" : typeof result.value;
+    const matches = type === undefined || (type === "integer" ? Number.isInteger(result.value) : actual === type);
+    if (!matches) return { error: `${name} must be ${type === "integer" || type === "array" ? "an" : "a"} ${type}, not ${actual}` };
+    if (schema.enum && !schema.enum.includes(result.value)) {
+        return { error: `${name} must be one of: ${schema.enum.join(", ")}` };
+    }
+    return result;
+}
+
+/**
+ * Validates (and where possible repairs) tool arguments against a tool's
+ * input schema.
+ *
+ * @param {Object} schema - The tool's inputSchema
+ * @param {Object} args - Arguments to check
+ * @returns {{ valid: true, args: Object, repairs: string[] } | { valid: false, error: string }}
+ */
+export function validateArguments(schema, args) {
+    if (!isObject(args)) return { valid: false, error: "Arguments must be a JSON object." };
+    const properties = schema?.properties || {};
+    const checked = {};
+    const repairs = [];
+
+    for (const [name, value] of Object.entries(args)) {
+        if (!properties[name]) {
+            if (schema?.additionalProperties === false) return { valid: false, error: `Unknown argument: ${name}.` };
+            if (schema?.additionalProperties) checked[name] = value;
+            else repairs.push(`dropped unknown argument ${name}`);
+            continue;
+        }
+        if (value === undefined || value === null || value === "") continue;
+        const result = checkValue(name, properties[name], value);
+        if (result.error) return { valid: false, error: result.error + "." };
+        if (result.repaired) repairs.push(`converted ${name}`);
+        checked[name] = result.value;
+    }
+
+    const missing = (schema?.required || []).filter(name => checked[name] === undefined);
+    if (missing.length) return { valid: false, error: `Missing required argument${missing.length === 1 ? "" : "s"}: ${missing.join(", ")}.` };
+    return { valid: true, args: checked, repairs };
+}
+
+/**
+ * A short usage line for a tool from its schema: "portfolio <symbols...>",
+ * "extract <url> <query>", "render [name]".
+ */
+export function usageFromSchema(toolName, schema) {
+    const required = schema?.required || [];
+    const params = Object.entries(schema?.properties || {}).map(([name, prop]) => {
+        const label = prop.type === "array" ? `${name}...` : name;
+        return required.includes(name) ? `<${label}>` : `[${label}]`;
+    });
+    return [toolName, ...params].join(" ");
+}
+
+/** Shows arguments the way a tool call is printed: the value alone when there is one, else JSON. */
+export function formatArguments(args) {
+    const entries = Object.entries(args || {});
+    if (entries.length === 0) return "";
+    if (entries.length === 1) {
+        const value = entries[0][1];
+        return Array.isArray(value) ? value.join(", ") : String(value);
+    }
+    return JSON.stringify(args);
+}
+
+/**
+ * Parses an explicit tool call typed at the prompt:
+ *
+ *   call <server>.<tool> [{json arguments}]
+ *
+ * @param {string} text
+ * @returns {{ server: string, tool: string, args: Object } | { error: string } | null} null if it isn't a call
+ */
+export function parseCall(text) {
+    const match = text.trim().match(CALL_PATTERN);
+    if (!match) return null;
+    const [, server, tool, json] = match;
+    if (!json || !json.trim()) return { server, tool, args: {} };
+    let args;
+    try {
+        args = JSON.parse(json);
+    } catch (err) {
+        return { error: `Arguments are not valid JSON: ${err.message}` };
+    }
+    if (!isObject(args)) return { error: "Arguments must be a JSON object, e.g. {\"symbol\":\"AAPL\"}" };
+    return { server, tool, args };
+}
@@ -0,0 +1,51 @@
+import { describe, expect, test } from "vitest";
+import { formatArguments, parseCall, usageFromSchema, validateArguments } from "./tool-args.js";
+
+const PORTFOLIO = {
+    type: "object",
+    properties: { symbols: { type: "array", items: { type: "string" }, minItems: 1 } },
+    required: ["symbols"],
+};
+const EXTRACT = {
+    type: "object",
+    properties: { url: { type: "string" }, query: { type: "string" }, limit: { type: "integer" } },
+    required: ["url", "query"],
+};
+
+describe("tool arguments", () => {
+    test("accepts arguments that match the schema", () => {
+        expect(validateArguments(PORTFOLIO, { symbols: ["AAPL", "MSFT"] })).toEqual({ valid: true, args: { symbols: ["AAPL", "MSFT"] }, repairs: [] });
+    });
+
+    test("repairs unambiguous near-misses", () => {
+        expect(validateArguments(PORTFOLIO, { symbols: "AAPL, MSFT" }).args).toEqual({ symbols: ["AAPL", "MSFT"] });
+        expect(validateArguments(PORTFOLIO, { symbols: "AAPL MSFT" }).args).toEqual({ symbols: ["AAPL", "MSFT"] });
+        const result = validateArguments(EXTRACT, { url: "a.html", query: "news", limit: "3", extra: 1 });
+        expect(result.args).toEqual({ url: "a.html", query: "news", limit: 3 });
+        expect(result.repairs).toEqual(["converted limit", "dropped unknown argument extra"]);
+    });
+
+    test("refuses what it can't repair", () => {
+        expect(validateArguments(EXTRACT, { url: "a.html" })).toEqual({ valid: false, error: "Missing required argument: query." });
+        expect(validateArguments(EXTRACT, { url: "a.html", query: "q", limit: "many" }).error).toBe("limit must be an integer, not string.");
+        expect(validateArguments(PORTFOLIO, { symbols: [] }).error).toBe("symbols needs at least 1 item.");
+        expect(validateArguments({ ...PORTFOLIO, additionalProperties: false }, { symbols: ["A"], x: 1 }).error).toBe("Unknown argument: x.");
+        expect(validateArguments(PORTFOLIO, "AAPL").valid).toBe(false);
+    });
+
+    test("parses explicit calls", () => {
+        expect(parseCall('call finance-mcp.portfolio {"symbols":["AAPL","MSFT"]}')).toEqual({ server: "finance-mcp", tool: "portfolio", args: { symbols: ["AAPL", "MSFT"] } });
+        expect(parseCall("call cloud.list_backups")).toEqual({ server: "cloud", tool: "list_backups", args: {} });
+        expect(parseCall("call finance.stock {symbol: AAPL}").error).toMatch(/not valid JSON/);
+        expect(parseCall('call finance.stock ["AAPL"]').error).toMatch(/must be a JSON object/);
+        expect(parseCall("call my mom")).toBeNull();
+    });
+
+    test("describes and prints arguments", () => {
+        expect(usageFromSchema("portfolio", PORTFOLIO)).toBe("portfolio <symbols...>");
+        expect(usageFromSchema("extract", EXTRACT)).toBe("extract <url> <query> [limit]");
+        expect(formatArguments({ symbols: ["AAPL", "MSFT"] })).toBe("AAPL, MSFT");
+        expect(formatArguments({ url: "a.html", query: "q" })).toBe('{"url":"a.html","query":"q"}');
+        expect(formatArguments({})).toBe("");
+    });
+});
@@ -0,0 +1,90 @@
+// ⚠️ Do not edit — this file is part of the ProdBot engine. In the real world, the assistant's internals are managed by its vendor.
+/**
+ * tools.js — Function-calling tool definitions for ProdBot's native tool mode.
+ *
+ * Turns everything ProdBot can do on the current level into OpenAI-style
+ * function tools with JSON schemas, so the model can call them directly
+ * instead of describing actions in JSON text:
+ *
+ *   run_bash                     — a sandboxed bash command (always available)
+ *   mcp_<server>_<tool>          — an MCP server tool, with its own input schema (Levels 3, 5)
+ *   skill_<command>              — an org-approved skill (Levels 4, 5)
+ *   agent_<agent>_<tool>         — a specialised agent's tool (Level 5)
+ *
+ * The model only ever sees names and schemas. Every call is routed back to
+ * the engine, which applies the same validation and confirmation rules as
+ * the JSON mode — tool calling changes the wire format, not the trust model.
+ *
+ * Key concepts demonstrated:
+ *   - Function calling: structured tool use instead of parsing free text
+ *   - Tool schemas: describing each capability's parameters to the model
+ */
+
+// OpenAI function names must match ^[a-zA-Z0-9_-]{1,64}$.
+function toolName(...parts) {
+    return parts.join("_").replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+}
+
+/** Builds a single-string-parameter schema — what skills and agent tools accept. MCP tools declare their own. */
+function stringParam(name, description) {
+    return {
+        type: "object",
+        properties: { [name]: { type: "string", description } },
+        required: [],
+    };
+}
+
+/**
+ * Builds tool definitions for the level's loaded capabilities.
+ *
+ * @param {{ mcpServers?: Object, skills?: Object, agents?: Object }} capabilities
+ * @returns {{ definitions: Array<Object>, lookup: Object<string, { kind: string, key?: string, tool?: string }> }}
+ */
+export function buildToolDefinitions({ mcpServers = {}, skills = {}, agents = {} }) {
+    const definitions = [];
+    const lookup = {};
+
+    const add = (name, description, parameters, target) => {
+        definitions.push({ type: "function", function: { name, description, parameters } });
+        lookup[name] = target;
+    };
+
+    add("run_bash", "Run one bash command inside the sandbox. The user must approve it before it runs.", {
+        type: "object",
+        properties: { command: { type: "string", description: "A single bash command using relative paths" } },
+        required: ["command"],
+    }, { kind: "bash" });
+
+    for (const [key, srv] of Object.entries(mcpServers)) {
+        for (const [tool, def] of Object.entries(srv.tools || {})) {
+            add(
+                toolName("mcp", key, tool),
+                `${srv.name}: ${def.description}`,
+                def.inputSchema || stringParam("arg", "The tool argument, as you would type it after the tool name"),
+                { kind: "mcp", key, tool }
+            );
+        }
+    }
+
+    for (const [cmd, sk] of Object.entries(skills)) {
+        add(
+            toolName("skill", cmd),
+            `${sk.name}: ${sk.description}`,
+            stringParam("args", "Optional arguments for the skill"),
+            { kind: "skill", key: cmd }
+        );
+    }
+
+    for (const [key, ag] of Object.entries(agents)) {
+        for (const [tool, def] of Object.entries(ag.tools || {})) {
+            add(
+                toolName("agent", key, tool),
+                `${ag.name}: ${def.description}${def.usage ? ` (usage: ${def.usage})` : ""}`,
+                stringParam("input", "The input for this agent tool"),
+                { kind: "agent", key, tool }
+            );
+        }
+    }
+
+    return { definitions, lookup };
+}
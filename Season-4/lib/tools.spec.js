@@ -0,0 +1,68 @@
+import { beforeAll, describe, expect, test, vi } from "vitest";
+import { sendToAIWithTools } from "./ai.js";
+import { buildToolDefinitions } from "./tools.js";
+
+// Answers come from fixtures/scripted-llm.json, never from a live model
+beforeAll(() => {
+    vi.stubEnv("PRODBOT_PROVIDER", "scripted");
+    vi.stubEnv("PRODBOT_FIXTURE", "");
+});
+
+describe("buildToolDefinitions", () => {
+    test("always offers run_bash", () => {
+        const { definitions, lookup } = buildToolDefinitions({});
+        expect(definitions.map(d => d.function.name)).toEqual(["run_bash"]);
+        expect(definitions[0].function.parameters.required).toEqual(["command"]);
+        expect(lookup.run_bash).toEqual({ kind: "bash" });
+    });
+
+    test("names MCP, skill and agent tools after their source", () => {
+        const schema = { type: "object", properties: { symbol: { type: "string" } }, required: ["symbol"] };
+        const { definitions, lookup } = buildToolDefinitions({
+            mcpServers: { finance: { name: "Finance MCP", tools: { stock: { description: "Quote", inputSchema: schema } } } },
+            skills: { "deploy-docs": { name: "Deploy", description: "Publishes docs" } },
+            agents: { release: { name: "Release Agent", tools: { ship: { description: "Ships", usage: "ship <tag>" } } } },
+        });
+
+        const byName = Object.fromEntries(definitions.map(d => [d.function.name, d.function]));
+        expect(Object.keys(byName)).toEqual(["run_bash", "mcp_finance_stock", "skill_deploy-docs", "agent_release_ship"]);
+        expect(byName.mcp_finance_stock).toMatchObject({ description: "Finance MCP: Quote", parameters: schema });
+        expect(byName.agent_release_ship.description).toBe("Release Agent: Ships (usage: ship <tag>)");
+        expect(lookup.mcp_finance_stock).toEqual({ kind: "mcp", key: "finance", tool: "stock" });
+        expect(lookup["skill_deploy-docs"]).toEqual({ kind: "skill", key: "deploy-docs" });
+        expect(lookup.agent_release_ship).toEqual({ kind: "agent", key: "release", tool: "ship" });
+    });
+
+    test("keeps function names within OpenAI's character set", () => {
+        const { definitions } = buildToolDefinitions({ skills: { "a.b c": { name: "x", description: "y" } } });
+        expect(definitions[1].function.name).toBe("skill_a_b_c");
+    });
+});
+
+describe("sendToAIWithTools", () => {
+    const { definitions: tools } = buildToolDefinitions({});
+
+    test("runs the model's tool calls and feeds the results back", async () => {
+        const executeTool = vi.fn(async (name, args) => `ran ${args.command}`);
+        const result = await sendToAIWithTools("execute: ls -la", { tools, executeTool });
+
+        expect(executeTool).toHaveBeenCalledTimes(1);
+        expect(executeTool).toHaveBeenCalledWith("run_bash", { command: "ls -la" });
+        // The scripted model answers with the tool result it was sent
+        expect(result).toEqual({ action: "message", text: "ran ls -la", toolCalls: 1 });
+    });
+
+    test("answers without tools when the model doesn't call any", async () => {
+        const executeTool = vi.fn();
+        const result = await sendToAIWithTools("hello there", { tools, executeTool });
+        expect(executeTool).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ action: "message", toolCalls: 0 });
+    });
+
+    test("stops at the step limit without a final answer", async () => {
+        const executeTool = vi.fn(async () => "done");
+        const result = await sendToAIWithTools("execute: ls", { tools, executeTool, maxSteps: 1 });
+        expect(executeTool).toHaveBeenCalledTimes(1);
+        expect(result).toEqual({ action: "message", text: "Stopped after 1 tool steps without a final answer.", toolCalls: 1 });
+    });
+});